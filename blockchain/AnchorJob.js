@@ -0,0 +1,141 @@
+const { anchorRoot, createAnchorProof } = require('./anchoring');
+
+// Periodic commitment of the chain to the Ethereum registry: each run anchors the Merkle
+// root of the block hashes since the previous anchor and records the Ethereum transaction.
+// `registry` is an EthereumAnchorRegistry (or anything with the same anchor/getAnchor/getBlockNumber).
+class AnchorJob {
+    constructor(blockchain, registry, options = {}) {
+        this.blockchain = blockchain;
+        this.registry = registry;
+        this.interval = options.interval ?? 60000;
+        this.confirmations = options.confirmations ?? 6; // Tip blocks left out, as a reorg could still replace them
+        this.maxBlocks = options.maxBlocks ?? 1000; // Block hashes per anchor; longer backlogs take several runs
+        this.storage = options.storage === undefined ? blockchain.storage : options.storage;
+        this.anchors = this.storage ? this.storage.loadAnchors() : [];
+        this.timer = null;
+        this.running = null;
+        this.lastError = null;
+
+        if (!Number.isInteger(this.maxBlocks) || this.maxBlocks < 1) {
+            throw new Error('maxBlocks must be a positive integer');
+        }
+        if (!Number.isInteger(this.confirmations) || this.confirmations < 0) {
+            throw new Error('confirmations must be a non-negative integer');
+        }
+    }
+
+    // Height up to which every block of the current chain is anchored, or -1. Anchored hashes
+    // are compared with the chain, so a reorg deeper than `confirmations` that replaced
+    // anchored blocks brings this back to the fork point and the new blocks get anchored too.
+    getAnchoredHeight() {
+        const anchored = new Set(this.anchors.flatMap(anchor => anchor.blockHashes));
+        const { chain } = this.blockchain;
+        let height = 0;
+        while (height < chain.length && anchored.has(chain[height].hash)) {
+            height++;
+        }
+        return height - 1;
+    }
+
+    // Heights the next anchor would cover, or null when no block is due
+    getNextRange() {
+        const fromHeight = this.getAnchoredHeight() + 1;
+        const toHeight = Math.min(this.blockchain.getLatestBlock().index - this.confirmations, fromHeight + this.maxBlocks - 1);
+        return toHeight >= fromHeight ? { fromHeight, toHeight } : null;
+    }
+
+    // Anchor the blocks due now. Resolves with the new anchor record, or null when there was
+    // nothing to anchor. Runs one at a time: a call during a run waits for that run.
+    anchorNow() {
+        if (!this.running) {
+            this.running = this.submitAnchor().finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+
+    async submitAnchor() {
+        const range = this.getNextRange();
+        if (!range) {
+            return null;
+        }
+
+        const last = this.anchors[this.anchors.length - 1];
+        if (last && range.fromHeight <= last.toHeight) {
+            console.log(`Anchored blocks from height ${range.fromHeight} were replaced by a reorg, anchoring the new ones`);
+        }
+
+        const { networkId } = this.blockchain;
+        const blockHashes = this.blockchain.chain.slice(range.fromHeight, range.toHeight + 1).map(block => block.hash);
+        const root = anchorRoot(blockHashes);
+        const { anchorId, transactionHash, blockNumber } = await this.registry.anchor({ root, networkId, ...range });
+
+        const anchor = {
+            anchorId,
+            networkId,
+            ...range,
+            root,
+            blockHashes,
+            transactionHash,
+            ethBlockNumber: blockNumber,
+            anchoredAt: new Date().toISOString()
+        };
+        this.anchors.push(anchor);
+        if (this.storage) {
+            this.storage.saveAnchors(this.anchors);
+        }
+
+        console.log(`Anchored blocks ${range.fromHeight}-${range.toHeight} to Ethereum (anchor ${anchorId}, tx ${transactionHash})`);
+        return anchor;
+    }
+
+    // Anchor covering the block with this hash, or null
+    findAnchor(blockHash) {
+        return this.anchors.find(anchor => anchor.blockHashes.includes(blockHash)) || null;
+    }
+
+    // Anchor proof for a block (see verifyAnchorProof), or null when it is not anchored yet
+    getProof(blockHash) {
+        const anchor = this.findAnchor(blockHash);
+        return anchor ? createAnchorProof(anchor, blockHash) : null;
+    }
+
+    getStatus() {
+        const anchoredHeight = this.getAnchoredHeight();
+        return {
+            anchorCount: this.anchors.length,
+            anchoredHeight: anchoredHeight >= 0 ? anchoredHeight : null,
+            lastAnchor: this.anchors[this.anchors.length - 1] || null,
+            nextRange: this.getNextRange(),
+            interval: this.interval,
+            confirmations: this.confirmations,
+            lastError: this.lastError
+        };
+    }
+
+    start() {
+        const anchorOnce = () => this.anchorNow()
+            .then(() => {
+                this.lastError = null;
+            })
+            .catch(error => {
+                this.lastError = error.message;
+                console.error(`Anchoring to Ethereum failed: ${error.message}`);
+            });
+
+        anchorOnce();
+        this.timer = setInterval(anchorOnce, this.interval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        // Let a run in progress finish (its error was already reported)
+        return this.running ? this.running.catch(() => null) : Promise.resolve(null);
+    }
+}
+
+module.exports = AnchorJob;
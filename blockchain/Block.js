@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const { hashTransaction, getMerkleRoot, getMerkleProof, verifyMerkleProof } = require('./utils/merkle');
 
 class Block {
     constructor(index, timestamp, data, previousHash = '', signature = '') {
@@ -9,7 +10,9 @@ class Block {
         this.timestamp = timestamp;
         this.data = data;
         this.previousHash = previousHash;
+        this.merkleRoot = Block.calculateMerkleRoot(data); // Commits the header to the transactions
         this.signature = signature;
+        this.difficulty = 0; // Set when mined, part of the hashed header
         this.nonce = 0; // For mining/proof of work
         this.hash = this.calculateHash();
     }
@@ -39,29 +42,25 @@ class Block {
         }
     }
 
+    // Hash of the block, with the Merkle root recomputed from the current data
     calculateHash() {
-        // Use delimiter to prevent hash collision
-        const dataString = [
-            String(this.index),
-            String(this.timestamp),
-            String(this.previousHash),
-            JSON.stringify(this.data),
-            String(this.signature),
-            String(this.nonce)
-        ].join('|'); // Using delimiter
-        
-        return crypto.createHash('sha256')
-            .update(dataString)
-            .digest('hex');
+        return Block.calculateHeaderHash({
+            ...this.getHeader(),
+            merkleRoot: this.pruned ? this.merkleRoot : Block.calculateMerkleRoot(this.data)
+        });
     }
 
     // Method for mining (proof of work)
     mineBlock(difficulty) {
         const target = Array(difficulty + 1).join('0');
+
+        this.difficulty = difficulty;
+        this.merkleRoot = Block.calculateMerkleRoot(this.data);
+        this.hash = Block.calculateHeaderHash(this);
         
         while (this.hash.substring(0, difficulty) !== target) {
             this.nonce++;
-            this.hash = this.calculateHash();
+            this.hash = Block.calculateHeaderHash(this);
         }
         
         console.log(`Block mined: ${this.hash}`);
@@ -73,36 +72,185 @@ class Block {
         if (this.hash !== this.calculateHash()) {
             return false;
         }
-        
-        // Check if previous hash matches
-        if (previousBlock && this.previousHash !== previousBlock.hash) {
+
+        // Check the header commits to the transactions it carries
+        if (!this.hasValidMerkleRoot()) {
             return false;
         }
         
-        // Check timestamp is reasonable
-        if (previousBlock && this.timestamp <= previousBlock.timestamp) {
+        // Check if previous hash matches and timestamp is reasonable
+        if (previousBlock && !Block.isLinked(this, previousBlock)) {
             return false;
         }
         
         return true;
     }
 
+    // Pruned blocks have no transactions left to check: their header hash still covers the root
+    hasValidMerkleRoot() {
+        return this.pruned || this.merkleRoot === Block.calculateMerkleRoot(this.data);
+    }
+
+    // Transactions carried by the block (non-array data counts as a single entry, pruned blocks have none)
+    getTransactions() {
+        return this.pruned ? [] : Block.getTransactionList(this.data);
+    }
+
+    // Merkle inclusion proof for one transaction, or null if it is not in this block
+    getMerkleProof(transactionHash) {
+        const leaves = this.getTransactions().map(hashTransaction);
+        const leafIndex = leaves.indexOf(transactionHash);
+
+        if (leafIndex === -1) {
+            return null;
+        }
+
+        return {
+            transactionHash,
+            blockHash: this.hash,
+            header: this.getHeader(),
+            proof: getMerkleProof(leaves, leafIndex)
+        };
+    }
+
+    // Header fields: everything needed to recompute the block hash without the data
+    getHeader() {
+        return {
+            index: this.index,
+            timestamp: this.timestamp,
+            previousHash: this.previousHash,
+            merkleRoot: this.merkleRoot,
+            signature: this.signature,
+            difficulty: this.difficulty,
+            nonce: this.nonce,
+            hash: this.hash
+        };
+    }
+
     // Get block info without hash recalculation
     getBlockInfo() {
+        if (this.pruned) {
+            return { ...this.getHeader(), data: null, pruned: true };
+        }
+
         return {
             index: this.index,
             timestamp: this.timestamp,
             data: this.data,
             previousHash: this.previousHash,
+            merkleRoot: this.merkleRoot,
             hash: this.hash,
             nonce: this.nonce,
+            difficulty: this.difficulty,
             signature: this.signature
         };
     }
 
-    // Static method to create genesis block
-    static createGenesisBlock() {
-        return new Block(0, Date.now(), 'Genesis Block', '0');
+    // Static method to create genesis block from a genesis config.
+    // Everything comes from the config so every node builds the same block.
+    // A non proof-of-work consensus is committed too, so its validators are part of the genesis hash.
+    static createGenesisBlock({ networkId, timestamp, message = 'Genesis Block', allocations = [], consensus }) {
+        const header = { networkId, message };
+        if (consensus && consensus.type !== 'pow') {
+            header.consensus = consensus;
+        }
+
+        const data = [
+            header,
+            ...allocations.map(allocation => ({
+                from: null,
+                to: allocation.address,
+                amount: allocation.amount,
+                timestamp
+            }))
+        ];
+
+        return new Block(0, timestamp, data, '0');
+    }
+
+    // Block whose body was pruned: only the header is kept (see Blockchain.pruneBlocks)
+    static fromHeader(header) {
+        const block = Object.create(Block.prototype);
+        ['index', 'timestamp', 'previousHash', 'merkleRoot', 'signature', 'difficulty', 'nonce', 'hash'].forEach(field => {
+            block[field] = header[field];
+        });
+        block.data = null;
+        block.pruned = true;
+        return block;
+    }
+
+    // Rebuild a block from getBlockInfo() output, keeping its stored nonce and hash
+    static fromJSON(info) {
+        if (!info || typeof info !== 'object') {
+            throw new Error('Block data must be an object');
+        }
+
+        if (info.pruned) {
+            if (!Number.isInteger(info.index) || typeof info.hash !== 'string' || typeof info.merkleRoot !== 'string') {
+                throw new Error('Pruned block needs its index, hash and merkle root');
+            }
+            return Block.fromHeader({ ...info, signature: info.signature || '', difficulty: info.difficulty || 0, nonce: info.nonce || 0 });
+        }
+
+        const block = new Block(info.index, info.timestamp, info.data, info.previousHash, info.signature || '');
+        block.merkleRoot = info.merkleRoot || block.merkleRoot;
+        block.difficulty = info.difficulty || 0;
+        block.nonce = info.nonce || 0;
+        block.hash = info.hash;
+        return block;
+    }
+
+    static getTransactionList(data) {
+        return Array.isArray(data) ? data : [data];
+    }
+
+    static calculateMerkleRoot(data) {
+        return getMerkleRoot(Block.getTransactionList(data).map(hashTransaction));
+    }
+
+    // Hash a block header (delimiter prevents hash collisions between fields)
+    static calculateHeaderHash(header) {
+        const dataString = [
+            String(header.index),
+            String(header.timestamp),
+            String(header.previousHash),
+            String(header.merkleRoot),
+            String(header.signature),
+            String(header.difficulty),
+            String(header.nonce)
+        ].join('|');
+
+        return crypto.createHash('sha256')
+            .update(dataString)
+            .digest('hex');
+    }
+
+    // Hash a validator signs to seal a block: the header without the signature itself
+    static calculateSealHash(header) {
+        return Block.calculateHeaderHash({ ...header, signature: '' });
+    }
+
+    // Linkage between two consecutive blocks or headers: next index, previous hash, later timestamp
+    static isLinked(header, previousHeader) {
+        return header.index === previousHeader.index + 1 &&
+            header.previousHash === previousHeader.hash &&
+            header.timestamp > previousHeader.timestamp;
+    }
+
+    // Check a proof from getMerkleProof() against a block hash the verifier trusts.
+    // Needs no chain: the header must hash to blockHash and the path must reach its Merkle root.
+    static verifyInclusionProof(inclusionProof, blockHash) {
+        if (!inclusionProof || !inclusionProof.header) {
+            return false;
+        }
+
+        const { transactionHash, header, proof } = inclusionProof;
+
+        if (Block.calculateHeaderHash(header) !== blockHash) {
+            return false;
+        }
+
+        return verifyMerkleProof(transactionHash, proof, header.merkleRoot);
     }
 }
 
@@ -1,16 +1,77 @@
+const EventEmitter = require('events');
 const Block = require('./Block');
+const Mempool = require('./Mempool');
+const MultisigPool = require('./MultisigPool');
+const { createConsensus, VOTE_TYPE } = require('./consensus');
+const { getTransactionType } = require('./transactions');
+const { loadGenesisConfig, validateGenesisConfig } = require('./genesis');
+const ChainIndex = require('./ChainIndex');
+const RecordRegistry = require('./RecordRegistry');
+const { hashTransaction } = require('./utils/merkle');
+const { crypto: cryptoManager } = require('./utils/crypto');
+const { transactionCost } = require('./utils/accounts');
+const { verifyMultisigTransaction } = require('./utils/multisig');
+const { validateTimeLock, isTimeLocked, isTimeLockExpired, getTimeLockProblem } = require('./utils/timelock');
+const { retargetDifficulty, meetsDifficulty } = require('./utils/difficulty');
+const { SNAPSHOT_TYPE, hashState, validateSnapshot } = require('./snapshots');
+const { auditChain } = require('./audit');
 
-class Blockchain {
-    constructor() {
-        this.chain = [this.createGenesisBlock()];
-        this.difficulty = 2; // Mining difficulty
-        this.pendingTransactions = [];
-        this.miningReward = 100;
+// Identity used to match the same transaction across blocks and the mempool
+function transactionKey(transaction) {
+    return JSON.stringify(transaction);
+}
+
+// Error pointing at the first offending block of an imported or stored chain
+function invalidBlockError(position, reason) {
+    const error = new Error(`Invalid block at index ${position}: ${reason}`);
+    error.blockIndex = position;
+    return error;
+}
+
+class Blockchain extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        // Genesis definition shared by every node of the network
+        this.genesisConfig = options.genesis
+            ? validateGenesisConfig(options.genesis)
+            : loadGenesisConfig();
+        this.networkId = this.genesisConfig.networkId;
+        this.initialDifficulty = this.genesisConfig.difficulty; // Difficulty of block 1: a consensus rule, so only the genesis sets it
+        this.difficulty = this.initialDifficulty; // Difficulty of the next block, retargeted as the chain grows
+        this.mempool = new Mempool({ ...options.mempool, heightReachedAt: height => this.getHeightReachedAt(height) }); // Pending transactions, fee-prioritised
+        this.multisigPool = new MultisigPool({ maxSize: this.mempool.maxSize }); // Multisig transactions collecting approvals
+        this.updatingMultisig = false;
+        this.miningJob = null; // Sealing job in progress (MiningJob under proof of work), if any
+        this.consensus = createConsensus(this, this.genesisConfig.consensus, options); // Seals and checks blocks
+        this.miningReward = this.genesisConfig.miningReward; // Caps every block's reward: a consensus rule, so only the genesis sets it
+        this.storage = options.storage || null; // Optional ChainStorage for persistence
+        this.index = new ChainIndex(); // Hash, transaction and address lookups, kept in sync with the chain
+        this.snapshot = null; // Latest state snapshot committed on chain
+        this.pruneRetention = options.pruneRetention ?? null; // Recent blocks that keep their bodies (null: never prune)
+        const genesisBlock = this.createGenesisBlock();
+        this.genesisHash = genesisBlock.hash;
+
+        if (this.pruneRetention !== null && (!Number.isInteger(this.pruneRetention) || this.pruneRetention < 1)) {
+            throw new Error('Prune retention must be a positive integer');
+        }
+
+        if (this.storage && this.storage.hasChain()) {
+            this.loadFromStorage();
+        } else if (options.snapshot) {
+            this.startFromSnapshot(options.snapshot, options.trustedSnapshotHash);
+        } else {
+            this.setChain([genesisBlock]);
+            this.persistBlock(genesisBlock);
+        }
+
+        this.updateDifficulty();
     }
 
+    // Deterministic: same config, same genesis hash on every node
     createGenesisBlock() {
-        const genesisBlock = new Block(0, Date.now(), "Genesis Block", "0", "");
-        genesisBlock.mineBlock(this.difficulty);
+        const genesisBlock = Block.createGenesisBlock(this.genesisConfig);
+        genesisBlock.mineBlock(this.genesisConfig.difficulty);
         return genesisBlock;
     }
 
@@ -18,59 +79,697 @@ class Blockchain {
         return this.chain[this.chain.length - 1];
     }
 
-    // Add pending transaction instead of direct block
+    // Difficulty a block at `height` must be mined with, derived from the blocks before it.
+    // Retargets every `retargetInterval` blocks from the timestamps actually observed.
+    getDifficultyForHeight(height, chain = this.chain) {
+        if (height === 0) {
+            return this.genesisConfig.difficulty;
+        }
+        if (this.consensus.type !== 'pow') {
+            return 0; // Sealed by signature, not by work
+        }
+        if (height === 1) {
+            return this.initialDifficulty;
+        }
+
+        return retargetDifficulty(height, chain, this.genesisConfig);
+    }
+
+    // Refresh the difficulty of the next block after the chain changed
+    updateDifficulty() {
+        const previousDifficulty = this.difficulty;
+        this.difficulty = this.getDifficultyForHeight(this.chain.length);
+
+        if (this.difficulty !== previousDifficulty) {
+            console.log(`Difficulty adjusted from ${previousDifficulty} to ${this.difficulty} at height ${this.chain.length}`);
+        }
+    }
+
+    // Pending transactions in arrival order
+    get pendingTransactions() {
+        return this.mempool.getTransactions();
+    }
+
+    // Add pending transaction instead of direct block. Emits transactionAdded, or
+    // transactionRejected ({ transaction, reason }) before throwing.
     addTransaction(transaction) {
+        try {
+            this.pruneMempool();
+            this.validateTransaction(transaction);
+            this.checkSenderState(transaction); // Also rejects exact duplicates through their nonce
+
+            this.mempool.add(transaction);
+        } catch (error) {
+            this.emit('transactionRejected', { transaction, reason: error.message });
+            throw error;
+        }
+
+        this.persistMempool();
+        this.emit('transactionAdded', transaction);
+    }
+
+    // Check structure (per transaction type) and signature of a user transaction.
+    // The signer's public key must map to the `from` address.
+    validateTransaction(transaction) {
+        this.validateTransactionFields(transaction);
+        this.verifyTransactionSignature(transaction);
+    }
+
+    // Structure of a user transaction, per type
+    validateTransactionFields(transaction) {
         // Validate transaction structure
-        if (!transaction || !transaction.from || !transaction.to || !transaction.amount) {
+        if (!transaction || !transaction.from) {
             throw new Error('Invalid transaction structure');
         }
-        
-        if (transaction.amount <= 0) {
-            throw new Error('Transaction amount must be positive');
+
+        if (transaction.type === VOTE_TYPE) {
+            this.consensus.validateVote(transaction);
+        } else {
+            getTransactionType(transaction.type).validate(transaction);
         }
-        
-        this.pendingTransactions.push(transaction);
+
+        if (!Number.isInteger(transaction.nonce) || transaction.nonce < 0) {
+            throw new Error('Transaction nonce must be a non-negative integer');
+        }
+
+        if (transaction.fee !== undefined && (typeof transaction.fee !== 'number' || transaction.fee < 0)) {
+            throw new Error('Transaction fee must be a non-negative number');
+        }
+
+        validateTimeLock(transaction);
+    }
+
+    // Signature of a user transaction, by the key behind its `from` address, or the
+    // approvals of a multisig address (`multisig` policy and `signatures`, threshold met)
+    verifyTransactionSignature(transaction) {
+        if (transaction.multisig !== undefined) {
+            verifyMultisigTransaction(transaction);
+            return;
+        }
+
+        if (!transaction.signature || !transaction.publicKey) {
+            throw new Error('Transaction must be signed (signature and publicKey required)');
+        }
+
+        if (cryptoManager.generateAddress(transaction.publicKey) !== transaction.from) {
+            throw new Error('Public key does not match the sender address');
+        }
+
+        if (!cryptoManager.verifyTransaction(transaction, transaction.publicKey)) {
+            throw new Error('Invalid transaction signature');
+        }
+    }
+
+    // Check a new transaction against its sender's confirmed state plus what is already
+    // pending: it must carry the next expected nonce, be covered by the balance, satisfy
+    // the rules of its type and still be minable (a time lock may hold it for later)
+    checkSenderState(transaction) {
+        const { from, nonce } = transaction;
+        const cost = transactionCost(transaction);
+        const confirmedNonce = this.getNonce(from);
+        const nextNonce = this.getNextNonce(from);
+
+        if (this.hasExpiredTimeLock(transaction)) {
+            throw new Error(`Transaction expired: validUntil ${transaction.validUntil} has passed`);
+        }
+        if (nonce < confirmedNonce) {
+            throw new Error(`Stale nonce ${nonce} for ${from}: already confirmed (next is ${nextNonce})`);
+        }
+        if (nonce < nextNonce) {
+            throw new Error(`Duplicate nonce ${nonce} for ${from}: already pending`);
+        }
+        if (nonce > nextNonce) {
+            throw new Error(`Nonce gap for ${from}: expected ${nextNonce}, got ${nonce}`);
+        }
+
+        const available = this.getBalanceOfAddress(from) - this.getPendingSpend(from);
+        if (cost > available) {
+            throw new Error(`Insufficient balance: ${from} has ${available} available, needs ${cost}`);
+        }
+
+        this.checkTransactionState(transaction);
+    }
+
+    // Rules that depend on the chain rather than the transaction alone: validator set
+    // for votes, records and access grants for medical data
+    checkTransactionState(transaction, state = this.index, now = Date.now()) {
+        if (transaction.type === VOTE_TYPE) {
+            this.consensus.checkVote(transaction);
+            return;
+        }
+
+        const definition = getTransactionType(transaction.type);
+        if (definition.checkState) {
+            definition.checkState(transaction, state.records, now);
+        }
+    }
+
+    // Number of confirmed transactions sent by an address
+    getNonce(address) {
+        return this.index.getAccount(address).nonce;
+    }
+
+    // Nonce the next transaction from an address must carry
+    getNextNonce(address) {
+        const pendingCount = this.pendingTransactions.filter(transaction => transaction.from === address).length;
+        return this.getNonce(address) + pendingCount;
+    }
+
+    // Re-admit transactions into the pending pool against the current chain,
+    // dropping those that are now confirmed, stale or invalid
+    rebuildPendingTransactions(candidates) {
+        this.mempool.clear();
+
+        candidates.forEach(transaction => {
+            try {
+                this.validateTransaction(transaction);
+                this.checkSenderState(transaction);
+                this.mempool.add(transaction);
+            } catch (error) {
+                // No longer valid on this chain
+            }
+        });
+
+        this.persistMempool();
+        this.updateMultisigTransactions();
+    }
+
+    // When the chain became long enough for a block at `height` to be mined (the timestamp of
+    // the block below it), or null while it is shorter
+    getHeightReachedAt(height) {
+        const below = this.chain[Math.max(height, 1) - 1];
+        return below ? below.timestamp : null;
+    }
+
+    // Whether a transaction's validUntil is behind the next block, so it can no longer be mined
+    hasExpiredTimeLock(transaction) {
+        return isTimeLockExpired(transaction, this.chain.length, Date.now());
+    }
+
+    // Drop expired transactions (too old, or past their validUntil), re-checking the rest
+    // since a sender may now have a nonce gap
+    pruneMempool() {
+        const expired = [
+            ...this.mempool.pruneExpired(),
+            ...this.mempool.prune(transaction => this.hasExpiredTimeLock(transaction))
+        ];
+        if (expired.length > 0) {
+            console.log(`Dropped ${expired.length} expired transactions from the mempool`);
+            this.rebuildPendingTransactions(this.pendingTransactions);
+        }
+    }
+
+    // Start collecting approvals for a transaction from a multisig address, with those already
+    // in its `signatures`; proposing it again adds approvals. Returns its approval status.
+    proposeMultisigTransaction(transaction) {
+        this.validateTransactionFields(transaction);
+        if (transaction.multisig === undefined) {
+            throw new Error('Multisig transactions need a multisig policy ({ threshold, publicKeys })');
+        }
+        if (transaction.nonce < this.getNonce(transaction.from)) {
+            throw new Error(`Stale nonce ${transaction.nonce} for ${transaction.from}: already confirmed`);
+        }
+        if (this.mempool.isExpired(transaction)) {
+            throw new Error(`Transaction expired: older than ${this.mempool.maxAge}ms`);
+        }
+        if (this.hasExpiredTimeLock(transaction)) {
+            throw new Error(`Transaction expired: validUntil ${transaction.validUntil} has passed`);
+        }
+
+        const proposal = this.multisigPool.propose(transaction);
+        this.updateMultisigTransactions(true);
+        return this.multisigPool.describe(proposal);
+    }
+
+    // Add one signer's approval ({ publicKey, signature }) to a multisig transaction
+    approveMultisigTransaction(id, approval) {
+        const proposal = this.multisigPool.approve(id, approval);
+        this.updateMultisigTransactions(true);
+        return this.multisigPool.describe(proposal);
+    }
+
+    // Approval status of a multisig transaction, or null
+    getMultisigTransaction(id) {
+        const proposal = this.multisigPool.get(id);
+        return proposal ? this.multisigPool.describe(proposal) : null;
+    }
+
+    getMultisigTransactions(address = null) {
+        return this.multisigPool.list(address).map(proposal => this.multisigPool.describe(proposal));
+    }
+
+    // Drop multisig transactions the chain moved past (nonce confirmed, expired, past validUntil) and
+    // submit those that reached their threshold, lowest nonce first. A refusal (nonce gap
+    // behind another proposal, balance) is kept on the proposal and retried on the next update.
+    // The pool is saved when it changed, here or (`changed`) just before by the caller.
+    updateMultisigTransactions(changed = false) {
+        // Submitting rebuilds the mempool when some of it expired, which updates again
+        if (this.updatingMultisig) {
+            return;
+        }
+        this.updatingMultisig = true;
+
+        const dropped = this.multisigPool.prune(transaction => (
+            transaction.nonce < this.getNonce(transaction.from) || this.mempool.isExpired(transaction) ||
+            this.hasExpiredTimeLock(transaction)
+        ));
+        let updated = changed || dropped.length > 0;
+
+        this.multisigPool.list().forEach(proposal => {
+            const transaction = this.multisigPool.buildTransaction(proposal);
+            // Submitted but no longer pending (evicted, or lost in a reorg): submit again
+            if (proposal.status === 'submitted' && !this.mempool.has(transaction)) {
+                proposal.status = 'pending';
+                updated = true;
+            }
+            if (proposal.status !== 'pending' || !this.multisigPool.isApproved(proposal)) {
+                return;
+            }
+
+            try {
+                this.addTransaction(transaction);
+                Object.assign(proposal, { status: 'submitted', transactionHash: hashTransaction(transaction), error: null });
+                updated = true;
+            } catch (error) {
+                updated = updated || proposal.error !== error.message;
+                proposal.error = error.message;
+            }
+        });
+
+        this.updatingMultisig = false;
+        if (updated) {
+            this.persistMultisig();
+        }
+    }
+
+    // Total amount (fees included) an address is already spending in pending transactions
+    getPendingSpend(address) {
+        return this.pendingTransactions
+            .filter(transaction => transaction.from === address)
+            .reduce((total, transaction) => total + transactionCost(transaction), 0);
     }
 
-    // Mine pending transactions into a block
-    minePendingTransactions(miningRewardAddress) {
+    // Check every transaction of a block against the chain state before it (a ChainIndex):
+    // size limit, valid signatures, time locks open at the block's height and timestamp, at most
+    // one mining reward (non-negative, covering the fees at most), nonces in sequence, no sender spending more
+    // than it holds, the rules of each type and the snapshot commitment. Returns every problem as { category, message, position?,
+    // expected?, actual? }; an invalid transaction is left out of the checks that follow it.
+    findTransactionProblems(block, state = this.index) {
+        if (block.pruned) {
+            return [{ category: 'prunedBody', message: 'block body is pruned' }];
+        }
+
+        if (!Array.isArray(block.data)) {
+            return [];
+        }
+
+        const problems = [];
+        const report = (category, message, details = {}) => problems.push({ category, message, ...details });
+
+        const { maxBlockTransactions } = this.genesisConfig;
+        if (block.data.length > maxBlockTransactions) {
+            report('invalidTransaction', `${block.data.length} transactions exceed the block limit of ${maxBlockTransactions}`, {
+                expected: maxBlockTransactions,
+                actual: block.data.length
+            });
+        }
+
+        let reward = null;
+        let commitment = null;
+        let fees = 0;
+        const spent = new Map();
+        const sent = new Map();
+        const included = new Set(); // Transaction hashes seen so far in the block
+
+        block.data.forEach((transaction, position) => {
+            const reportTransaction = (category, message, details = {}) => {
+                report(category, `transaction ${position}: ${message}`, { position, ...details });
+            };
+
+            if (!transaction || typeof transaction !== 'object') {
+                report('invalidTransaction', `transaction ${position} is not an object`, { position });
+                return;
+            }
+
+            // A repeated transaction would keep the Merkle root, and so the hash, of the block without it
+            const transactionHash = hashTransaction(transaction);
+            if (included.has(transactionHash)) {
+                reportTransaction('invalidTransaction', 'repeats an earlier transaction of the block');
+                return;
+            }
+            included.add(transactionHash);
+
+            // State snapshot commitment, checked after the loop
+            if (transaction.from === null && transaction.type === SNAPSHOT_TYPE) {
+                if (commitment) {
+                    report('snapshot', 'more than one snapshot commitment', { position });
+                    return;
+                }
+                commitment = transaction;
+                return;
+            }
+
+            // Mining reward, created by the miner itself: credits `to`, so it can never be negative.
+            // Unsigned, so it may not carry a type or data other transactions are checked for.
+            if (transaction.from === null) {
+                if (transaction.type !== undefined || transaction.data !== undefined) {
+                    report('invalidTransaction', `system transaction ${position} is neither a mining reward nor a snapshot commitment`, { position });
+                    return;
+                }
+                if (reward) {
+                    report('invalidTransaction', 'more than one mining reward', { position });
+                    return;
+                }
+                if (typeof transaction.to !== 'string' || transaction.to === '') {
+                    report('invalidTransaction', 'mining reward needs a recipient address', { position });
+                    return;
+                }
+                if (!Number.isFinite(transaction.amount) || transaction.amount < 0) {
+                    report('invalidTransaction', `mining reward ${transaction.amount} must be a non-negative number`, {
+                        position,
+                        actual: transaction.amount
+                    });
+                    return;
+                }
+                reward = transaction;
+                return;
+            }
+
+            try {
+                this.validateTransactionFields(transaction);
+            } catch (error) {
+                reportTransaction('invalidTransaction', error.message);
+                return;
+            }
+
+            try {
+                this.verifyTransactionSignature(transaction);
+            } catch (error) {
+                reportTransaction('badSignature', error.message);
+                return;
+            }
+
+            const timeLockProblem = getTimeLockProblem(transaction, block.index, block.timestamp);
+            if (timeLockProblem) {
+                reportTransaction('invalidTransaction', timeLockProblem);
+                return;
+            }
+
+            const account = state.getAccount(transaction.from);
+
+            const expectedNonce = account.nonce + (sent.get(transaction.from) || 0);
+            if (transaction.nonce !== expectedNonce) {
+                reportTransaction('invalidTransaction', `nonce ${transaction.nonce} for ${transaction.from}, expected ${expectedNonce}`, {
+                    expected: expectedNonce,
+                    actual: transaction.nonce
+                });
+                return;
+            }
+
+            const total = (spent.get(transaction.from) || 0) + transactionCost(transaction);
+            if (total > account.balance) {
+                reportTransaction('invalidTransaction', `${transaction.from} spends more than its balance`, {
+                    expected: account.balance,
+                    actual: total
+                });
+                return;
+            }
+
+            // Votes are checked by the consensus when it verifies the seal
+            if (transaction.type !== VOTE_TYPE) {
+                try {
+                    this.checkTransactionState(transaction, state, block.timestamp);
+                } catch (error) {
+                    reportTransaction('invalidTransaction', error.message);
+                    return;
+                }
+            }
+
+            sent.set(transaction.from, (sent.get(transaction.from) || 0) + 1);
+            spent.set(transaction.from, total);
+            fees += transaction.fee || 0;
+        });
+
+        // The miner may claim the block reward plus the fees of the block
+        if (reward && reward.amount > this.miningReward + fees) {
+            report('invalidTransaction', `mining reward ${reward.amount} exceeds ${this.miningReward + fees} (reward ${this.miningReward} + fees ${fees})`, {
+                position: block.data.indexOf(reward),
+                expected: this.miningReward + fees,
+                actual: reward.amount
+            });
+        }
+
+        // The block after a snapshot height commits the state reached there
+        const snapshotHeight = block.index - 1;
+        if (!this.isSnapshotHeight(snapshotHeight)) {
+            if (commitment) {
+                report('snapshot', `unexpected snapshot commitment in block ${block.index}`, { position: block.data.indexOf(commitment) });
+            }
+            return problems;
+        }
+        if (!commitment) {
+            report('snapshot', `missing snapshot commitment for height ${snapshotHeight}`);
+            return problems;
+        }
+
+        const expected = this.createSnapshot(state);
+        const { height, blockHash, stateHash } = commitment.data || {};
+        if (commitment.to !== undefined || commitment.amount !== undefined ||
+            height !== expected.height || blockHash !== expected.blockHash || stateHash !== expected.stateHash) {
+            report('snapshot', `snapshot commitment does not match the state at height ${snapshotHeight} (expected ${expected.stateHash})`, {
+                position: block.data.indexOf(commitment),
+                expected: expected.stateHash,
+                actual: stateHash
+            });
+        }
+
+        return problems;
+    }
+
+    // First problem of findTransactionProblems, as a description, or null
+    findInvalidTransaction(block, state = this.index) {
+        const [problem] = this.findTransactionProblems(block, state);
+        return problem ? problem.message : null;
+    }
+
+    // Check a block against the replayed `state` (a ChainIndex) and apply it, even when it
+    // has problems. Pruned bodies are accepted up to `snapshot`, whose state then stands
+    // in for them. Returns the problems found (see findTransactionProblems).
+    replayBlock(state, block, snapshot = this.snapshot) {
+        let problems = [];
+        if (block.pruned) {
+            if (!snapshot || block.index > snapshot.height) {
+                problems = [{ category: 'prunedBody', message: 'block body is pruned and no snapshot covers it' }];
+            }
+        } else if (state.missingBodies) {
+            problems = [{ category: 'prunedBody', message: 'state is unknown: the pruned blocks before it do not lead to the snapshot' }];
+        } else {
+            problems = this.findTransactionProblems(block, state);
+        }
+
+        this.applyToState(state, block, snapshot);
+        return problems;
+    }
+
+    // Apply a block to the replayed `state` without checking it; once pruned blocks reach
+    // `snapshot`, its state takes over
+    applyToState(state, block, snapshot = this.snapshot) {
+        state.addBlock(block);
+        if (state.missingBodies && snapshot && block.index === snapshot.height && block.hash === snapshot.blockHash) {
+            state.loadState(snapshot.state);
+        }
+    }
+
+    // System transaction committing a snapshot's hashes into the next block
+    createSnapshotCommitment({ height, blockHash, stateHash }) {
+        return {
+            type: SNAPSHOT_TYPE,
+            from: null,
+            data: { height, blockHash, stateHash },
+            timestamp: Date.now()
+        };
+    }
+
+    // Whether the state after block `height` is snapshotted (and committed by the next block)
+    isSnapshotHeight(height) {
+        const { snapshotInterval } = this.genesisConfig;
+        return snapshotInterval > 0 && height > 0 && height % snapshotInterval === 0;
+    }
+
+    // State committed by snapshots: accounts, records and consensus state after the last block of `state`
+    captureState(state) {
+        return { ...state.exportState(), consensus: this.consensus.exportState(state.chain) };
+    }
+
+    // Snapshot of the state after the last block of `state` (a ChainIndex)
+    createSnapshot(state = this.index) {
+        const height = state.chain.length - 1;
+        const captured = this.captureState(state);
+        return {
+            networkId: this.networkId,
+            height,
+            blockHash: state.chain[height].hash,
+            stateHash: hashState(captured),
+            state: captured
+        };
+    }
+
+    setSnapshot(snapshot) {
+        if (this.snapshot && this.snapshot.stateHash === snapshot.stateHash && this.snapshot.height === snapshot.height) {
+            return;
+        }
+
+        this.snapshot = snapshot;
+        this.consensus.addBase(snapshot);
+        if (this.storage) {
+            this.storage.saveSnapshot(snapshot);
+        }
+        console.log(`State snapshot at height ${snapshot.height}: ${snapshot.stateHash}`);
+    }
+
+    // Latest committed snapshot with the headers up to it, for other nodes to start from
+    getSnapshot() {
+        if (!this.snapshot) {
+            return null;
+        }
+        return { ...this.snapshot, headers: this.getHeaders({ from: 0, limit: this.snapshot.height + 1 }) };
+    }
+
+    // Start from a snapshot taken by another node (getSnapshot output): its headers stand in
+    // for the history and its state for the replay. The state hash must match `trustedHash`,
+    // obtained out of band (e.g. from the commitment in a block seen on a trusted node).
+    startFromSnapshot(data, trustedHash) {
+        if (!trustedHash) {
+            throw new Error('Starting from a snapshot requires its trusted state hash');
+        }
+
+        const snapshot = validateSnapshot(data, this.networkId);
+        if (snapshot.stateHash !== trustedHash) {
+            throw new Error(`Snapshot state hash ${snapshot.stateHash} does not match the trusted hash ${trustedHash}`);
+        }
+        if (!Array.isArray(data.headers) || data.headers.length !== snapshot.height + 1) {
+            throw new Error(`Snapshot needs the headers of blocks 0 to ${snapshot.height}`);
+        }
+
+        const [, ...headers] = data.headers;
+        const chain = this.buildValidatedChain(
+            [this.createGenesisBlock().getBlockInfo(), ...headers.map(header => ({ ...header, data: null, pruned: true }))],
+            snapshot
+        );
+        if (chain[snapshot.height].hash !== snapshot.blockHash) {
+            throw new Error(`Snapshot block hash does not match header ${snapshot.height}`);
+        }
+
+        this.setSnapshot(snapshot);
+        this.setChain(chain);
+        if (this.storage) {
+            this.storage.writeChain(chain.map(block => block.getBlockInfo()));
+        }
+        console.log(`Started from the snapshot at height ${snapshot.height}`);
+    }
+
+    // Drop the bodies of blocks older than the last `retention` blocks, up to the latest
+    // snapshot (which holds the state they led to). Headers stay, so the chain can still be
+    // served and checked. Returns the number of blocks pruned.
+    pruneBlocks(retention = this.pruneRetention) {
+        if (!Number.isInteger(retention) || retention < 1) {
+            throw new Error('Prune retention must be a positive integer');
+        }
+        if (!this.snapshot) {
+            return 0;
+        }
+
+        const upTo = Math.min(this.snapshot.height, this.chain.length - 1 - retention);
+        let pruned = 0;
+        for (let i = 1; i <= upTo; i++) {
+            if (!this.chain[i].pruned) {
+                this.chain[i] = Block.fromHeader(this.chain[i].getHeader());
+                pruned++;
+            }
+        }
+
+        if (pruned > 0) {
+            this.setChain(this.chain);
+            if (this.storage) {
+                this.storage.writeChain(this.chain.map(block => block.getBlockInfo()));
+            }
+            console.log(`Pruned the bodies of ${pruned} blocks up to height ${upTo}`);
+        }
+        return pruned;
+    }
+
+    // Mine the highest-fee pending transactions into a block. Proof of work runs in a
+    // worker thread (proof of authority signs it, when it is our turn); the promise
+    // resolves with the block once it is on the chain and rejects (error.cancelled)
+    // if a competing block for the same height wins first.
+    async minePendingTransactions(miningRewardAddress) {
         if (!miningRewardAddress) {
             throw new Error('Mining reward address required');
         }
 
+        if (this.miningJob) {
+            throw new Error(`Already mining block ${this.miningJob.block.index}`);
+        }
+
+        // Commit the state reached at a snapshot height
+        const commitment = this.isSnapshotHeight(this.chain.length - 1)
+            ? this.createSnapshotCommitment(this.createSnapshot(this.index))
+            : null;
+
+        // Timestamps must strictly increase
+        const height = this.chain.length;
+        const timestamp = Math.max(Date.now(), this.getLatestBlock().timestamp + 1);
+
+        // Fill the block up to its limit, keeping slots for the commitment and the reward.
+        // Time-locked transactions (and the later nonces of their sender) wait in the mempool.
+        this.pruneMempool();
+        const transactions = this.mempool.selectForBlock(
+            this.genesisConfig.maxBlockTransactions - 1 - (commitment ? 1 : 0),
+            address => this.getAccountState(address),
+            transaction => !isTimeLocked(transaction, height, timestamp)
+        );
+        const fees = transactions.reduce((total, transaction) => total + (transaction.fee || 0), 0);
+
         // Add mining reward transaction
         const rewardTransaction = {
             from: null, // Mining reward comes from system
             to: miningRewardAddress,
-            amount: this.miningReward,
+            amount: this.miningReward + fees,
             timestamp: Date.now()
         };
-        
-        this.pendingTransactions.push(rewardTransaction);
 
-        // Create new block with pending transactions
+        // Create new block with the selected transactions
         const block = new Block(
-            this.chain.length,
-            Date.now(),
-            this.pendingTransactions,
+            height,
+            timestamp,
+            [...transactions, ...(commitment ? [commitment] : []), rewardTransaction],
             this.getLatestBlock().hash
         );
 
-        // Mine the block
-        block.mineBlock(this.difficulty);
+        // Seal the block (proof of work runs off the main thread)
+        this.miningJob = this.consensus.sealBlock(block, {
+            onProgress: progress => this.emit('miningProgress', progress)
+        });
+        try {
+            await this.miningJob.promise;
+        } finally {
+            this.miningJob = null;
+        }
         
-        // Validate block before adding
+        // Validate block before adding (the chain may have moved while mining)
         if (!this.isValidNewBlock(block)) {
             throw new Error('Invalid block - cannot add to chain');
         }
 
         // Add block to chain
-        this.chain.push(block);
+        this.appendBlock(block);
         
-        // Clear pending transactions
-        this.pendingTransactions = [];
+        // Drop the mined transactions, keeping those that did not fit
+        this.rebuildPendingTransactions(this.pendingTransactions);
         
         console.log(`Block ${block.index} mined successfully!`);
+        this.emit('blockMined', block);
+        this.emit('blockAdded', block);
         return block;
     }
 
@@ -91,7 +790,51 @@ class Blockchain {
             throw new Error('Invalid block - cannot add to chain');
         }
         
-        this.chain.push(newBlock);
+        this.appendBlock(newBlock);
+        this.emit('blockAdded', newBlock);
+    }
+
+    // Add a block mined by another node. Returns false if it does not extend our chain.
+    acceptBlock(blockData) {
+        const block = blockData instanceof Block ? blockData : Block.fromJSON(blockData);
+
+        if (!this.isValidNewBlock(block)) {
+            return false;
+        }
+
+        this.appendBlock(block);
+        this.cancelStaleMining(`block ${block.index} received`);
+        this.rebuildPendingTransactions(this.pendingTransactions);
+        this.emit('blockAdded', block);
+        return true;
+    }
+
+    isMining() {
+        return this.miningJob !== null;
+    }
+
+    // Progress of the current mining job, or null when idle
+    getMiningStatus() {
+        return this.miningJob ? this.miningJob.getProgress() : null;
+    }
+
+    // Stop the current mining job; its minePendingTransactions promise rejects
+    cancelMining(reason = 'cancelled') {
+        return this.miningJob ? this.miningJob.cancel(reason) : false;
+    }
+
+    // A job building on a block that is no longer our tip can never be accepted
+    cancelStaleMining(reason) {
+        if (this.miningJob && this.miningJob.block.previousHash !== this.getLatestBlock().hash) {
+            this.cancelMining(reason);
+        }
+    }
+
+    // Log why a block was refused and emit validationFailed ({ blockIndex, blockHash, reason })
+    reportInvalidBlock(block, reason) {
+        console.log(`Block ${block.index} rejected: ${reason}`);
+        this.emit('validationFailed', { blockIndex: block.index, blockHash: block.hash, reason });
+        return false;
     }
 
     // Validate a new block before adding to chain
@@ -100,130 +843,587 @@ class Blockchain {
         
         // Check index
         if (newBlock.index !== latestBlock.index + 1) {
-            console.log('Invalid index');
-            return false;
+            return this.reportInvalidBlock(newBlock, `index ${newBlock.index} does not follow ${latestBlock.index}`);
         }
         
         // Check previous hash
         if (newBlock.previousHash !== latestBlock.hash) {
-            console.log('Invalid previous hash');
-            return false;
+            return this.reportInvalidBlock(newBlock, `previous hash does not match block ${latestBlock.index}`);
         }
         
         // Check hash calculation
         if (newBlock.hash !== newBlock.calculateHash()) {
-            console.log('Invalid hash');
-            return false;
+            return this.reportInvalidBlock(newBlock, 'hash does not match the block contents');
+        }
+
+        // Check the Merkle root matches the transactions
+        if (!newBlock.hasValidMerkleRoot()) {
+            return this.reportInvalidBlock(newBlock, 'merkle root does not match block transactions');
         }
         
-        // Check mining difficulty
-        if (!this.hasValidDifficulty(newBlock)) {
-            console.log('Block not properly mined');
-            return false;
+        // Check the seal: proof of work or validator signature, depending on the consensus
+        const sealError = this.consensus.verifySeal(newBlock, this.chain);
+        if (sealError) {
+            return this.reportInvalidBlock(newBlock, `invalid seal: ${sealError}`);
         }
         
         // Check timestamp
         if (newBlock.timestamp <= latestBlock.timestamp) {
-            console.log('Invalid timestamp');
-            return false;
+            return this.reportInvalidBlock(newBlock, `timestamp ${newBlock.timestamp} is not after block ${latestBlock.index}`);
+        }
+
+        // Check signatures and balances
+        const transactionError = this.findInvalidTransaction(newBlock);
+        if (transactionError) {
+            return this.reportInvalidBlock(newBlock, `invalid transaction: ${transactionError}`);
         }
         
         return true;
     }
 
     // Check if block meets mining difficulty
-    hasValidDifficulty(block) {
-        const target = Array(this.difficulty + 1).join('0');
-        return block.hash.substring(0, this.difficulty) === target;
+    hasValidDifficulty(block, difficulty = block.difficulty) {
+        return meetsDifficulty(block.hash, difficulty);
     }
 
-    // Enhanced chain validation
+    // Full validation report of the chain, or of exported block data (see audit.js):
+    // every problem with its block, category and expected versus actual values
+    auditChain(blocks = this.chain, snapshot = this.snapshot) {
+        return auditChain(this, blocks, snapshot);
+    }
+
+    // Whether the whole chain is valid; the first problem is logged and emitted
     isChainValid() {
-        // Check genesis block
-        if (JSON.stringify(this.chain[0]) !== JSON.stringify(this.createGenesisBlock())) {
-            console.log('Invalid genesis block');
-            return false;
+        const { problems } = this.auditChain();
+        if (problems.length > 0) {
+            const [{ blockIndex, category, message }] = problems;
+            return this.reportInvalidBlock(this.chain[blockIndex], `${category}: ${message}`);
         }
+        return true;
+    }
+
+    // Get balance for address (for cryptocurrency use)
+    getBalanceOfAddress(address) {
+        return this.index.getAccount(address).balance;
+    }
 
-        // Check all blocks
-        for (let i = 1; i < this.chain.length; i++) {
-            const currentBlock = this.chain[i];
-            const previousBlock = this.chain[i - 1];
+    // Confirmed balance and nonce of an address
+    getAccountState(address) {
+        return this.index.getAccount(address);
+    }
 
-            // Use block's own validation method
-            if (!currentBlock.isValid(previousBlock)) {
-                console.log(`Invalid block at index ${i}`);
-                return false;
-            }
+    // Confirmed transactions of an address, oldest first. Pass { offset, limit } for one page.
+    getTransactionsOfAddress(address, { offset = 0, limit } = {}) {
+        return this.index.getAddressTransactions(address, { offset, limit }).map(({ block, transaction }) => ({
+            ...transaction,
+            transactionHash: hashTransaction(transaction),
+            blockIndex: block.index,
+            blockHash: block.hash
+        }));
+    }
 
-            // Check mining difficulty
-            if (!this.hasValidDifficulty(currentBlock)) {
-                console.log(`Block ${i} not properly mined`);
-                return false;
-            }
+    countTransactionsOfAddress(address) {
+        return this.index.countAddressTransactions(address);
+    }
+
+    getBlockByHash(hash) {
+        return this.index.getBlockByHash(hash);
+    }
+
+    // Confirmed transaction by hash, with the block that holds it
+    getTransaction(transactionHash) {
+        const location = this.index.getTransactionLocation(transactionHash);
+        if (!location) {
+            return null;
         }
-        
-        return true;
+
+        const block = this.chain[location.blockIndex];
+        return {
+            transaction: block.getTransactions()[location.position],
+            transactionHash,
+            blockIndex: block.index,
+            blockHash: block.hash,
+            position: location.position,
+            confirmations: this.chain.length - block.index
+        };
     }
 
-    // Get balance for address (for cryptocurrency use)
-    getBalanceOfAddress(address) {
-        let balance = 0;
+    // Medical records of a patient with their amendments, oldest first ({ offset, limit } for one page)
+    getRecordsOfPatient(patient, { offset = 0, limit } = {}) {
+        return this.index.records.getPatientRecords(patient, { offset, limit }).map(RecordRegistry.describeRecord);
+    }
 
-        for (const block of this.chain) {
-            if (Array.isArray(block.data)) {
-                for (const trans of block.data) {
-                    if (trans.from === address) {
-                        balance -= trans.amount;
-                    }
-                    if (trans.to === address) {
-                        balance += trans.amount;
-                    }
-                }
-            }
+    countRecordsOfPatient(patient) {
+        return this.index.records.countPatientRecords(patient);
+    }
+
+    getRecord(recordHash) {
+        const record = this.index.records.getRecord(recordHash);
+        return record ? RecordRegistry.describeRecord(record) : null;
+    }
+
+    // Content keys wrapped for `address` on an encrypted record and its amendments,
+    // { entry hash: wrapped key }, to decrypt client-side with CryptoManager.decryptPayload
+    getRecordKeys(recordHash, address) {
+        const record = this.index.records.getRecord(recordHash);
+        if (!record) {
+            return null;
         }
 
-        return balance;
+        const keys = {};
+        [record.hash, ...record.amendments.map(amendment => amendment.hash)].forEach(entryHash => {
+            const wrappedKey = this.index.records.getWrappedKey(entryHash, address);
+            if (wrappedKey) {
+                keys[entryHash] = wrappedKey;
+            }
+        });
+        return keys;
     }
 
-    // Get all transactions for address
-    getTransactionsOfAddress(address) {
-        const transactions = [];
+    // A record with its payloads decrypted by an authorised reader (the patient, the
+    // author or a grantee with read access)
+    decryptRecord(recordHash, privateKey, password = null, now = Date.now()) {
+        const { records } = this.index;
+        const record = records.getRecord(recordHash);
+        if (!record) {
+            throw new Error(`Record ${recordHash} not found`);
+        }
 
-        for (const block of this.chain) {
-            if (Array.isArray(block.data)) {
-                for (const trans of block.data) {
-                    if (trans.from === address || trans.to === address) {
-                        transactions.push({
-                            ...trans,
-                            blockIndex: block.index,
-                            blockHash: block.hash
-                        });
-                    }
-                }
+        const address = cryptoManager.generateAddress(cryptoManager.getPublicKey(privateKey, password));
+        const isAuthor = record.transaction.from === address;
+        if (!isAuthor && !records.hasAccess(record.patient, address, 'read', recordHash, now)) {
+            throw new Error(`${address} has no read access to record ${recordHash}`);
+        }
+
+        const decrypt = (entryHash, payload) => {
+            if (!records.isEncryptedEntry(entryHash)) {
+                return payload;
+            }
+            const wrappedKey = records.getWrappedKey(entryHash, address);
+            if (!wrappedKey) {
+                throw new Error(`No content key wrapped for ${address} on entry ${entryHash}`);
             }
+            return cryptoManager.decryptPayload(payload, privateKey, password, wrappedKey);
+        };
+
+        const view = RecordRegistry.describeRecord(record);
+        view.payload = decrypt(view.recordHash, view.payload);
+        view.amendments.forEach(amendment => {
+            amendment.payload = decrypt(amendment.amendmentHash, amendment.payload);
+        });
+        view.currentPayload = view.amendments.length > 0 ? view.amendments[view.amendments.length - 1].payload : view.payload;
+        return view;
+    }
+
+    // Access grants given by a patient, flagged as active or expired
+    getAccessGrants(patient, now = Date.now()) {
+        return this.index.records.getGrants(patient).map(({ hash, grantee, permissions, recordHash, expiresAt, blockIndex }) => ({
+            grantHash: hash,
+            grantee,
+            permissions,
+            recordHash,
+            expiresAt,
+            blockIndex,
+            active: expiresAt === null || expiresAt > now
+        }));
+    }
+
+    // Merkle inclusion proof for a transaction hash (see Block.verifyInclusionProof)
+    getTransactionProof(transactionHash) {
+        const location = this.index.getTransactionLocation(transactionHash);
+        if (!location) {
+            return null;
         }
 
-        return transactions;
+        const block = this.chain[location.blockIndex];
+        return {
+            ...block.getMerkleProof(transactionHash),
+            transaction: block.getTransactions()[location.position],
+            blockIndex: block.index,
+            confirmations: this.chain.length - block.index
+        };
+    }
+
+    // Block headers from height `from` on, for light clients
+    getHeaders({ from = 0, limit = this.chain.length } = {}) {
+        return this.chain.slice(from, from + limit).map(block => block.getHeader());
+    }
+
+    // Most recent blocks, newest first ({ offset, limit } counts back from the tip)
+    getLatestBlocks({ offset = 0, limit = this.chain.length } = {}) {
+        const end = Math.max(this.chain.length - offset, 0);
+        const start = Math.max(end - limit, 0);
+        return this.chain.slice(start, end).reverse();
+    }
+
+    // Explorer statistics over the last `window` blocks: block times, difficulty and mempool.
+    // Genesis is left out of block times since its timestamp is fixed by the network config.
+    getChainStats({ window = 100 } = {}) {
+        const recent = this.chain.slice(1).slice(-window);
+
+        const blockTimes = recent.slice(1).map((block, i) => block.timestamp - recent[i].timestamp);
+        const averageBlockTime = blockTimes.length > 0
+            ? blockTimes.reduce((total, time) => total + time, 0) / blockTimes.length
+            : null;
+
+        return {
+            height: this.chain.length - 1,
+            totalBlocks: this.chain.length,
+            totalTransactions: this.index.countTransactions(),
+            consensus: this.consensus.type,
+            difficulty: this.difficulty,
+            targetBlockTime: this.genesisConfig.targetBlockTime,
+            averageBlockTime,
+            window: recent.length,
+            difficultyHistory: recent.map(({ index, difficulty, timestamp }) => ({ index, difficulty, timestamp })),
+            mempool: {
+                size: this.mempool.size,
+                maxSize: this.mempool.maxSize,
+                totalFees: this.pendingTransactions.reduce((total, transaction) => total + (transaction.fee || 0), 0)
+            }
+        };
     }
 
     // Get blockchain stats
     getStats() {
         return {
+            networkId: this.networkId,
+            genesisHash: this.genesisHash,
+            consensus: this.consensus.type,
             totalBlocks: this.chain.length,
             difficulty: this.difficulty,
-            pendingTransactions: this.pendingTransactions.length,
+            targetBlockTime: this.genesisConfig.targetBlockTime,
+            retargetInterval: this.genesisConfig.retargetInterval,
+            maxBlockTransactions: this.genesisConfig.maxBlockTransactions,
+            pendingTransactions: this.mempool.size,
             lastBlock: this.getLatestBlock().getBlockInfo()
         };
     }
 
+    // Rebuild chain and mempool from storage, verifying every block on the way
+    loadFromStorage() {
+        // Pruned blocks need the snapshot they were pruned up to
+        const storedSnapshot = this.storage.loadSnapshot();
+        if (storedSnapshot) {
+            this.setSnapshot(validateSnapshot(storedSnapshot, this.networkId));
+        }
+
+        this.setChain(this.buildValidatedChain(this.storage.loadBlocks()));
+        this.multisigPool.load(this.storage.loadMultisigTransactions());
+        this.rebuildPendingTransactions(this.storage.loadMempool());
+        console.log(`Loaded ${this.chain.length} blocks and ${this.mempool.size} pending transactions from storage`);
+    }
+
+    // Turn exported block data into Block instances, recomputing every hash and
+    // checking linkage, difficulty and timestamps. Throws on the first bad block.
+    // The data may continue `base`, blocks of our own chain from genesis: those are
+    // already validated, so they are only replayed.
+    buildValidatedChain(blockInfos, snapshot = this.snapshot, base = []) {
+        if (!Array.isArray(blockInfos) || blockInfos.length === 0) {
+            throw new Error('Chain data must be a non-empty array of blocks');
+        }
+
+        // Consensus state past pruned blocks resumes from the snapshot
+        if (snapshot) {
+            this.consensus.addBase(snapshot);
+        }
+
+        const chain = [];
+        const state = new ChainIndex(); // Accounts and records replayed block by block
+
+        base.forEach(block => {
+            this.applyToState(state, block, snapshot);
+            chain.push(block);
+        });
+
+        blockInfos.forEach((info, position) => {
+            const i = base.length + position;
+            let block;
+            try {
+                block = Block.fromJSON(info);
+            } catch (error) {
+                throw invalidBlockError(i, error.message);
+            }
+
+            if (block.index !== i) {
+                throw invalidBlockError(i, `expected index ${i}, found ${block.index}`);
+            }
+
+            const computedHash = block.calculateHash();
+            if (block.hash !== computedHash) {
+                throw invalidBlockError(i, `hash mismatch (stored ${block.hash}, computed ${computedHash})`);
+            }
+
+            if (!block.hasValidMerkleRoot()) {
+                throw invalidBlockError(i, 'merkle root does not match block transactions');
+            }
+
+            if (i === 0 && block.hash !== this.genesisHash) {
+                throw invalidBlockError(0, `genesis block does not match network ${this.networkId}`);
+            }
+
+            if (i > 0) {
+                const previousBlock = chain[i - 1];
+
+                if (block.previousHash !== previousBlock.hash) {
+                    throw invalidBlockError(i, `previous hash does not match block ${i - 1}`);
+                }
+
+                if (block.timestamp <= previousBlock.timestamp) {
+                    throw invalidBlockError(i, `timestamp ${block.timestamp} is not after block ${i - 1} (${previousBlock.timestamp})`);
+                }
+
+                const sealError = this.consensus.verifySeal(block, chain);
+                if (sealError) {
+                    throw invalidBlockError(i, sealError);
+                }
+
+                const [problem] = this.replayBlock(state, block, snapshot);
+                if (problem) {
+                    throw invalidBlockError(i, problem.message);
+                }
+            } else {
+                state.addBlock(block);
+            }
+
+            chain.push(block);
+        });
+
+        if (state.missingBodies) {
+            throw invalidBlockError(chain.length - 1, 'pruned blocks do not lead to a known snapshot');
+        }
+
+        return chain;
+    }
+
+    // Restore a chain produced by exportChain(), replacing the current one
+    importChain(data) {
+        let exported = data;
+        if (typeof data === 'string') {
+            try {
+                exported = JSON.parse(data);
+            } catch (error) {
+                throw new Error(`Invalid chain export: ${error.message}`);
+            }
+        }
+
+        if (!exported || !Array.isArray(exported.chain)) {
+            throw new Error('Invalid chain export: missing chain array');
+        }
+
+        if (exported.networkId && exported.networkId !== this.networkId) {
+            throw new Error(`Invalid chain export: network ${exported.networkId} does not match ${this.networkId}`);
+        }
+
+        const pendingTransactions = exported.pendingTransactions || [];
+        if (!Array.isArray(pendingTransactions)) {
+            throw new Error('Invalid chain export: pendingTransactions must be an array');
+        }
+
+        // A pruned export carries the snapshot its pruned blocks lead to
+        let snapshot = this.snapshot;
+        if (exported.snapshot) {
+            snapshot = validateSnapshot(exported.snapshot, this.networkId);
+            if (exported.chain.length <= snapshot.height + 1) {
+                throw new Error('Invalid chain export: snapshot is not committed by the exported chain');
+            }
+        }
+
+        const chain = this.buildValidatedChain(exported.chain, snapshot);
+
+        if (snapshot) {
+            this.setSnapshot(snapshot);
+        }
+        this.setChain(chain);
+        this.cancelStaleMining('chain imported');
+
+        if (this.storage) {
+            this.storage.writeChain(chain.map(block => block.getBlockInfo()));
+        }
+        this.rebuildPendingTransactions(pendingTransactions);
+
+        return this.chain.length;
+    }
+
+    // Weight of a block of `chain` for fork choice, as defined by the consensus
+    getBlockWork(block, chain = this.chain) {
+        // Genesis is shared by every candidate, so it never decides a fork
+        return block.index === 0 ? 0 : this.consensus.getBlockWork(block, chain);
+    }
+
+    // Total work of a chain (defaults to ours)
+    getCumulativeWork(chain = this.chain) {
+        return chain.reduce((work, block) => work + this.getBlockWork(block, chain), 0);
+    }
+
+    // Switch to a competing chain if it is valid, shares our genesis and carries
+    // more cumulative work. Orphaned transactions go back to the pending pool.
+    // With `fromIndex`, the candidate is only the competing branch from that height,
+    // following our own blocks below it, and only the branch is validated.
+    replaceChain(candidateBlocks, fromIndex = 0) {
+        if (!Number.isInteger(fromIndex) || fromIndex < 0 || fromIndex > this.chain.length) {
+            throw new Error(`Branch start must be a height between 0 and ${this.chain.length}`);
+        }
+
+        const blockInfos = (candidateBlocks || []).map(block => (block instanceof Block ? block.getBlockInfo() : block));
+        let candidate;
+        try {
+            candidate = this.buildValidatedChain(blockInfos, this.snapshot, this.chain.slice(0, fromIndex));
+        } catch (error) {
+            if (error.blockIndex !== undefined) {
+                const info = blockInfos[error.blockIndex - fromIndex] || {};
+                this.emit('validationFailed', { blockIndex: error.blockIndex, blockHash: info.hash, reason: error.message });
+            }
+            throw error;
+        }
+
+        const currentWork = this.getCumulativeWork();
+        const candidateWork = this.getCumulativeWork(candidate);
+        if (candidateWork <= currentWork) {
+            throw new Error(`Candidate chain does not carry more work (${candidateWork} <= ${currentWork})`);
+        }
+
+        // First height where the chains disagree (genesis is always shared)
+        let forkIndex = 1;
+        while (
+            forkIndex < this.chain.length &&
+            forkIndex < candidate.length &&
+            this.chain[forkIndex].hash === candidate[forkIndex].hash
+        ) {
+            forkIndex++;
+        }
+
+        const droppedBlocks = this.chain.slice(forkIndex);
+        const adoptedBlocks = candidate.slice(forkIndex);
+
+        // Transactions now confirmed by the winning chain
+        const adoptedKeys = new Set();
+        adoptedBlocks.forEach(block => {
+            if (Array.isArray(block.data)) {
+                block.data.forEach(transaction => adoptedKeys.add(transactionKey(transaction)));
+            }
+        });
+
+        // Orphaned user transactions (mining rewards die with their block)
+        const orphaned = [];
+        droppedBlocks.forEach(block => {
+            if (Array.isArray(block.data)) {
+                block.data
+                    .filter(transaction => transaction.from !== null && !adoptedKeys.has(transactionKey(transaction)))
+                    .forEach(transaction => orphaned.push(transaction));
+            }
+        });
+
+        const previousPending = this.pendingTransactions;
+
+        this.setChain(candidate);
+        this.cancelStaleMining('chain replaced');
+
+        if (this.storage) {
+            this.storage.writeChain(candidate.map(block => block.getBlockInfo()));
+        }
+
+        // Orphans first so their nonces come before later pending ones
+        this.rebuildPendingTransactions([...orphaned, ...previousPending]);
+
+        const reorg = {
+            forkPoint: {
+                index: forkIndex - 1,
+                hash: candidate[forkIndex - 1].hash
+            },
+            droppedBlocks: droppedBlocks.length,
+            adoptedBlocks: adoptedBlocks.length,
+            restoredTransactions: orphaned.length,
+            newHeight: candidate.length
+        };
+
+        console.log(`Chain replaced at block ${reorg.forkPoint.index}: ${reorg.droppedBlocks} dropped, ${reorg.adoptedBlocks} adopted`);
+        this.emit('chainReplaced', reorg);
+        return reorg;
+    }
+
+    // Create a blockchain from exportChain() output
+    static fromJSON(data, options = {}) {
+        const blockchain = new Blockchain(options);
+        blockchain.importChain(data);
+        return blockchain;
+    }
+
+    // Extend the chain with a validated block
+    appendBlock(block) {
+        const previousSnapshot = this.snapshot;
+
+        this.chain.push(block);
+        this.indexBlock(block);
+        this.persistBlock(block);
+        this.updateDifficulty();
+
+        if (this.pruneRetention !== null && this.snapshot !== previousSnapshot) {
+            this.pruneBlocks();
+        }
+    }
+
+    // Switch to a validated chain (load, import, reorg)
+    setChain(chain) {
+        // A snapshot of a branch we are leaving no longer applies
+        const { snapshot } = this;
+        if (snapshot && !(chain[snapshot.height] && chain[snapshot.height].hash === snapshot.blockHash)) {
+            this.snapshot = null;
+        }
+
+        this.chain = chain;
+        this.index.clear();
+        chain.forEach(block => this.indexBlock(block));
+        this.updateDifficulty();
+    }
+
+    // Index a block at the tip, taking the snapshot its body commits to first
+    indexBlock(block) {
+        if (!block.pruned && this.isSnapshotHeight(block.index - 1)) {
+            this.setSnapshot(this.createSnapshot(this.index));
+        }
+
+        this.index.addBlock(block);
+
+        // Bodies pruned up to here: the snapshot holds the state they led to
+        const { snapshot } = this;
+        if (this.index.missingBodies && snapshot && block.index === snapshot.height && block.hash === snapshot.blockHash) {
+            this.index.loadState(snapshot.state);
+        }
+    }
+
+    persistBlock(block) {
+        if (this.storage) {
+            this.storage.appendBlock(block.getBlockInfo());
+        }
+    }
+
+    persistMempool() {
+        if (this.storage) {
+            this.storage.saveMempool(this.pendingTransactions);
+        }
+    }
+
+    persistMultisig() {
+        if (this.storage) {
+            this.storage.saveMultisigTransactions(this.multisigPool.toJSON());
+        }
+    }
+
     // Export chain for backup
     exportChain() {
-        return {
+        const exported = {
+            networkId: this.networkId,
             chain: this.chain.map(block => block.getBlockInfo()),
             difficulty: this.difficulty,
             pendingTransactions: this.pendingTransactions
         };
+
+        // Pruned blocks can only be checked against the snapshot they lead to
+        if (this.chain.some(block => block.pruned)) {
+            exported.snapshot = this.snapshot;
+        }
+        return exported;
     }
 }
 
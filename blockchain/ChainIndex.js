@@ -0,0 +1,119 @@
+const Block = require('./Block');
+const RecordRegistry = require('./RecordRegistry');
+const { hashTransaction } = require('./utils/merkle');
+const { applyToAccounts } = require('./utils/accounts');
+
+// Lookup tables over the chain, updated block by block so queries never scan it:
+// block hash -> block, transaction hash -> position, address -> state and history,
+// plus the medical records and access grants confirmed so far
+class ChainIndex {
+    constructor() {
+        this.clear();
+    }
+
+    clear() {
+        this.chain = [];
+        this.blocksByHash = new Map();
+        this.transactionsByHash = new Map(); // hash -> { blockIndex, position }
+        this.accounts = new Map(); // address -> { balance, nonce }
+        this.addressTransactions = new Map(); // address -> [{ blockIndex, position }] in chain order
+        this.records = new RecordRegistry();
+        this.missingBodies = false; // Pruned blocks were indexed and no snapshot has filled in their state yet
+    }
+
+    // Index a whole chain from scratch (load, import, reorg)
+    rebuild(chain) {
+        this.clear();
+        chain.forEach(block => this.addBlock(block));
+    }
+
+    // Index the block appended at the tip
+    addBlock(block) {
+        this.chain.push(block);
+        this.blocksByHash.set(block.hash, block);
+
+        // Header only: its transactions and their effect on the state are gone
+        if (block.pruned) {
+            this.missingBodies = true;
+            return;
+        }
+
+        Block.getTransactionList(block.data).forEach((transaction, position) => {
+            const transactionHash = hashTransaction(transaction);
+            if (!this.transactionsByHash.has(transactionHash)) {
+                this.transactionsByHash.set(transactionHash, { blockIndex: block.index, position });
+            }
+        });
+
+        if (!Array.isArray(block.data)) {
+            return;
+        }
+
+        applyToAccounts(this.accounts, block);
+        this.records.applyBlock(block);
+
+        block.data.forEach((transaction, position) => {
+            if (!transaction) return;
+
+            const location = { blockIndex: block.index, position };
+            const addresses = new Set([transaction.from, transaction.to].filter(Boolean));
+            addresses.forEach(address => {
+                if (!this.addressTransactions.has(address)) {
+                    this.addressTransactions.set(address, []);
+                }
+                this.addressTransactions.get(address).push(location);
+            });
+        });
+    }
+
+    // Accounts and records, as a plain copy for snapshots (accounts sorted by address)
+    exportState() {
+        const accounts = Array.from(this.accounts, ([address, { balance, nonce }]) => ({ address, balance, nonce }))
+            .sort((a, b) => a.address.localeCompare(b.address));
+        return JSON.parse(JSON.stringify({ accounts, records: this.records.exportState() }));
+    }
+
+    // Replace accounts and records with a snapshot's (see exportState)
+    loadState({ accounts, records }) {
+        this.accounts = new Map(accounts.map(({ address, balance, nonce }) => [address, { balance, nonce }]));
+        this.records = new RecordRegistry();
+        this.records.loadState(JSON.parse(JSON.stringify(records)));
+        this.missingBodies = false;
+    }
+
+    getBlockByHash(hash) {
+        return this.blocksByHash.get(hash) || null;
+    }
+
+    // Where a transaction was confirmed, or null
+    getTransactionLocation(transactionHash) {
+        return this.transactionsByHash.get(transactionHash) || null;
+    }
+
+    countTransactions() {
+        return this.transactionsByHash.size;
+    }
+
+    // Confirmed { balance, nonce } of an address (a copy, safe to modify)
+    getAccount(address) {
+        const account = this.accounts.get(address);
+        return account ? { ...account } : { balance: 0, nonce: 0 };
+    }
+
+    countAddressTransactions(address) {
+        return (this.addressTransactions.get(address) || []).length;
+    }
+
+    // One page of an address's confirmed transactions, oldest first
+    getAddressTransactions(address, { offset = 0, limit } = {}) {
+        const locations = this.addressTransactions.get(address) || [];
+        const end = limit === undefined ? locations.length : offset + limit;
+
+        return locations.slice(offset, end).map(({ blockIndex, position }) => ({
+            block: this.chain[blockIndex],
+            transaction: this.chain[blockIndex].data[position]
+        }));
+    }
+}
+
+module.exports = ChainIndex;
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+
+class ChainStorage {
+    constructor(dataDir = process.env.BLOCKCHAIN_DATA_DIR || path.join(process.cwd(), 'data')) {
+        this.dataDir = dataDir;
+        this.blocksPath = path.join(dataDir, 'blocks.jsonl');
+        this.mempoolPath = path.join(dataDir, 'mempool.json');
+        this.snapshotPath = path.join(dataDir, 'snapshot.json');
+        this.anchorsPath = path.join(dataDir, 'anchors.json');
+        this.multisigPath = path.join(dataDir, 'multisig.json');
+        this.ensureDataDirectory();
+    }
+
+    // Ensure data directory exists
+    ensureDataDirectory() {
+        if (!fs.existsSync(this.dataDir)) {
+            fs.mkdirSync(this.dataDir, { recursive: true });
+        }
+    }
+
+    // Check whether a chain has already been written
+    hasChain() {
+        return fs.existsSync(this.blocksPath) && fs.statSync(this.blocksPath).size > 0;
+    }
+
+    // Append a single block (one JSON document per line)
+    appendBlock(blockInfo) {
+        try {
+            fs.appendFileSync(this.blocksPath, JSON.stringify(blockInfo) + '\n');
+        } catch (error) {
+            throw new Error(`Failed to persist block ${blockInfo.index}: ${error.message}`);
+        }
+    }
+
+    // Read every stored block in chain order. With `repair`, a torn last record is also
+    // fixed on disk (read-only callers such as the audit leave a running node's file alone).
+    loadBlocks({ repair = true } = {}) {
+        if (!this.hasChain()) {
+            return [];
+        }
+
+        const content = fs.readFileSync(this.blocksPath, 'utf8');
+        const lines = content.split('\n');
+        const blocks = [];
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (!line) continue;
+
+            try {
+                blocks.push(JSON.parse(line));
+            } catch (error) {
+                // A torn write can only affect the last line: cut it off the file, so the
+                // next block is appended on a line of its own, and keep the rest
+                if (i >= lines.length - 2) {
+                    console.warn(`Ignoring incomplete block record at line ${i + 1}`);
+                    if (repair) {
+                        const complete = lines.slice(0, i).map(kept => kept + '\n').join('');
+                        fs.truncateSync(this.blocksPath, Buffer.byteLength(complete));
+                    }
+                    return blocks;
+                }
+                throw new Error(`Corrupted block record at line ${i + 1}: ${error.message}`);
+            }
+        }
+
+        // Complete last record torn just before its newline
+        if (repair && !content.endsWith('\n')) {
+            fs.appendFileSync(this.blocksPath, '\n');
+        }
+
+        return blocks;
+    }
+
+    // Replace the whole stored chain (written to a temp file, then renamed)
+    writeChain(blockInfos) {
+        const content = blockInfos.map(info => JSON.stringify(info) + '\n').join('');
+        this.writeAtomically(this.blocksPath, content);
+    }
+
+    // Store pending transactions
+    saveMempool(transactions) {
+        this.writeAtomically(this.mempoolPath, JSON.stringify(transactions, null, 2));
+    }
+
+    // Load pending transactions
+    loadMempool() {
+        if (!fs.existsSync(this.mempoolPath)) {
+            return [];
+        }
+
+        try {
+            const transactions = JSON.parse(fs.readFileSync(this.mempoolPath, 'utf8'));
+            return Array.isArray(transactions) ? transactions : [];
+        } catch (error) {
+            console.warn(`Ignoring unreadable mempool file: ${error.message}`);
+            return [];
+        }
+    }
+
+    // Store multisig transactions still collecting approvals
+    saveMultisigTransactions(proposals) {
+        this.writeAtomically(this.multisigPath, JSON.stringify(proposals, null, 2));
+    }
+
+    // Load multisig transactions still collecting approvals
+    loadMultisigTransactions() {
+        if (!fs.existsSync(this.multisigPath)) {
+            return [];
+        }
+
+        try {
+            const proposals = JSON.parse(fs.readFileSync(this.multisigPath, 'utf8'));
+            return Array.isArray(proposals) ? proposals : [];
+        } catch (error) {
+            console.warn(`Ignoring unreadable multisig file: ${error.message}`);
+            return [];
+        }
+    }
+
+    // Store the latest state snapshot (needed to reload pruned blocks)
+    saveSnapshot(snapshot) {
+        this.writeAtomically(this.snapshotPath, JSON.stringify(snapshot));
+    }
+
+    // Load the latest state snapshot, or null
+    loadSnapshot() {
+        if (!fs.existsSync(this.snapshotPath)) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Corrupted snapshot file: ${error.message}`);
+        }
+    }
+
+    // Store the Ethereum anchors of the chain
+    saveAnchors(anchors) {
+        this.writeAtomically(this.anchorsPath, JSON.stringify(anchors, null, 2));
+    }
+
+    // Load the Ethereum anchors of the chain
+    loadAnchors() {
+        if (!fs.existsSync(this.anchorsPath)) {
+            return [];
+        }
+
+        try {
+            const anchors = JSON.parse(fs.readFileSync(this.anchorsPath, 'utf8'));
+            return Array.isArray(anchors) ? anchors : [];
+        } catch (error) {
+            throw new Error(`Corrupted anchors file: ${error.message}`);
+        }
+    }
+
+    writeAtomically(filePath, content) {
+        const tempPath = `${filePath}.tmp`;
+        try {
+            fs.writeFileSync(tempPath, content);
+            fs.renameSync(tempPath, filePath);
+        } catch (error) {
+            throw new Error(`Failed to write ${path.basename(filePath)}: ${error.message}`);
+        }
+    }
+
+    // Remove all stored data
+    clear() {
+        [this.blocksPath, this.mempoolPath, this.snapshotPath, this.anchorsPath, this.multisigPath].forEach(filePath => {
+            if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+        });
+    }
+}
+
+module.exports = ChainStorage;
@@ -0,0 +1,128 @@
+const { Web3 } = require('web3');
+const { rootToBytes32, bytes32ToRoot } = require('./anchoring');
+
+// Anchoring part of the BirthCertificate contract ABI (src/blockchain/contracts/BirthCertificate.sol),
+// kept here so the node does not depend on the contract build artifacts
+const ANCHOR_ABI = [
+    {
+        type: 'function',
+        name: 'anchorChain',
+        stateMutability: 'nonpayable',
+        inputs: [
+            { name: '_root', type: 'bytes32' },
+            { name: '_networkId', type: 'string' },
+            { name: '_fromHeight', type: 'uint256' },
+            { name: '_toHeight', type: 'uint256' }
+        ],
+        outputs: [{ name: '', type: 'uint256' }]
+    },
+    {
+        type: 'function',
+        name: 'getAnchor',
+        stateMutability: 'view',
+        inputs: [{ name: '_anchorId', type: 'uint256' }],
+        outputs: [
+            { name: 'id', type: 'uint256' },
+            { name: 'root', type: 'bytes32' },
+            { name: 'networkId', type: 'string' },
+            { name: 'fromHeight', type: 'uint256' },
+            { name: 'toHeight', type: 'uint256' },
+            { name: 'anchoredBy', type: 'address' },
+            { name: 'blockNumber', type: 'uint256' },
+            { name: 'timestamp', type: 'uint256' }
+        ]
+    },
+    {
+        type: 'function',
+        name: 'getAnchorCount',
+        stateMutability: 'view',
+        inputs: [],
+        outputs: [{ name: '', type: 'uint256' }]
+    },
+    {
+        type: 'event',
+        name: 'ChainAnchored',
+        anonymous: false,
+        inputs: [
+            { name: 'id', type: 'uint256', indexed: true },
+            { name: 'root', type: 'bytes32', indexed: true },
+            { name: 'networkId', type: 'string', indexed: false },
+            { name: 'fromHeight', type: 'uint256', indexed: false },
+            { name: 'toHeight', type: 'uint256', indexed: false },
+            { name: 'anchoredBy', type: 'address', indexed: false }
+        ]
+    }
+];
+
+// Chain anchors stored in the Ethereum registry contract. Transactions are sent from
+// `privateKey` when given, otherwise from the node's first unlocked account (Ganache);
+// that account needs the contract's ANCHOR_ROLE.
+class EthereumAnchorRegistry {
+    constructor(options = {}) {
+        if (!options.contractAddress) {
+            throw new Error('Anchoring needs the registry contract address');
+        }
+
+        this.web3 = new Web3(options.providerUrl || 'http://localhost:8545');
+        this.contract = new this.web3.eth.Contract(ANCHOR_ABI, options.contractAddress);
+        this.account = options.account || null;
+
+        if (options.privateKey) {
+            const account = this.web3.eth.accounts.privateKeyToAccount(options.privateKey);
+            this.web3.eth.accounts.wallet.add(account);
+            this.account = account.address;
+        }
+    }
+
+    async getAccount() {
+        if (!this.account) {
+            const [account] = await this.web3.eth.getAccounts();
+            if (!account) {
+                throw new Error('No Ethereum account available to send anchors from');
+            }
+            this.account = account;
+        }
+        return this.account;
+    }
+
+    // Commit a root; resolves with the anchor id and where it was recorded
+    async anchor({ root, networkId, fromHeight, toHeight }) {
+        const receipt = await this.contract.methods
+            .anchorChain(rootToBytes32(root), networkId, fromHeight, toHeight)
+            .send({ from: await this.getAccount() });
+
+        return {
+            anchorId: Number(receipt.events.ChainAnchored.returnValues.id),
+            transactionHash: receipt.transactionHash,
+            blockNumber: Number(receipt.blockNumber)
+        };
+    }
+
+    // Anchor as recorded by the contract, or null when there is none with this id
+    async getAnchor(anchorId) {
+        const count = Number(await this.contract.methods.getAnchorCount().call());
+        if (!Number.isInteger(anchorId) || anchorId < 1 || anchorId > count) {
+            return null;
+        }
+
+        const anchor = await this.contract.methods.getAnchor(anchorId).call();
+        return {
+            anchorId: Number(anchor.id),
+            root: bytes32ToRoot(anchor.root),
+            networkId: anchor.networkId,
+            fromHeight: Number(anchor.fromHeight),
+            toHeight: Number(anchor.toHeight),
+            anchoredBy: anchor.anchoredBy,
+            blockNumber: Number(anchor.blockNumber),
+            timestamp: Number(anchor.timestamp)
+        };
+    }
+
+    async getBlockNumber() {
+        return Number(await this.web3.eth.getBlockNumber());
+    }
+}
+
+EthereumAnchorRegistry.ANCHOR_ABI = ANCHOR_ABI;
+
+module.exports = EthereumAnchorRegistry;
@@ -0,0 +1,205 @@
+const WebSocket = require('ws');
+const { hashTransaction } = require('./utils/merkle');
+
+// Blockchain events pushed to subscribers
+const EVENT_NAMES = [
+    'transactionAdded',
+    'transactionRejected',
+    'blockMined',
+    'blockAdded',
+    'chainReplaced',
+    'validationFailed'
+];
+
+// Type of a transaction as filtered on (untyped user transactions are transfers)
+function transactionType(transaction) {
+    if (transaction.type) {
+        return transaction.type;
+    }
+    return transaction.from === null ? 'reward' : 'transfer';
+}
+
+// Addresses a transaction concerns: sender, recipient and, for records and grants, patient and grantee
+function transactionAddresses(transaction) {
+    const data = transaction.data || {};
+    return [transaction.from, transaction.to, data.patient, data.grantee].filter(Boolean);
+}
+
+// Check subscription filters ({ addresses, types, events }, each an optional list of strings)
+function parseFilters(filters = {}) {
+    if (!filters || typeof filters !== 'object') {
+        throw new Error('Subscription filters must be an object');
+    }
+
+    const parsed = {};
+    ['addresses', 'types', 'events'].forEach(name => {
+        const values = filters[name];
+        if (values === undefined || values === null) {
+            return;
+        }
+        if (!Array.isArray(values) || values.some(value => typeof value !== 'string' || value === '')) {
+            throw new Error(`${name} must be a list of non-empty strings`);
+        }
+        if (values.length > 0) {
+            parsed[name] = values;
+        }
+    });
+
+    const unknown = (parsed.events || []).filter(event => !EVENT_NAMES.includes(event));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown events: ${unknown.join(', ')} (expected ${EVENT_NAMES.join(', ')})`);
+    }
+
+    return parsed;
+}
+
+// Filters from the connection URL: /events?addresses=a,b&types=medicalRecord&events=blockAdded
+function filtersFromUrl(url) {
+    const { searchParams } = new URL(url, 'http://localhost');
+    const list = name => (searchParams.has(name) ? searchParams.get(name).split(',').map(value => value.trim()).filter(Boolean) : undefined);
+    return parseFilters({ addresses: list('addresses'), types: list('types'), events: list('events') });
+}
+
+function matchesTransaction(transaction, { addresses, types }) {
+    if (types && !types.includes(transactionType(transaction))) {
+        return false;
+    }
+    if (addresses && !transactionAddresses(transaction).some(address => addresses.includes(address))) {
+        return false;
+    }
+    return true;
+}
+
+// Live chain activity over WebSocket (path /events of the node's HTTP server). Each
+// subscriber gets { type: event, data, timestamp } messages for the events it asked for;
+// transaction and block events are narrowed to the transactions matching its address and
+// type filters, and blocks without any are skipped. Reorgs and validation failures concern
+// every subscriber and ignore those filters.
+class EventStream {
+    constructor(blockchain, options = {}) {
+        this.blockchain = blockchain;
+        this.path = options.path || '/events';
+        this.subscribers = new Map(); // socket -> filters
+        this.server = null;
+
+        this.listeners = {
+            transactionAdded: transaction => this.publishTransaction('transactionAdded', transaction),
+            transactionRejected: ({ transaction, reason }) => this.publishTransaction('transactionRejected', transaction, { reason }),
+            blockMined: block => this.publishBlock('blockMined', block),
+            blockAdded: block => this.publishBlock('blockAdded', block),
+            chainReplaced: reorg => this.publish('chainReplaced', () => reorg),
+            validationFailed: failure => this.publish('validationFailed', () => failure)
+        };
+    }
+
+    // Accept subscribers on an HTTP server and start forwarding events
+    attach(httpServer) {
+        Object.entries(this.listeners).forEach(([event, listener]) => this.blockchain.on(event, listener));
+
+        this.server = new WebSocket.Server({ server: httpServer, path: this.path });
+        this.server.on('connection', (socket, req) => this.addSubscriber(socket, req.url));
+        return this.server;
+    }
+
+    addSubscriber(socket, url) {
+        let filters;
+        try {
+            filters = filtersFromUrl(url);
+        } catch (error) {
+            this.send(socket, 'error', { error: error.message });
+            socket.close();
+            return;
+        }
+
+        this.subscribers.set(socket, filters);
+        socket.on('message', data => this.handleMessage(socket, data));
+        socket.on('close', () => this.subscribers.delete(socket));
+        this.send(socket, 'subscribed', filters);
+    }
+
+    // { type: 'subscribe', data: { addresses, types, events } } replaces the socket's filters
+    handleMessage(socket, rawData) {
+        let message;
+        try {
+            message = JSON.parse(rawData);
+        } catch (error) {
+            this.send(socket, 'error', { error: 'Invalid JSON message' });
+            return;
+        }
+
+        if (!message || message.type !== 'subscribe') {
+            this.send(socket, 'error', { error: `Unknown message type: ${message && message.type}` });
+            return;
+        }
+
+        try {
+            const filters = parseFilters(message.data);
+            this.subscribers.set(socket, filters);
+            this.send(socket, 'subscribed', filters);
+        } catch (error) {
+            this.send(socket, 'error', { error: error.message });
+        }
+    }
+
+    publishTransaction(event, transaction, extra = {}) {
+        if (!transaction || typeof transaction !== 'object') return;
+
+        const transactionHash = hashTransaction(transaction);
+        this.publish(event, filters => (
+            matchesTransaction(transaction, filters) ? { transaction, transactionHash, ...extra } : null
+        ));
+    }
+
+    publishBlock(event, block) {
+        const transactions = block.getTransactions();
+        const header = block.getHeader();
+        this.publish(event, filters => {
+            const matching = transactions.filter(transaction => matchesTransaction(transaction, filters));
+            if (matching.length === 0 && (filters.addresses || filters.types)) {
+                return null;
+            }
+            return { block: header, transactions: matching };
+        });
+    }
+
+    // Send an event to every subscriber that wants it; `dataFor(filters)` returns the
+    // payload for a subscriber, or null to skip it
+    publish(event, dataFor) {
+        const timestamp = Date.now();
+        this.subscribers.forEach((filters, socket) => {
+            if (filters.events && !filters.events.includes(event)) {
+                return;
+            }
+            const data = dataFor(filters);
+            if (data) {
+                this.send(socket, event, data, timestamp);
+            }
+        });
+    }
+
+    send(socket, type, data, timestamp = Date.now()) {
+        if (socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify({ type, data, timestamp }));
+        }
+    }
+
+    getSubscriberCount() {
+        return this.subscribers.size;
+    }
+
+    close() {
+        Object.entries(this.listeners).forEach(([event, listener]) => this.blockchain.removeListener(event, listener));
+        this.subscribers.forEach((filters, socket) => socket.terminate());
+        this.subscribers.clear();
+
+        return new Promise(resolve => {
+            if (!this.server) return resolve();
+            this.server.close(() => resolve());
+            this.server = null;
+        });
+    }
+}
+
+EventStream.EVENT_NAMES = EVENT_NAMES;
+
+module.exports = EventStream;
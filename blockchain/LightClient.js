@@ -0,0 +1,220 @@
+const Block = require('./Block');
+const { loadGenesisConfig, validateGenesisConfig } = require('./genesis');
+const { hashTransaction } = require('./utils/merkle');
+const { retargetDifficulty, meetsDifficulty } = require('./utils/difficulty');
+
+const HEADER_BATCH_SIZE = 500;
+
+// Fields a light client keeps per block (no transactions)
+function toHeader(header) {
+    const { index, timestamp, previousHash, merkleRoot, signature, difficulty, nonce, hash } = header;
+    return { index, timestamp, previousHash, merkleRoot, signature, difficulty, nonce, hash };
+}
+
+// Headers-only client for devices that cannot keep the full chain. It downloads block
+// headers from a full node, checks their hashes, linkage and proof of work, and checks
+// transactions the node returns against them with Merkle inclusion proofs.
+class LightClient {
+    constructor(options = {}) {
+        this.nodeUrl = options.nodeUrl || null;
+        this.genesisConfig = options.genesis
+            ? validateGenesisConfig(options.genesis)
+            : loadGenesisConfig();
+        this.networkId = this.genesisConfig.networkId;
+        this.initialDifficulty = this.genesisConfig.difficulty; // Difficulty of block 1, from the genesis like the nodes
+
+        // Validator changes are voted in block bodies, which a light client never sees
+        if (this.genesisConfig.consensus.type !== 'pow') {
+            throw new Error('Light clients only follow proof-of-work chains');
+        }
+
+        const genesisBlock = Block.createGenesisBlock(this.genesisConfig);
+        genesisBlock.mineBlock(this.genesisConfig.difficulty);
+        this.headers = [genesisBlock.getHeader()];
+
+        // Headers saved by exportHeaders(), checked again before use
+        if (options.headers) {
+            this.headers = this.validateHeaders(options.headers);
+        }
+    }
+
+    getHeight() {
+        return this.headers.length - 1;
+    }
+
+    getTip() {
+        return this.headers[this.headers.length - 1];
+    }
+
+    getHeader(height) {
+        return this.headers[height] || null;
+    }
+
+    exportHeaders() {
+        return this.headers.map(toHeader);
+    }
+
+    getDifficultyForHeight(height, headers = this.headers) {
+        if (height === 0) {
+            return this.genesisConfig.difficulty;
+        }
+        if (height === 1) {
+            return this.initialDifficulty;
+        }
+        return retargetDifficulty(height, headers, this.genesisConfig);
+    }
+
+    // Check a header extends the last of `headers`. Returns a description of the problem, or null.
+    checkHeader(header, headers = this.headers) {
+        const previous = headers[headers.length - 1];
+
+        if (Block.calculateHeaderHash(header) !== header.hash) {
+            return 'hash does not match the header fields';
+        }
+
+        if (!Block.isLinked(header, previous)) {
+            return `does not follow block ${previous.index} (index, previous hash or timestamp)`;
+        }
+
+        const expectedDifficulty = this.getDifficultyForHeight(header.index, headers);
+        if (header.difficulty !== expectedDifficulty) {
+            return `difficulty ${header.difficulty} does not match expected ${expectedDifficulty}`;
+        }
+
+        if (!meetsDifficulty(header.hash, header.difficulty)) {
+            return `hash does not meet difficulty ${header.difficulty}`;
+        }
+
+        return null;
+    }
+
+    // Check a full header chain from genesis; returns the checked headers or throws
+    validateHeaders(headers) {
+        if (!Array.isArray(headers) || headers.length === 0 || !headers[0] || headers[0].hash !== this.headers[0].hash) {
+            throw new Error(`Header chain does not start with the genesis block of network ${this.networkId}`);
+        }
+
+        return headers.slice(1).reduce((checked, header) => {
+            const problem = this.checkHeader(header, checked);
+            if (problem) {
+                throw new Error(`Invalid header at index ${header.index}: ${problem}`);
+            }
+            checked.push(toHeader(header));
+            return checked;
+        }, [this.headers[0]]);
+    }
+
+    // Append headers following our tip, checking each one
+    addHeaders(headers) {
+        const checked = [...this.headers];
+        headers.forEach(header => {
+            const problem = this.checkHeader(header, checked);
+            if (problem) {
+                throw new Error(`Invalid header at index ${header.index}: ${problem}`);
+            }
+            checked.push(toHeader(header));
+        });
+
+        this.headers = checked;
+        return headers.length;
+    }
+
+    // Total proof of work of a header chain (genesis excluded, as on full nodes)
+    getCumulativeWork(headers = this.headers) {
+        return headers.slice(1).reduce((work, header) => work + 16 ** header.difficulty, 0);
+    }
+
+    async fetchData(path) {
+        if (!this.nodeUrl) {
+            throw new Error('No full node configured (nodeUrl)');
+        }
+
+        const response = await fetch(`${this.nodeUrl}${path}`);
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(body.error || `${this.nodeUrl}${path} answered ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return body.data;
+    }
+
+    async fetchHeaders(from) {
+        const headers = [];
+        for (;;) {
+            const page = await this.fetchData(`/headers?from=${from + headers.length}&limit=${HEADER_BATCH_SIZE}`);
+            headers.push(...page.headers);
+            if (page.headers.length < HEADER_BATCH_SIZE) {
+                return headers;
+            }
+        }
+    }
+
+    // Download the headers past our tip. If the node has switched to another branch,
+    // download its whole header chain and adopt it when it carries more work.
+    async sync() {
+        const headers = await this.fetchHeaders(this.headers.length);
+        if (headers.length === 0 || headers[0].previousHash === this.getTip().hash) {
+            this.addHeaders(headers);
+            return { height: this.getHeight(), added: headers.length, reorganized: false };
+        }
+
+        const candidate = this.validateHeaders(await this.fetchHeaders(0));
+        const candidateWork = this.getCumulativeWork(candidate);
+        const currentWork = this.getCumulativeWork();
+        if (candidateWork <= currentWork) {
+            throw new Error(`Node header chain does not carry more work (${candidateWork} <= ${currentWork})`);
+        }
+
+        this.headers = candidate;
+        return { height: this.getHeight(), added: headers.length, reorganized: true };
+    }
+
+    // Check an inclusion proof (GET /transactions/:hash/proof) against our own headers.
+    // Returns a description of the problem, or null.
+    checkProof(proof) {
+        const header = this.getHeader(proof.blockIndex);
+        if (!header) {
+            return `block ${proof.blockIndex} is not in the local header chain`;
+        }
+
+        if (!proof.transaction || hashTransaction(proof.transaction) !== proof.transactionHash) {
+            return 'transaction does not match the proven hash';
+        }
+
+        if (!Block.verifyInclusionProof(proof, header.hash)) {
+            return `proof does not match local header ${header.index}`;
+        }
+
+        return null;
+    }
+
+    // Ask the full node for a transaction and its inclusion proof, and only return it
+    // once the proof checks out against our headers
+    async getVerifiedTransaction(transactionHash) {
+        const proof = await this.fetchData(`/transactions/${transactionHash}/proof`);
+        if (proof.transactionHash !== transactionHash) {
+            throw new Error(`Node returned a proof for ${proof.transactionHash} instead of ${transactionHash}`);
+        }
+
+        // The block may be newer than our last sync
+        if (!this.getHeader(proof.blockIndex)) {
+            await this.sync();
+        }
+
+        const problem = this.checkProof(proof);
+        if (problem) {
+            throw new Error(`Transaction ${transactionHash} could not be verified: ${problem}`);
+        }
+
+        return {
+            transaction: proof.transaction,
+            transactionHash,
+            blockIndex: proof.blockIndex,
+            blockHash: this.getHeader(proof.blockIndex).hash,
+            confirmations: this.headers.length - proof.blockIndex
+        };
+    }
+}
+
+module.exports = LightClient;
@@ -0,0 +1,172 @@
+const { hashTransaction } = require('./utils/merkle');
+const { releaseTime } = require('./utils/timelock');
+
+const DEFAULT_MAX_SIZE = 5000;
+const DEFAULT_MAX_AGE = 24 * 60 * 60 * 1000; // 24 hours
+
+const feeOf = transaction => transaction.fee || 0;
+
+// Pending transactions waiting to be mined, keyed by transaction hash
+class Mempool {
+    constructor(options = {}) {
+        this.maxSize = options.maxSize ?? DEFAULT_MAX_SIZE;
+        this.maxAge = options.maxAge ?? DEFAULT_MAX_AGE; // ms after its timestamp (or time lock release) a transaction expires
+        this.heightReachedAt = options.heightReachedAt || (() => null); // Time the chain reached a height, for height locks
+        this.transactions = new Map(); // hash -> transaction, in arrival order
+
+        if (!Number.isInteger(this.maxSize) || this.maxSize <= 0) {
+            throw new Error('Mempool maxSize must be a positive integer');
+        }
+
+        if (typeof this.maxAge !== 'number' || this.maxAge <= 0) {
+            throw new Error('Mempool maxAge must be a positive number of milliseconds');
+        }
+    }
+
+    get size() {
+        return this.transactions.size;
+    }
+
+    has(transaction) {
+        return this.transactions.has(hashTransaction(transaction));
+    }
+
+    getTransactions() {
+        return Array.from(this.transactions.values());
+    }
+
+    // A time-locked transaction ages from the time it can be mined
+    isExpired(transaction, now = Date.now()) {
+        return now - releaseTime(transaction, this.heightReachedAt) > this.maxAge;
+    }
+
+    // Add a transaction, evicting a cheaper one when the pool is full.
+    // Returns the evicted transactions.
+    add(transaction, now = Date.now()) {
+        if (this.has(transaction)) {
+            throw new Error('Duplicate transaction: already in the mempool');
+        }
+
+        if (this.isExpired(transaction, now)) {
+            throw new Error(`Transaction expired: older than ${this.maxAge}ms`);
+        }
+
+        const evicted = [];
+        if (this.size >= this.maxSize) {
+            const candidate = this.getEvictionCandidate(transaction.from);
+            if (!candidate || feeOf(transaction) <= feeOf(candidate)) {
+                throw new Error(`Mempool full (${this.maxSize} transactions): fee too low to replace pending transactions`);
+            }
+            this.remove(candidate);
+            evicted.push(candidate);
+        }
+
+        this.transactions.set(hashTransaction(transaction), transaction);
+        return evicted;
+    }
+
+    // Cheapest transaction among those that are the last pending one of their
+    // sender, so evicting it never leaves a nonce gap. The sender of the incoming
+    // transaction is left out: evicting its last nonce would strand the new one.
+    getEvictionCandidate(excludeSender) {
+        const lastBySender = new Map();
+        this.transactions.forEach(transaction => {
+            if (transaction.from === excludeSender) {
+                return;
+            }
+            const current = lastBySender.get(transaction.from);
+            if (!current || transaction.nonce > current.nonce) {
+                lastBySender.set(transaction.from, transaction);
+            }
+        });
+
+        let candidate = null;
+        lastBySender.forEach(transaction => {
+            if (!candidate || feeOf(transaction) < feeOf(candidate)) {
+                candidate = transaction;
+            }
+        });
+        return candidate;
+    }
+
+    remove(transaction) {
+        return this.transactions.delete(hashTransaction(transaction));
+    }
+
+    // Drop expired transactions, returning them
+    pruneExpired(now = Date.now()) {
+        return this.prune(transaction => this.isExpired(transaction, now));
+    }
+
+    // Drop the transactions for which isStale(transaction) holds, returning them
+    prune(isStale) {
+        const dropped = this.getTransactions().filter(isStale);
+        dropped.forEach(transaction => this.remove(transaction));
+        return dropped;
+    }
+
+    clear() {
+        this.transactions.clear();
+    }
+
+    // Pick up to `limit` transactions for the next block, highest fee first while
+    // keeping each sender's nonce order. `getAccount` returns the confirmed
+    // { balance, nonce } of an address; senders that can no longer pay, whose
+    // next nonce is missing or whose next transaction is not `isReady` (time-locked)
+    // are skipped.
+    selectForBlock(limit, getAccount, isReady = () => true) {
+        const queues = new Map();
+        this.transactions.forEach(transaction => {
+            if (!queues.has(transaction.from)) {
+                queues.set(transaction.from, []);
+            }
+            queues.get(transaction.from).push(transaction);
+        });
+        queues.forEach(queue => queue.sort((a, b) => a.nonce - b.nonce));
+
+        const accounts = new Map();
+        const selected = [];
+
+        while (selected.length < limit && queues.size > 0) {
+            let bestSender = null;
+            let best = null;
+
+            queues.forEach((queue, sender) => {
+                const head = queue[0];
+                if (
+                    !best ||
+                    feeOf(head) > feeOf(best) ||
+                    (feeOf(head) === feeOf(best) && head.timestamp < best.timestamp)
+                ) {
+                    best = head;
+                    bestSender = sender;
+                }
+            });
+
+            const queue = queues.get(bestSender);
+            queue.shift();
+            if (queue.length === 0) {
+                queues.delete(bestSender);
+            }
+
+            if (!accounts.has(bestSender)) {
+                accounts.set(bestSender, { ...getAccount(bestSender) });
+            }
+            const account = accounts.get(bestSender);
+            const cost = (best.amount || 0) + feeOf(best);
+
+            if (best.nonce !== account.nonce || cost > account.balance || !isReady(best)) {
+                queues.delete(bestSender); // Later nonces of this sender cannot be mined either
+                continue;
+            }
+
+            account.nonce++;
+            account.balance -= cost;
+            selected.push(best);
+        }
+
+        return selected;
+    }
+}
+
+module.exports = Mempool;
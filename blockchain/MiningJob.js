@@ -0,0 +1,99 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const Block = require('./Block');
+
+const WORKER_PATH = path.join(__dirname, 'miningWorker.js');
+
+// Proof-of-work search for one block, run in a worker thread so the event loop
+// (and every HTTP or P2P request) stays responsive while mining
+class MiningJob {
+    constructor(block, difficulty, options = {}) {
+        this.block = block;
+        this.difficulty = difficulty;
+        this.onProgress = options.onProgress || null;
+        this.attempts = 0;
+        this.startedAt = null;
+        this.worker = null;
+        this.promise = null;
+        this.settled = false;
+        this.rejectJob = null;
+    }
+
+    // Start the worker. Resolves with the mined block, rejects if cancelled.
+    start() {
+        if (this.promise) {
+            return this.promise;
+        }
+
+        this.block.difficulty = this.difficulty;
+        this.block.merkleRoot = Block.calculateMerkleRoot(this.block.data);
+        this.startedAt = Date.now();
+
+        this.promise = new Promise((resolve, reject) => {
+            this.rejectJob = reject;
+            this.worker = new Worker(WORKER_PATH, {
+                workerData: { header: this.block.getHeader(), difficulty: this.difficulty }
+            });
+
+            this.worker.on('message', message => {
+                if (message.type === 'progress') {
+                    this.attempts = message.attempts;
+                    if (this.onProgress) {
+                        this.onProgress(this.getProgress());
+                    }
+                    return;
+                }
+
+                if (message.type === 'mined' && !this.settled) {
+                    this.settled = true;
+                    this.attempts = message.nonce + 1;
+                    this.block.nonce = message.nonce;
+                    this.block.hash = message.hash;
+                    console.log(`Block mined: ${this.block.hash}`);
+                    resolve(this.block);
+                }
+            });
+
+            this.worker.on('error', error => {
+                if (this.settled) return;
+                this.settled = true;
+                reject(new Error(`Mining worker failed: ${error.message}`));
+            });
+
+            this.worker.on('exit', code => {
+                if (this.settled) return;
+                this.settled = true;
+                reject(new Error(`Mining worker exited with code ${code}`));
+            });
+        });
+
+        return this.promise;
+    }
+
+    // Stop the search. The job promise rejects with an error flagged `cancelled`.
+    cancel(reason = 'cancelled') {
+        if (this.settled || !this.worker) {
+            return false;
+        }
+
+        this.settled = true;
+        const error = new Error(`Mining of block ${this.block.index} cancelled: ${reason}`);
+        error.cancelled = true;
+        this.rejectJob(error);
+        this.worker.terminate();
+        return true;
+    }
+
+    getProgress() {
+        const elapsed = Date.now() - this.startedAt;
+        return {
+            index: this.block.index,
+            difficulty: this.difficulty,
+            attempts: this.attempts,
+            elapsed,
+            hashRate: elapsed > 0 ? Math.round(this.attempts / (elapsed / 1000)) : 0
+        };
+    }
+}
+
+module.exports = MiningJob;
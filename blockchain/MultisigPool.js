@@ -0,0 +1,154 @@
+const { crypto: cryptoManager } = require('./utils/crypto');
+const { normalizePolicy, multisigAddress, multisigTransactionId, verifyApproval } = require('./utils/multisig');
+
+const DEFAULT_MAX_SIZE = 5000;
+const DEFAULT_MAX_PER_ADDRESS = 100;
+
+// Transactions from multisig addresses collecting approvals, keyed by id (the hash of their
+// signed fields, which every signer can compute). A proposal is 'pending' until its threshold
+// is met and it enters the mempool, then 'submitted' until its nonce is confirmed.
+class MultisigPool {
+    constructor(options = {}) {
+        this.maxSize = options.maxSize ?? DEFAULT_MAX_SIZE;
+        this.maxPerAddress = options.maxPerAddress ?? DEFAULT_MAX_PER_ADDRESS;
+        this.proposals = new Map(); // id -> { id, transaction, approvals: address -> approval, status, ... }
+
+        if (!Number.isInteger(this.maxSize) || this.maxSize <= 0) {
+            throw new Error('Multisig pool maxSize must be a positive integer');
+        }
+        if (!Number.isInteger(this.maxPerAddress) || this.maxPerAddress <= 0) {
+            throw new Error('Multisig pool maxPerAddress must be a positive integer');
+        }
+    }
+
+    get size() {
+        return this.proposals.size;
+    }
+
+    get(id) {
+        return this.proposals.get(id) || null;
+    }
+
+    // Add a proposal with the approvals already in its `signatures` (at least one, from a signer
+    // of the policy), or merge them into the proposal with the same id. Signature fields of
+    // single-key transactions are dropped.
+    propose(transaction, now = Date.now()) {
+        const { signatures = [], publicKey, signature, hash, ...fields } = transaction;
+        const policy = normalizePolicy(fields.multisig);
+        if (multisigAddress(policy) !== fields.from) {
+            throw new Error('Multisig policy does not match the sender address');
+        }
+        if (!Array.isArray(signatures)) {
+            throw new Error('Multisig transaction signatures must be a list');
+        }
+
+        const approvals = signatures.map(approval => [verifyApproval(fields, approval, policy), approval]);
+        const id = multisigTransactionId(fields);
+        if (!this.proposals.has(id)) {
+            if (approvals.length === 0) {
+                throw new Error('A multisig transaction must be proposed with at least one approval');
+            }
+            if (this.size >= this.maxSize) {
+                throw new Error(`Multisig pool full (${this.maxSize} transactions)`);
+            }
+            if (this.list(fields.from).length >= this.maxPerAddress) {
+                throw new Error(`${fields.from} already has ${this.maxPerAddress} multisig transactions collecting approvals`);
+            }
+            this.proposals.set(id, { id, transaction: fields, approvals: new Map(), status: 'pending', transactionHash: null, error: null, proposedAt: now });
+        }
+
+        const proposal = this.proposals.get(id);
+        approvals.forEach(([address, approval]) => this.setApproval(proposal, address, approval));
+        return proposal;
+    }
+
+    // Record one signer's approval ({ publicKey, signature }) of a proposal
+    approve(id, approval) {
+        const proposal = this.get(id);
+        if (!proposal) {
+            throw new Error(`Multisig transaction ${id} not found`);
+        }
+
+        this.setApproval(proposal, verifyApproval(proposal.transaction, approval), approval);
+        return proposal;
+    }
+
+    // Approvals are closed once the transaction is submitted: it is signed as it entered the mempool
+    setApproval(proposal, address, { publicKey, signature }) {
+        if (proposal.status !== 'pending') {
+            throw new Error(`Multisig transaction ${proposal.id} was already submitted`);
+        }
+        proposal.approvals.set(address, { publicKey, signature });
+    }
+
+    isApproved(proposal) {
+        return proposal.approvals.size >= proposal.transaction.multisig.threshold;
+    }
+
+    // The proposal as a fully signed transaction
+    buildTransaction(proposal) {
+        return { ...proposal.transaction, signatures: Array.from(proposal.approvals.values()) };
+    }
+
+    // Proposals from an address (every proposal without one), oldest nonce first
+    list(address = null) {
+        return Array.from(this.proposals.values())
+            .filter(proposal => !address || proposal.transaction.from === address)
+            .sort((a, b) => a.transaction.nonce - b.transaction.nonce || a.proposedAt - b.proposedAt);
+    }
+
+    // Drop the proposals for which isStale(transaction) holds; returns them
+    prune(isStale) {
+        const dropped = this.list().filter(proposal => isStale(proposal.transaction));
+        dropped.forEach(proposal => this.proposals.delete(proposal.id));
+        return dropped;
+    }
+
+    // Approval status: who signed so far and how many approvals are still needed
+    describe(proposal) {
+        const { id, transaction, approvals, status, transactionHash, error, proposedAt } = proposal;
+        const { threshold, publicKeys } = normalizePolicy(transaction.multisig);
+        const signers = publicKeys.map(publicKey => {
+            const address = cryptoManager.generateAddress(publicKey);
+            return { address, approved: approvals.has(address) };
+        });
+
+        return {
+            id,
+            status,
+            from: transaction.from,
+            nonce: transaction.nonce,
+            threshold,
+            approvalCount: approvals.size,
+            remaining: Math.max(threshold - approvals.size, 0),
+            signers,
+            transaction,
+            transactionHash,
+            error,
+            proposedAt
+        };
+    }
+
+    // Stored form, for ChainStorage
+    toJSON() {
+        return this.list().map(proposal => ({
+            ...proposal,
+            approvals: Array.from(proposal.approvals.values())
+        }));
+    }
+
+    // Restore stored proposals, re-checking every approval
+    load(entries) {
+        this.proposals.clear();
+        entries.forEach(({ transaction, approvals, status, transactionHash, error, proposedAt }) => {
+            try {
+                const proposal = this.propose({ ...transaction, signatures: approvals }, proposedAt);
+                Object.assign(proposal, { status, transactionHash, error });
+            } catch (loadError) {
+                console.warn(`Ignoring stored multisig transaction: ${loadError.message}`);
+            }
+        });
+    }
+}
+
+module.exports = MultisigPool;
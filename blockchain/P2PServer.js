@@ -0,0 +1,364 @@
+const crypto = require('crypto');
+const WebSocket = require('ws');
+
+const MESSAGE_TYPES = {
+    HANDSHAKE: 'HANDSHAKE',
+    QUERY_BLOCKS: 'QUERY_BLOCKS',
+    BLOCKS: 'BLOCKS',
+    QUERY_HEADERS: 'QUERY_HEADERS',
+    HEADERS: 'HEADERS',
+    NEW_BLOCK: 'NEW_BLOCK',
+    NEW_TRANSACTION: 'NEW_TRANSACTION'
+};
+
+const MAX_BLOCKS_PER_MESSAGE = 500;
+const MAX_SEEN_TRANSACTIONS = 10000;
+const RECONNECT_INTERVAL = 5000;
+
+// Peer messages and the blocks they carry must be JSON objects
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Gossips transactions and blocks between nodes over WebSocket
+class P2PServer {
+    constructor(blockchain, options = {}) {
+        this.blockchain = blockchain;
+        this.port = options.port;
+        this.peerUrls = options.peers || [];
+        this.reconnectInterval = options.reconnectInterval ?? RECONNECT_INTERVAL;
+        this.sockets = new Map(); // socket -> peer label
+        this.reconnectTimers = new Map();
+        this.seenTransactions = new Set();
+        this.forkSyncs = new Map(); // socket -> competing branch being downloaded
+        this.server = null;
+        this.closed = false;
+
+        this.onBlockAdded = block => {
+            this.broadcast(MESSAGE_TYPES.NEW_BLOCK, { block: block.getBlockInfo() });
+        };
+        this.onTransactionAdded = transaction => {
+            this.markSeen(transaction);
+            this.broadcast(MESSAGE_TYPES.NEW_TRANSACTION, { transaction });
+        };
+        this.onChainReplaced = () => {
+            this.broadcast(MESSAGE_TYPES.NEW_BLOCK, { block: this.blockchain.getLatestBlock().getBlockInfo() });
+        };
+    }
+
+    // Start accepting peers and connect to the configured ones
+    listen() {
+        this.blockchain.on('blockAdded', this.onBlockAdded);
+        this.blockchain.on('transactionAdded', this.onTransactionAdded);
+        this.blockchain.on('chainReplaced', this.onChainReplaced);
+
+        return new Promise((resolve, reject) => {
+            this.server = new WebSocket.Server({ port: this.port });
+            this.server.once('error', reject);
+            this.server.once('listening', () => {
+                this.port = this.server.address().port;
+                console.log(`P2P server listening on port ${this.port}`);
+                this.peerUrls.forEach(url => this.connectToPeer(url));
+                resolve(this.port);
+            });
+            this.server.on('connection', (socket, req) => {
+                this.initConnection(socket, req.socket.remoteAddress);
+            });
+        });
+    }
+
+    // Open an outgoing connection, retrying while the peer is configured
+    connectToPeer(url) {
+        if (this.closed) return;
+
+        if (!this.peerUrls.includes(url)) {
+            this.peerUrls.push(url);
+        }
+
+        const socket = new WebSocket(url);
+        socket.on('open', () => this.initConnection(socket, url));
+        socket.on('error', error => {
+            console.log(`Peer ${url} unreachable: ${error.message}`);
+        });
+        socket.on('close', () => this.scheduleReconnect(url));
+    }
+
+    scheduleReconnect(url) {
+        if (this.closed || this.reconnectTimers.has(url) || !this.peerUrls.includes(url)) {
+            return;
+        }
+
+        const timer = setTimeout(() => {
+            this.reconnectTimers.delete(url);
+            this.connectToPeer(url);
+        }, this.reconnectInterval);
+        this.reconnectTimers.set(url, timer);
+    }
+
+    initConnection(socket, label) {
+        this.sockets.set(socket, label);
+        socket.on('message', data => {
+            // One bad message from a peer is dropped, never fatal to the node
+            try {
+                this.handleMessage(socket, data);
+            } catch (error) {
+                console.log(`Dropping message from ${label}: ${error.message}`);
+            }
+        });
+        socket.on('close', () => {
+            this.sockets.delete(socket);
+            this.forkSyncs.delete(socket);
+        });
+
+        this.send(socket, MESSAGE_TYPES.HANDSHAKE, {
+            networkId: this.blockchain.networkId,
+            genesisHash: this.blockchain.genesisHash,
+            height: this.blockchain.chain.length
+        });
+    }
+
+    handleMessage(socket, rawData) {
+        let message;
+        try {
+            message = JSON.parse(rawData);
+        } catch (error) {
+            console.log(`Ignoring malformed message from ${this.sockets.get(socket)}`);
+            return;
+        }
+        if (!isObject(message)) {
+            console.log(`Ignoring malformed message from ${this.sockets.get(socket)}`);
+            return;
+        }
+
+        const data = isObject(message.data) ? message.data : {};
+
+        switch (message.type) {
+            case MESSAGE_TYPES.HANDSHAKE:
+                this.handleHandshake(socket, data);
+                break;
+            case MESSAGE_TYPES.QUERY_BLOCKS:
+                this.sendBlocks(socket, data.fromIndex);
+                break;
+            case MESSAGE_TYPES.BLOCKS:
+                this.handleBlocks(socket, data.blocks, data.height);
+                break;
+            case MESSAGE_TYPES.QUERY_HEADERS:
+                this.sendHeaders(socket, data.fromIndex, data.limit);
+                break;
+            case MESSAGE_TYPES.HEADERS:
+                this.handleHeaders(socket, data.fromIndex, data.headers);
+                break;
+            case MESSAGE_TYPES.NEW_BLOCK:
+                // While we download a branch from this peer, its pages bring the new blocks too
+                if (isObject(data.block) && !this.forkSyncs.has(socket)) {
+                    this.handleBlocks(socket, [data.block], data.block.index + 1);
+                }
+                break;
+            case MESSAGE_TYPES.NEW_TRANSACTION:
+                this.handleTransaction(data.transaction);
+                break;
+            default:
+                console.log(`Unknown message type: ${message.type}`);
+        }
+    }
+
+    handleHandshake(socket, { networkId, genesisHash, height }) {
+        if (networkId !== this.blockchain.networkId || genesisHash !== this.blockchain.genesisHash) {
+            console.log(`Disconnecting ${this.sockets.get(socket)}: different network or genesis`);
+            socket.close();
+            return;
+        }
+
+        if (height > this.blockchain.chain.length) {
+            this.requestBlocks(socket);
+        }
+    }
+
+    requestBlocks(socket) {
+        this.send(socket, MESSAGE_TYPES.QUERY_BLOCKS, { fromIndex: this.blockchain.chain.length });
+    }
+
+    sendBlocks(socket, fromIndex = 0) {
+        const start = Math.max(0, Number(fromIndex) || 0);
+        const blocks = this.blockchain.chain
+            .slice(start, start + MAX_BLOCKS_PER_MESSAGE)
+            .map(block => block.getBlockInfo());
+
+        this.send(socket, MESSAGE_TYPES.BLOCKS, { blocks, height: this.blockchain.chain.length });
+    }
+
+    // Apply blocks that extend our chain, asking for more when we are behind
+    handleBlocks(socket, blocks, peerHeight) {
+        if (!Array.isArray(blocks) || !blocks.every(isObject)) {
+            console.log(`Ignoring malformed blocks from ${this.sockets.get(socket)}`);
+            return;
+        }
+
+        if (this.forkSyncs.has(socket)) {
+            this.collectBranch(socket, blocks, peerHeight);
+            return;
+        }
+
+        for (const blockInfo of blocks) {
+            const height = this.blockchain.chain.length;
+
+            if (blockInfo.index < height) {
+                continue; // Already known
+            }
+
+            if (blockInfo.index > height) {
+                this.requestBlocks(socket);
+                return;
+            }
+
+            let accepted = false;
+            try {
+                accepted = this.blockchain.acceptBlock(blockInfo);
+            } catch (error) {
+                console.log(`Block ${blockInfo.index} from ${this.sockets.get(socket)} rejected: ${error.message}`);
+            }
+
+            if (!accepted) {
+                // A block on our tip was just invalid; otherwise the peer may be on a competing branch
+                if (blockInfo.previousHash !== this.blockchain.getLatestBlock().hash) {
+                    console.log(`Block ${blockInfo.index} from ${this.sockets.get(socket)} does not extend our chain, looking for the fork point`);
+                    this.requestHeaders(socket, blockInfo.index);
+                }
+                return;
+            }
+        }
+
+        if (peerHeight > this.blockchain.chain.length) {
+            this.requestBlocks(socket);
+        }
+    }
+
+    // Ask for the page of headers just below `beforeIndex`
+    requestHeaders(socket, beforeIndex) {
+        const fromIndex = Math.max(0, beforeIndex - MAX_BLOCKS_PER_MESSAGE);
+        this.send(socket, MESSAGE_TYPES.QUERY_HEADERS, { fromIndex, limit: beforeIndex - fromIndex });
+    }
+
+    sendHeaders(socket, fromIndex = 0, limit = MAX_BLOCKS_PER_MESSAGE) {
+        const start = Math.max(0, Number(fromIndex) || 0);
+        const count = Math.min(MAX_BLOCKS_PER_MESSAGE, Math.max(0, Number(limit) || 0));
+
+        this.send(socket, MESSAGE_TYPES.HEADERS, {
+            fromIndex: start,
+            headers: this.blockchain.getHeaders({ from: start, limit: count }),
+            height: this.blockchain.chain.length
+        });
+    }
+
+    // Walk the peer's headers back to the last block we share, then fetch its branch from there
+    handleHeaders(socket, fromIndex, headers) {
+        if (!Array.isArray(headers) || !Number.isInteger(fromIndex) || fromIndex < 0) return;
+
+        for (let i = headers.length - 1; i >= 0; i--) {
+            const ours = this.blockchain.chain[fromIndex + i];
+            if (ours && headers[i] && ours.hash === headers[i].hash) {
+                this.requestBranch(socket, fromIndex + i + 1);
+                return;
+            }
+        }
+
+        // No shared block in this page: look further back (the genesis is always shared)
+        if (fromIndex > 0 && headers.length > 0) {
+            this.requestHeaders(socket, fromIndex);
+        }
+    }
+
+    requestBranch(socket, fromIndex) {
+        if (fromIndex >= this.blockchain.chain.length) {
+            this.requestBlocks(socket); // The peer has just moved on from our tip
+            return;
+        }
+
+        this.forkSyncs.set(socket, { fromIndex, blocks: [] });
+        this.send(socket, MESSAGE_TYPES.QUERY_BLOCKS, { fromIndex });
+    }
+
+    // Gather the peer's branch page by page; once complete, replaceChain decides whether it wins
+    collectBranch(socket, blocks, peerHeight) {
+        const fork = this.forkSyncs.get(socket);
+        const collected = fork.blocks.length;
+
+        blocks.forEach(blockInfo => {
+            if (blockInfo && blockInfo.index === fork.fromIndex + fork.blocks.length) {
+                fork.blocks.push(blockInfo);
+            }
+        });
+
+        const nextIndex = fork.fromIndex + fork.blocks.length;
+        if (fork.blocks.length > collected && peerHeight > nextIndex) {
+            this.send(socket, MESSAGE_TYPES.QUERY_BLOCKS, { fromIndex: nextIndex });
+            return;
+        }
+
+        this.forkSyncs.delete(socket);
+        try {
+            this.blockchain.replaceChain(fork.blocks, fork.fromIndex);
+        } catch (error) {
+            console.log(`Branch from ${this.sockets.get(socket)} not adopted: ${error.message}`);
+        }
+    }
+
+    handleTransaction(transaction) {
+        if (!transaction || this.hasSeen(transaction)) return;
+
+        this.markSeen(transaction);
+        try {
+            this.blockchain.addTransaction(transaction);
+        } catch (error) {
+            console.log(`Transaction from peer rejected: ${error.message}`);
+        }
+    }
+
+    transactionKey(transaction) {
+        return crypto.createHash('sha256').update(JSON.stringify(transaction)).digest('hex');
+    }
+
+    hasSeen(transaction) {
+        return this.seenTransactions.has(this.transactionKey(transaction));
+    }
+
+    markSeen(transaction) {
+        if (this.seenTransactions.size >= MAX_SEEN_TRANSACTIONS) {
+            this.seenTransactions.clear();
+        }
+        this.seenTransactions.add(this.transactionKey(transaction));
+    }
+
+    send(socket, type, data) {
+        if (socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify({ type, data }));
+        }
+    }
+
+    broadcast(type, data) {
+        this.sockets.forEach((label, socket) => this.send(socket, type, data));
+    }
+
+    getPeers() {
+        return Array.from(this.sockets.values());
+    }
+
+    close() {
+        this.closed = true;
+        this.blockchain.removeListener('blockAdded', this.onBlockAdded);
+        this.blockchain.removeListener('transactionAdded', this.onTransactionAdded);
+        this.blockchain.removeListener('chainReplaced', this.onChainReplaced);
+        this.reconnectTimers.forEach(timer => clearTimeout(timer));
+        this.reconnectTimers.clear();
+        this.sockets.forEach((label, socket) => socket.terminate());
+        this.sockets.clear();
+
+        return new Promise(resolve => {
+            if (!this.server) return resolve();
+            this.server.close(() => resolve());
+            this.server = null;
+        });
+    }
+}
+
+P2PServer.MESSAGE_TYPES = MESSAGE_TYPES;
+
+module.exports = P2PServer;
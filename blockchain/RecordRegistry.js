@@ -0,0 +1,204 @@
+const Block = require('./Block');
+const { hashTransaction } = require('./utils/merkle');
+const { isEncryptedPayload } = require('./transactions/encryption');
+
+// Public view of a record: original entry, amendments and the content currently in force
+function describeRecord(record) {
+    const { transaction } = record;
+    const amendments = record.amendments.map(amendment => ({
+        amendmentHash: amendment.hash,
+        author: amendment.transaction.from,
+        payload: amendment.transaction.data.payload,
+        reason: amendment.transaction.data.reason,
+        encrypted: isEncryptedPayload(amendment.transaction.data.payload),
+        timestamp: amendment.transaction.timestamp,
+        blockIndex: amendment.blockIndex
+    }));
+
+    return {
+        recordHash: record.hash,
+        patient: record.patient,
+        author: transaction.from,
+        category: transaction.data.category,
+        payload: transaction.data.payload,
+        currentPayload: amendments.length > 0 ? amendments[amendments.length - 1].payload : transaction.data.payload,
+        encrypted: isEncryptedPayload(transaction.data.payload),
+        timestamp: transaction.timestamp,
+        blockIndex: record.blockIndex,
+        amendments
+    };
+}
+
+// Medical records, amendments and access grants confirmed on a chain, applied block by block
+class RecordRegistry {
+    constructor() {
+        this.records = new Map(); // record hash -> { hash, patient, transaction, blockIndex, amendments }
+        this.recordsByPatient = new Map(); // patient -> [record hash] in chain order
+        this.grantsByPatient = new Map(); // patient -> [grant]
+        this.amendedRecords = new Map(); // amendment hash -> record hash
+        this.wrappedKeys = new Map(); // encrypted entry hash -> { reader address: wrapped content key }
+    }
+
+    applyBlock(block) {
+        Block.getTransactionList(block.data).forEach(transaction => {
+            // Typed entries are always signed: system transactions never write records
+            if (!transaction || !transaction.from || !transaction.data) return;
+
+            switch (transaction.type) {
+                case 'medicalRecord':
+                    this.addRecord(transaction, block);
+                    break;
+                case 'recordAmendment':
+                    this.addAmendment(transaction, block);
+                    break;
+                case 'accessGrant':
+                    this.addGrant(transaction, block);
+                    break;
+                default:
+                    break;
+            }
+        });
+    }
+
+    addRecord(transaction, block) {
+        const hash = hashTransaction(transaction);
+        const { patient } = transaction.data;
+
+        this.records.set(hash, { hash, patient, transaction, blockIndex: block.index, amendments: [] });
+        this.addWrappedKeys(hash, transaction.data.payload);
+        if (!this.recordsByPatient.has(patient)) {
+            this.recordsByPatient.set(patient, []);
+        }
+        this.recordsByPatient.get(patient).push(hash);
+    }
+
+    addAmendment(transaction, block) {
+        const record = this.records.get(transaction.data.recordHash);
+        if (record) {
+            const hash = hashTransaction(transaction);
+            record.amendments.push({ hash, transaction, blockIndex: block.index });
+            this.amendedRecords.set(hash, record.hash);
+            this.addWrappedKeys(hash, transaction.data.payload);
+        }
+    }
+
+    addWrappedKeys(entryHash, payload) {
+        if (isEncryptedPayload(payload)) {
+            this.wrappedKeys.set(entryHash, { ...payload.keys });
+        }
+    }
+
+    addGrant(transaction, block) {
+        const patient = transaction.from;
+        const { grantee, permissions, recordHash = null, expiresAt = null, keys = {} } = transaction.data;
+
+        if (!this.grantsByPatient.has(patient)) {
+            this.grantsByPatient.set(patient, []);
+        }
+        this.grantsByPatient.get(patient).push({
+            hash: hashTransaction(transaction),
+            patient,
+            grantee,
+            permissions,
+            recordHash,
+            expiresAt,
+            transaction,
+            blockIndex: block.index
+        });
+
+        // Content keys re-wrapped for the grantee: the encrypted entries stay as they are
+        Object.entries(keys).forEach(([entryHash, wrappedKey]) => {
+            if (this.wrappedKeys.has(entryHash)) {
+                this.wrappedKeys.get(entryHash)[grantee] = wrappedKey;
+            }
+        });
+    }
+
+    // Records (with their amendments), grants and wrapped keys as plain data, for snapshots
+    exportState() {
+        return {
+            records: Array.from(this.records.values()),
+            grants: Array.from(this.grantsByPatient.values()).flat(),
+            wrappedKeys: Array.from(this.wrappedKeys)
+        };
+    }
+
+    loadState({ records, grants, wrappedKeys }) {
+        records.forEach(record => {
+            this.records.set(record.hash, record);
+            if (!this.recordsByPatient.has(record.patient)) {
+                this.recordsByPatient.set(record.patient, []);
+            }
+            this.recordsByPatient.get(record.patient).push(record.hash);
+            record.amendments.forEach(amendment => this.amendedRecords.set(amendment.hash, record.hash));
+        });
+
+        grants.forEach(grant => {
+            if (!this.grantsByPatient.has(grant.patient)) {
+                this.grantsByPatient.set(grant.patient, []);
+            }
+            this.grantsByPatient.get(grant.patient).push(grant);
+        });
+
+        this.wrappedKeys = new Map(wrappedKeys);
+    }
+
+    getRecord(recordHash) {
+        return this.records.get(recordHash) || null;
+    }
+
+    // Record an entry belongs to, from the hash of the record itself or of one of its amendments
+    getEntryRecord(entryHash) {
+        const recordHash = this.amendedRecords.get(entryHash) || entryHash;
+        return this.getRecord(recordHash);
+    }
+
+    isEncryptedEntry(entryHash) {
+        return this.wrappedKeys.has(entryHash);
+    }
+
+    // Content key of an encrypted entry wrapped for `address`, or null
+    getWrappedKey(entryHash, address) {
+        const keys = this.wrappedKeys.get(entryHash);
+        return (keys && keys[address]) || null;
+    }
+
+    // Addresses holding a wrapped key for an encrypted entry
+    getReaders(entryHash) {
+        return Object.keys(this.wrappedKeys.get(entryHash) || {});
+    }
+
+    // Records of a patient, oldest first; pass { offset, limit } for one page
+    getPatientRecords(patient, { offset = 0, limit } = {}) {
+        const hashes = this.recordsByPatient.get(patient) || [];
+        const end = limit === undefined ? hashes.length : offset + limit;
+        return hashes.slice(offset, end).map(hash => this.records.get(hash));
+    }
+
+    countPatientRecords(patient) {
+        return (this.recordsByPatient.get(patient) || []).length;
+    }
+
+    getGrants(patient) {
+        return this.grantsByPatient.get(patient) || [];
+    }
+
+    // Whether `address` may use `permission` on a patient's records (or on one record).
+    // Patients always have full access to their own records.
+    hasAccess(patient, address, permission, recordHash = null, now = Date.now()) {
+        if (patient === address) {
+            return true;
+        }
+
+        return this.getGrants(patient).some(grant =>
+            grant.grantee === address &&
+            grant.permissions.includes(permission) &&
+            (grant.recordHash === null || grant.recordHash === recordHash) &&
+            (grant.expiresAt === null || grant.expiresAt > now)
+        );
+    }
+}
+
+RecordRegistry.describeRecord = describeRecord;
+
+module.exports = RecordRegistry;
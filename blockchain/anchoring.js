@@ -0,0 +1,93 @@
+const { getMerkleRoot, getMerkleProof, verifyMerkleProof } = require('./utils/merkle');
+
+// Root committed to Ethereum for consecutive block hashes
+function anchorRoot(blockHashes) {
+    if (!Array.isArray(blockHashes) || blockHashes.length === 0) {
+        throw new Error('An anchor needs at least one block hash');
+    }
+    return getMerkleRoot(blockHashes);
+}
+
+// Custom-chain roots are hex SHA-256 digests; the registry stores them as bytes32
+function rootToBytes32(root) {
+    return `0x${root}`;
+}
+
+function bytes32ToRoot(value) {
+    return String(value).replace(/^0x/, '').toLowerCase();
+}
+
+// Position of the leaf a Merkle path starts from: at each level, a sibling on the left means
+// the node is a right child
+function leafIndexOf(proof) {
+    return proof.reduce((index, step, depth) => index + (step.position === 'left' ? 2 ** depth : 0), 0);
+}
+
+// Proof that `blockHash` is covered by a recorded anchor: its Merkle path to the anchored
+// root, plus where to find that root on Ethereum
+function createAnchorProof(anchor, blockHash) {
+    const position = anchor.blockHashes.indexOf(blockHash);
+    if (position === -1) {
+        throw new Error(`Block ${blockHash} is not covered by anchor ${anchor.anchorId}`);
+    }
+
+    return {
+        networkId: anchor.networkId,
+        blockHash,
+        blockIndex: anchor.fromHeight + position,
+        anchorId: anchor.anchorId,
+        root: anchor.root,
+        proof: getMerkleProof(anchor.blockHashes, position),
+        transactionHash: anchor.transactionHash
+    };
+}
+
+// Check an anchor proof against the registry. The block existed at or before Ethereum block
+// `ethBlockNumber` (the latest one when omitted) if its Merkle path leads to the root the
+// registry recorded for that anchor, in a block no later than that one.
+// Resolves with { valid, reason, ... } and never throws for a bad proof.
+async function verifyAnchorProof(anchorProof, registry, ethBlockNumber) {
+    const { networkId, blockHash, blockIndex, anchorId, root, proof } = anchorProof || {};
+    const result = { valid: false, reason: null, networkId, blockHash, blockIndex, anchorId, ethBlockNumber: null, anchor: null };
+    const fail = reason => ({ ...result, reason });
+
+    if (!verifyMerkleProof(blockHash, proof, root)) {
+        return fail('Merkle proof does not lead to the anchored root');
+    }
+
+    const anchor = await registry.getAnchor(anchorId);
+    if (!anchor) {
+        return fail(`Anchor ${anchorId} not found on Ethereum`);
+    }
+    result.anchor = anchor;
+
+    if (anchor.root !== root) {
+        return fail(`Anchor ${anchorId} commits root ${anchor.root}, not ${root}`);
+    }
+    if (anchor.networkId !== networkId) {
+        return fail(`Anchor ${anchorId} is for network ${anchor.networkId}, not ${networkId}`);
+    }
+    if (blockIndex < anchor.fromHeight || blockIndex > anchor.toHeight) {
+        return fail(`Block ${blockIndex} is outside anchored heights ${anchor.fromHeight}-${anchor.toHeight}`);
+    }
+    // The path fixes where the hash sits among the anchored blocks, hence its height
+    const provenIndex = anchor.fromHeight + leafIndexOf(proof);
+    if (provenIndex !== blockIndex) {
+        return fail(`Merkle proof is for block ${provenIndex}, not ${blockIndex}`);
+    }
+
+    result.ethBlockNumber = ethBlockNumber ?? await registry.getBlockNumber();
+    if (anchor.blockNumber > result.ethBlockNumber) {
+        return fail(`Anchored in Ethereum block ${anchor.blockNumber}, after block ${result.ethBlockNumber}`);
+    }
+
+    return { ...result, valid: true };
+}
+
+module.exports = {
+    anchorRoot,
+    rootToBytes32,
+    bytes32ToRoot,
+    createAnchorProof,
+    verifyAnchorProof
+};
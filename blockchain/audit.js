@@ -0,0 +1,220 @@
+const fs = require('fs');
+const Block = require('./Block');
+const ChainIndex = require('./ChainIndex');
+const ChainStorage = require('./ChainStorage');
+const { validateSnapshot } = require('./snapshots');
+
+// Kinds of problems an audit reports
+const AUDIT_CATEGORIES = [
+    'format', // Block data cannot be read
+    'index', // Block at the wrong height
+    'genesis', // Genesis block of another network
+    'hashMismatch', // Stored hash differs from the recomputed one
+    'merkleRoot', // Merkle root does not match the transactions
+    'brokenLink', // Previous hash does not point to the block before
+    'timestampOrder', // Timestamp not after the block before
+    'difficulty', // Wrong difficulty, or hash not meeting it
+    'badSignature', // Transaction or sealer signature does not verify
+    'invalidTransaction', // Nonce, balance, reward or type rule broken
+    'snapshot', // Missing or wrong state snapshot commitment
+    'prunedBody' // Pruned block no snapshot accounts for
+];
+
+// Walk a whole chain (Block instances or exported block data, from genesis) and list
+// every problem as { blockIndex, blockHash, category, message, position, expected, actual }.
+// Unlike buildValidatedChain, it does not stop at the first problem: every block is
+// checked against the blocks before it as they are, and applied to the replayed state.
+function auditChain(blockchain, blocks = blockchain.chain, snapshot = blockchain.snapshot) {
+    if (!Array.isArray(blocks) || blocks.length === 0) {
+        throw new Error('Chain data must be a non-empty array of blocks');
+    }
+
+    if (snapshot) {
+        blockchain.consensus.addBase(snapshot);
+    }
+
+    const problems = [];
+    const chain = [];
+    const state = new ChainIndex(); // Accounts and records replayed block by block
+
+    blocks.forEach((info, i) => {
+        const report = (block, { category, message, position = null, expected = null, actual = null }) => {
+            problems.push({ blockIndex: i, blockHash: (block && block.hash) || null, category, message, position, expected, actual });
+        };
+
+        let block;
+        try {
+            block = info instanceof Block ? info : Block.fromJSON(info);
+        } catch (error) {
+            report(info && typeof info === 'object' ? info : null, { category: 'format', message: error.message });
+            return;
+        }
+
+        if (block.index !== i) {
+            report(block, { category: 'index', message: `expected index ${i}, found ${block.index}`, expected: i, actual: block.index });
+        }
+
+        const computedHash = block.calculateHash();
+        if (block.hash !== computedHash) {
+            report(block, { category: 'hashMismatch', message: 'stored hash does not match the block contents', expected: computedHash, actual: block.hash });
+        }
+
+        if (!block.hasValidMerkleRoot()) {
+            report(block, {
+                category: 'merkleRoot',
+                message: 'merkle root does not match block transactions',
+                expected: Block.calculateMerkleRoot(block.data),
+                actual: block.merkleRoot
+            });
+        }
+
+        const previous = chain[chain.length - 1];
+        if (i === 0) {
+            if (block.hash !== blockchain.genesisHash) {
+                report(block, {
+                    category: 'genesis',
+                    message: `genesis block does not match network ${blockchain.networkId}`,
+                    expected: blockchain.genesisHash,
+                    actual: block.hash
+                });
+            }
+        } else if (previous) {
+            if (block.previousHash !== previous.hash) {
+                report(block, {
+                    category: 'brokenLink',
+                    message: `previous hash does not match block ${previous.index}`,
+                    expected: previous.hash,
+                    actual: block.previousHash
+                });
+            }
+
+            if (block.timestamp <= previous.timestamp) {
+                report(block, {
+                    category: 'timestampOrder',
+                    message: `timestamp ${block.timestamp} is not after block ${previous.index} (${previous.timestamp})`,
+                    expected: `> ${previous.timestamp}`,
+                    actual: block.timestamp
+                });
+            }
+
+            const sealProblem = blockchain.consensus.checkSeal(block, chain);
+            if (sealProblem) {
+                report(block, sealProblem);
+            }
+
+            blockchain.replayBlock(state, block, snapshot).forEach(problem => report(block, problem));
+        }
+
+        if (i === 0 || !previous) {
+            state.addBlock(block);
+        }
+        chain.push(block);
+    });
+
+    if (state.missingBodies) {
+        const tip = chain[chain.length - 1];
+        problems.push({
+            blockIndex: blocks.length - 1,
+            blockHash: tip ? tip.hash : null,
+            category: 'prunedBody',
+            message: 'pruned blocks do not lead to a known snapshot',
+            position: null,
+            expected: snapshot ? snapshot.blockHash : null,
+            actual: null
+        });
+    }
+
+    const categories = {};
+    problems.forEach(({ category }) => {
+        categories[category] = (categories[category] || 0) + 1;
+    });
+
+    return {
+        valid: problems.length === 0,
+        networkId: blockchain.networkId,
+        height: blocks.length - 1,
+        blocksChecked: blocks.length,
+        problemCount: problems.length,
+        categories,
+        problems,
+        auditedAt: new Date().toISOString()
+    };
+}
+
+// Human-readable audit report, one problem per entry
+function formatReport(report) {
+    const lines = [
+        `Chain audit of ${report.networkId}: ${report.blocksChecked} blocks checked, ` +
+        (report.valid ? 'no problems found' : `${report.problemCount} problem(s) found`)
+    ];
+
+    report.problems.forEach(problem => {
+        const where = problem.position === null ? '' : `, transaction ${problem.position}`;
+        lines.push(`  block ${problem.blockIndex}${where} [${problem.category}] ${problem.message}`);
+        if (problem.expected !== null || problem.actual !== null) {
+            lines.push(`      expected: ${JSON.stringify(problem.expected)}`);
+            lines.push(`      actual:   ${JSON.stringify(problem.actual)}`);
+        }
+    });
+
+    return lines.join('\n');
+}
+
+// Blocks and snapshot to audit: an exportChain() file (or a saved GET /chain response),
+// or else the chain stored in `dataDir` (BLOCKCHAIN_DATA_DIR by default)
+function loadAuditInput(filePath, dataDir) {
+    if (filePath) {
+        const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const exported = content && content.data && Array.isArray(content.data.chain) ? content.data : content;
+        if (!exported || !Array.isArray(exported.chain)) {
+            throw new Error(`${filePath} is not a chain export (missing chain array)`);
+        }
+        return { blocks: exported.chain, snapshot: exported.snapshot || null };
+    }
+
+    const storage = new ChainStorage(dataDir);
+    if (!storage.hasChain()) {
+        throw new Error(`No stored chain in ${storage.dataDir}`);
+    }
+    return { blocks: storage.loadBlocks({ repair: false }), snapshot: storage.loadSnapshot() };
+}
+
+// Command-line check: node blockchain/audit.js [--json] [export.json]
+// Exits with 0 when the chain is valid, 1 when problems were found and 2 when it could not run.
+function main(args) {
+    // Required here: Blockchain itself depends on this module
+    const Blockchain = require('./Blockchain');
+    const json = args.includes('--json');
+    const [filePath] = args.filter(arg => arg !== '--json');
+
+    // Keep stdout for the report: library logs (genesis mining...) go to stderr
+    const { log } = console;
+    console.log = console.error;
+
+    try {
+        const blockchain = new Blockchain();
+        const { blocks, snapshot } = loadAuditInput(filePath);
+        const report = blockchain.auditChain(blocks, snapshot ? validateSnapshot(snapshot, blockchain.networkId) : null);
+
+        process.stdout.write(`${json ? JSON.stringify(report, null, 2) : formatReport(report)}\n`);
+        return report.valid ? 0 : 1;
+    } catch (error) {
+        console.error(`Audit failed: ${error.message}`);
+        return 2;
+    } finally {
+        console.log = log;
+    }
+}
+
+module.exports = {
+    AUDIT_CATEGORIES,
+    auditChain,
+    formatReport,
+    loadAuditInput,
+    main
+};
+
+// Run the check (after the exports, which Blockchain reads while loading)
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
@@ -0,0 +1,501 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const Blockchain = require('./Blockchain');
+const ChainStorage = require('./ChainStorage');
+const { CryptoManager } = require('./utils/crypto');
+const { hashTransaction } = require('./utils/merkle');
+const { formatReport, loadAuditInput } = require('./audit');
+const { validateSnapshot } = require('./snapshots');
+const { verifyAnchorProof } = require('./anchoring');
+
+const DEFAULT_NODE_URL = 'http://localhost:3000';
+
+const USAGE = `Usage: node blockchain/cli.js <command> [options]
+
+Keys (stored in blockchain/keys, or --keys-dir):
+  keys create <name> [--password <p>] [--force]   Create an RSA key pair
+  keys list                                         List key pairs and their addresses
+  keys delete <name>                                Delete a key pair
+  address <name|address> [--offline]                Show an address with its balance and nonce
+
+Transactions:
+  tx build --key <name> [--to <name|address> --amount <n>] [--type <t> --data <json>]
+           [--fee <n>] [--nonce <n>] [--password <p>]      Build and sign, without submitting
+           [--valid-after <n>] [--valid-until <n>]      Time lock: block height, or timestamp in ms
+  tx submit <file|->                                Submit a signed transaction (JSON)
+  tx send (same options as tx build)                Build, sign and submit
+  tx show <hash>                                    Show a confirmed transaction
+
+Chain:
+  mine --miner <name|address>                       Mine the pending transactions
+  block show <height|hash>                          Show a block and its transactions
+  block list [--limit <n>]                          Show the latest blocks
+  chain export [file]                               Save the node's chain (stdout without file)
+  chain import <file> [--data-dir <dir>] [--force]  Validate an export and store it for a node
+  validate [file] [--data-dir <dir>] [--remote]     Full audit of an export, the stored chain or the node
+
+Ethereum anchoring:
+  anchor proof <height|hash> [file]                 Get a block's anchor proof from the node
+  anchor verify <file> [--eth-block <n>]            Check an anchor proof on Ethereum, without the node
+           [--ethereum <url>] [--contract <address>]   (ETHEREUM_PROVIDER, ANCHOR_CONTRACT_ADDRESS)
+
+Options:
+  --node <url>   Node API (BLOCKCHAIN_URL, default ${DEFAULT_NODE_URL})
+  --json         Print JSON instead of text`;
+
+const KEY_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const FLAGS = ['json', 'force', 'offline', 'remote', 'help']; // Options that never take a value
+
+// Split argv into positionals and --options (--name value, --name=value or --flag)
+function parseArgs(argv) {
+    const positionals = [];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--') || arg === '--') {
+            positionals.push(arg);
+            continue;
+        }
+
+        const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        if (inlineValue !== undefined) {
+            options[name] = inlineValue;
+        } else if (!FLAGS.includes(name) && i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+            options[name] = argv[++i];
+        } else {
+            options[name] = true;
+        }
+    }
+
+    return { positionals, options };
+}
+
+// Error shown to the user as is (no stack), with the exit code to use
+function usageError(message) {
+    const error = new Error(message);
+    error.usage = true;
+    return error;
+}
+
+function requireOption(options, name) {
+    if (options[name] === undefined || options[name] === true) {
+        throw usageError(`--${name} is required`);
+    }
+    return options[name];
+}
+
+function parseNumber(value, name, { integer = false } = {}) {
+    const parsed = Number(value);
+    if (value === true || !Number.isFinite(parsed) || (integer && !Number.isInteger(parsed))) {
+        throw usageError(`--${name} must be ${integer ? 'an integer' : 'a number'}`);
+    }
+    return parsed;
+}
+
+function shorten(hash) {
+    return typeof hash === 'string' && hash.length > 16 ? `${hash.slice(0, 16)}…` : String(hash);
+}
+
+// One-line description of a transaction
+function describeTransaction(transaction) {
+    if (transaction.from === null) {
+        return transaction.type ? `${transaction.type} (system)` : `reward ${transaction.amount} to ${transaction.to}`;
+    }
+
+    const type = transaction.type || 'transfer';
+    const fee = transaction.fee ? `, fee ${transaction.fee}` : '';
+    const target = transaction.to !== undefined ? ` -> ${transaction.to} ${transaction.amount}` : '';
+    const after = transaction.validAfter !== undefined ? `, valid after ${transaction.validAfter}` : '';
+    const until = transaction.validUntil !== undefined ? `, valid until ${transaction.validUntil}` : '';
+    return `${type} from ${transaction.from}${target} (nonce ${transaction.nonce}${fee}${after}${until})`;
+}
+
+function formatBlock(block) {
+    const lines = [
+        `Block ${block.index} ${block.hash}`,
+        `  previous:     ${block.previousHash}`,
+        `  time:         ${new Date(block.timestamp).toISOString()}`,
+        `  difficulty:   ${block.difficulty} (nonce ${block.nonce})`,
+        `  merkle root:  ${block.merkleRoot}`
+    ];
+
+    if (block.pruned) {
+        lines.push('  transactions: pruned');
+    } else {
+        const transactions = Array.isArray(block.data) ? block.data : [];
+        lines.push(`  transactions: ${transactions.length}`);
+        transactions.forEach((transaction, position) => lines.push(`    ${position}. ${describeTransaction(transaction)}`));
+    }
+    return lines.join('\n');
+}
+
+// Commands by name: run(cli, positionals, options) returns the result, format(result) its text
+const COMMANDS = {
+    'keys create': {
+        run(cli, [name], options) {
+            cli.checkKeyName(name);
+            if (cli.cryptoManager.listKeyPairs().includes(name) && !options.force) {
+                throw usageError(`Key pair '${name}' already exists (use --force to replace it)`);
+            }
+
+            const { address, publicKeyPath, privateKeyPath } = cli.cryptoManager.generateKeyPair(cli.password(options), name);
+            return { name, address, publicKeyPath, privateKeyPath };
+        },
+        format: ({ name, address, privateKeyPath }) => `Created key pair '${name}'\n  address:     ${address}\n  private key: ${privateKeyPath}`
+    },
+
+    'keys list': {
+        run(cli) {
+            return cli.cryptoManager.listKeyPairs().sort().map(name => ({ name, address: cli.addressOfKey(name) }));
+        },
+        format: keys => (keys.length === 0 ? 'No key pairs' : keys.map(({ name, address }) => `${name}  ${address}`).join('\n'))
+    },
+
+    'keys delete': {
+        run(cli, [name]) {
+            cli.checkKeyName(name);
+            if (!cli.cryptoManager.listKeyPairs().includes(name)) {
+                throw usageError(`Key pair '${name}' not found`);
+            }
+
+            const address = cli.addressOfKey(name);
+            cli.cryptoManager.deleteKeyPair(name);
+            return { name, address, deleted: true };
+        },
+        format: ({ name, address }) => `Deleted key pair '${name}' (${address})`
+    },
+
+    address: {
+        async run(cli, [nameOrAddress], options) {
+            if (!nameOrAddress) {
+                throw usageError('address needs a key name or an address');
+            }
+
+            const address = cli.resolveAddress(nameOrAddress);
+            if (options.offline) {
+                return { address };
+            }
+            return cli.request('GET', `/explorer/addresses/${address}`);
+        },
+        format: account => [
+            `Address ${account.address}`,
+            ...(account.balance === undefined ? [] : [
+                `  balance:      ${account.balance}`,
+                `  nonce:        ${account.nonce}`,
+                `  transactions: ${account.transactionCount} (${account.pendingTransactions} pending)`
+            ])
+        ].join('\n')
+    },
+
+    'tx build': {
+        run: (cli, positionals, options) => cli.buildTransaction(options),
+        // The hash the node indexes the transaction by, for `tx show`
+        format: transaction => `Signed transaction ${hashTransaction(transaction)}\n  ${describeTransaction(transaction)}\n${JSON.stringify(transaction)}`
+    },
+
+    'tx submit': {
+        run(cli, [file]) {
+            if (!file) {
+                throw usageError('tx submit needs a file (or - for stdin)');
+            }
+            const transaction = JSON.parse(fs.readFileSync(file === '-' ? 0 : file, 'utf8'));
+            return cli.request('POST', '/transactions', transaction);
+        },
+        format: ({ transactionHash, pendingTransactions }) => `Submitted ${transactionHash} (${pendingTransactions} pending)`
+    },
+
+    'tx send': {
+        async run(cli, positionals, options) {
+            const transaction = await cli.buildTransaction(options);
+            return cli.request('POST', '/transactions', transaction);
+        },
+        format: ({ transactionHash, pendingTransactions }) => `Submitted ${transactionHash} (${pendingTransactions} pending)`
+    },
+
+    'tx show': {
+        run(cli, [hash]) {
+            if (!hash) {
+                throw usageError('tx show needs a transaction hash');
+            }
+            return cli.request('GET', `/explorer/transactions/${hash}`);
+        },
+        format: ({ transaction, transactionHash, blockIndex, position, confirmations }) => [
+            `Transaction ${transactionHash}`,
+            `  ${describeTransaction(transaction)}`,
+            `  block:         ${blockIndex} (position ${position})`,
+            `  confirmations: ${confirmations}`
+        ].join('\n')
+    },
+
+    mine: {
+        run(cli, positionals, options) {
+            const minerAddress = cli.resolveAddress(requireOption(options, 'miner'));
+            return cli.request('POST', '/mine', { minerAddress });
+        },
+        format: block => `Mined block ${block.index} ${block.hash} with ${block.data.length} transactions`
+    },
+
+    'block show': {
+        run(cli, [id]) {
+            if (!id) {
+                throw usageError('block show needs a height or a hash');
+            }
+            return cli.request('GET', `/blocks/${id}`);
+        },
+        format: formatBlock
+    },
+
+    'block list': {
+        run(cli, positionals, options) {
+            const limit = options.limit === undefined ? 10 : parseNumber(options.limit, 'limit', { integer: true });
+            return cli.request('GET', `/explorer/blocks?limit=${limit}`);
+        },
+        format: ({ blocks, total }) => [
+            `${total} blocks, latest first`,
+            ...blocks.map(block => `  ${block.index}  ${block.hash}  ${new Date(block.timestamp).toISOString()}  ${block.transactionCount} transactions`)
+        ].join('\n')
+    },
+
+    'chain export': {
+        async run(cli, [file]) {
+            const exported = await cli.request('GET', '/chain');
+            if (!file) {
+                return exported;
+            }
+
+            fs.writeFileSync(file, JSON.stringify(exported, null, 2));
+            return { file, networkId: exported.networkId, blocks: exported.chain.length };
+        },
+        format: result => (result.file
+            ? `Exported ${result.blocks} blocks of ${result.networkId} to ${result.file}`
+            : JSON.stringify(result, null, 2))
+    },
+
+    'chain import': {
+        run(cli, [file], options) {
+            if (!file) {
+                throw usageError('chain import needs an export file');
+            }
+
+            const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+            const exported = content && content.data && Array.isArray(content.data.chain) ? content.data : content;
+
+            // Validate in memory first so a bad export never touches the stored chain
+            new Blockchain().importChain(exported);
+
+            const storage = new ChainStorage(options['data-dir']);
+            if (storage.hasChain()) {
+                if (!options.force) {
+                    throw usageError(`${storage.dataDir} already holds a chain (use --force to replace it)`);
+                }
+                storage.clear();
+            }
+
+            const blockchain = new Blockchain({ storage });
+            blockchain.importChain(exported);
+            return { dataDir: storage.dataDir, networkId: blockchain.networkId, blocks: blockchain.chain.length };
+        },
+        format: ({ dataDir, networkId, blocks }) => `Imported ${blocks} blocks of ${networkId} into ${dataDir}`
+    },
+
+    'anchor proof': {
+        async run(cli, [id, file]) {
+            if (!id) {
+                throw usageError('anchor proof needs a block height or hash');
+            }
+
+            const proof = await cli.request('GET', `/anchors/blocks/${id}`);
+            if (file) {
+                fs.writeFileSync(file, JSON.stringify(proof, null, 2));
+            }
+            return proof;
+        },
+        format: proof => `Block ${proof.blockIndex} ${proof.blockHash}\n  anchor:      ${proof.anchorId} (root ${shorten(proof.root)})\n  transaction: ${proof.transactionHash}`
+    },
+
+    'anchor verify': {
+        run(cli, [file], options) {
+            if (!file) {
+                throw usageError('anchor verify needs a proof file (from anchor proof)');
+            }
+
+            const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+            // Also accepts a saved GET /anchors/blocks/:id response, verified or not
+            const data = content && content.success !== undefined ? content.data : content;
+            const proof = data && data.verification ? data.proof : data;
+            const ethBlock = options['eth-block'] === undefined ? undefined : parseNumber(options['eth-block'], 'eth-block', { integer: true });
+
+            // Required here: web3 is only needed for this command
+            const EthereumAnchorRegistry = require('./EthereumAnchorRegistry');
+            const registry = new EthereumAnchorRegistry({
+                providerUrl: typeof options.ethereum === 'string' ? options.ethereum : process.env.ETHEREUM_PROVIDER,
+                contractAddress: typeof options.contract === 'string' ? options.contract : process.env.ANCHOR_CONTRACT_ADDRESS
+            });
+            return verifyAnchorProof(proof, registry, ethBlock);
+        },
+        format: result => (result.valid
+            ? `Block ${result.blockIndex} ${result.blockHash} existed at or before Ethereum block ${result.ethBlockNumber} ` +
+                `(anchored in block ${result.anchor.blockNumber}, anchor ${result.anchorId})`
+            : `Not proven: ${result.reason}`),
+        exitCode: result => (result.valid ? 0 : 1)
+    },
+
+    validate: {
+        run(cli, [file], options) {
+            if (options.remote) {
+                return cli.request('GET', '/audit');
+            }
+
+            const blockchain = new Blockchain();
+            const { blocks, snapshot } = loadAuditInput(file, options['data-dir']);
+            return blockchain.auditChain(blocks, snapshot ? validateSnapshot(snapshot, blockchain.networkId) : null);
+        },
+        format: formatReport,
+        exitCode: report => (report.valid ? 0 : 1)
+    }
+};
+
+// Command-line client for wallets and the custom chain. Node commands go through the
+// HTTP API; keys, import and local validation work on this machine's files.
+class Cli {
+    constructor(options = {}) {
+        this.cryptoManager = options.cryptoManager || null;
+        this.nodeUrl = options.nodeUrl || null;
+        this.stdout = options.stdout || (text => process.stdout.write(text));
+        this.stderr = options.stderr || (text => process.stderr.write(text));
+    }
+
+    checkKeyName(name) {
+        if (typeof name !== 'string' || !KEY_NAME_PATTERN.test(name)) {
+            throw usageError('Key names use letters, digits, - and _ only');
+        }
+    }
+
+    password(options) {
+        return options.password === undefined || options.password === true
+            ? process.env.BLOCKCHAIN_KEY_PASSWORD || null
+            : options.password;
+    }
+
+    addressOfKey(name) {
+        const publicKey = fs.readFileSync(`${this.cryptoManager.keyDir}/${name}_public.pem`, 'utf8');
+        return this.cryptoManager.generateAddress(publicKey);
+    }
+
+    // A key name stands for its address; anything else is taken as an address
+    resolveAddress(nameOrAddress) {
+        return KEY_NAME_PATTERN.test(nameOrAddress) && this.cryptoManager.listKeyPairs().includes(nameOrAddress)
+            ? this.addressOfKey(nameOrAddress)
+            : nameOrAddress;
+    }
+
+    // Build and sign a transaction from --key and the transaction options, asking the
+    // node for the next nonce unless --nonce is given
+    async buildTransaction(options) {
+        const keyName = requireOption(options, 'key');
+        this.checkKeyName(keyName);
+        const password = this.password(options);
+        const { privateKey, address } = this.cryptoManager.loadKeyPair(keyName, password);
+
+        const transaction = { from: address };
+        if (options.type !== undefined) {
+            transaction.type = requireOption(options, 'type');
+        }
+        if (options.to !== undefined || options.amount !== undefined) {
+            transaction.to = this.resolveAddress(requireOption(options, 'to'));
+            transaction.amount = parseNumber(requireOption(options, 'amount'), 'amount');
+        }
+        if (options.data !== undefined) {
+            try {
+                transaction.data = JSON.parse(requireOption(options, 'data'));
+            } catch (error) {
+                throw usageError(`--data must be JSON: ${error.message}`);
+            }
+        }
+        if (options.fee !== undefined) {
+            transaction.fee = parseNumber(options.fee, 'fee');
+        }
+        if (options['valid-after'] !== undefined) {
+            transaction.validAfter = parseNumber(options['valid-after'], 'valid-after', { integer: true });
+        }
+        if (options['valid-until'] !== undefined) {
+            transaction.validUntil = parseNumber(options['valid-until'], 'valid-until', { integer: true });
+        }
+
+        transaction.nonce = options.nonce !== undefined
+            ? parseNumber(options.nonce, 'nonce', { integer: true })
+            : (await this.request('GET', `/addresses/${address}/nonce`)).nextNonce;
+        transaction.timestamp = Date.now();
+
+        return this.cryptoManager.signTransaction(transaction, privateKey, password);
+    }
+
+    // Call the node API and return `data`, throwing its error message on failure
+    async request(method, path, body) {
+        const url = `${this.nodeUrl}${path}`;
+        let response;
+        try {
+            response = await fetch(url, {
+                method,
+                headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+                body: body === undefined ? undefined : JSON.stringify(body)
+            });
+        } catch (error) {
+            throw new Error(`Cannot reach the node at ${this.nodeUrl}: ${error.message}`);
+        }
+
+        const payload = await response.json().catch(() => ({}));
+        if (!response.ok || payload.success === false) {
+            throw new Error(payload.error || `${method} ${path} answered ${response.status}`);
+        }
+        return payload.data;
+    }
+
+    // Run a command line (without `node cli.js`); resolves with the exit code
+    async run(argv) {
+        const { positionals, options } = parseArgs(argv);
+        const json = options.json === true;
+        this.nodeUrl = (typeof options.node === 'string' && options.node) || this.nodeUrl || process.env.BLOCKCHAIN_URL || DEFAULT_NODE_URL;
+        if (!this.cryptoManager || typeof options['keys-dir'] === 'string') {
+            this.cryptoManager = new CryptoManager({ keyDir: typeof options['keys-dir'] === 'string' ? options['keys-dir'] : undefined });
+        }
+
+        const name = COMMANDS[positionals.slice(0, 2).join(' ')] ? positionals.slice(0, 2).join(' ') : positionals[0];
+        const command = COMMANDS[name];
+        if (!command || options.help) {
+            this.stdout(`${USAGE}\n`);
+            return command || options.help || positionals.length === 0 || positionals[0] === 'help' ? 0 : 2;
+        }
+
+        // Keep stdout for the result: library logs (key files, genesis mining...) go to stderr
+        const { log } = console;
+        console.log = (...args) => this.stderr(`${args.join(' ')}\n`);
+
+        try {
+            const result = await command.run(this, positionals.slice(name.split(' ').length), options);
+            this.stdout(`${json ? JSON.stringify(result, null, 2) : command.format(result)}\n`);
+            return command.exitCode ? command.exitCode(result) : 0;
+        } catch (error) {
+            if (json) {
+                this.stdout(`${JSON.stringify({ error: error.message }, null, 2)}\n`);
+            } else {
+                this.stderr(`Error: ${error.message}\n`);
+            }
+            return error.usage ? 2 : 1;
+        } finally {
+            console.log = log;
+        }
+    }
+}
+
+if (require.main === module) {
+    new Cli().run(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = {
+    Cli,
+    parseArgs
+};
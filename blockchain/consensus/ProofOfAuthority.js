@@ -0,0 +1,366 @@
+const Block = require('../Block');
+const { crypto: cryptoManager } = require('../utils/crypto');
+
+const VOTE_TYPE = 'validatorVote';
+const VOTE_ACTIONS = ['add', 'remove'];
+const IN_TURN_WEIGHT = 2;
+const OUT_OF_TURN_WEIGHT = 1;
+const OUT_OF_TURN_DELAY = 2000; // ms an out-of-turn validator leaves the one in turn before sealing
+
+// Deep copy, so a cached state is never mutated by a later replay
+function cloneState(state) {
+    return {
+        validators: new Map(state.validators),
+        proposals: new Map(Array.from(state.proposals, ([key, proposal]) => [
+            key,
+            { ...proposal, voters: new Set(proposal.voters) }
+        ]))
+    };
+}
+
+// Round-robin order of a validator map
+function orderValidators(validators) {
+    return Array.from(validators, ([address, publicKey]) => ({ address, publicKey }))
+        .sort((a, b) => a.address.localeCompare(b.address));
+}
+
+function getVotes(block) {
+    return Block.getTransactionList(block.data).filter(transaction => transaction && transaction.type === VOTE_TYPE);
+}
+
+// Blocks are sealed by known validators taking turns: the block at height h is
+// due from validator h % n (validators sorted by address). As in Clique, another
+// validator may seal it when that one is down, for less weight, as long as it sealed
+// none of the last floor(n / 2) blocks. The set changes when more than half of the
+// current validators vote for the same proposal.
+class ProofOfAuthority {
+    constructor(blockchain, config, options = {}) {
+        this.blockchain = blockchain;
+        this.type = 'poa';
+        this.genesisValidators = config.validators;
+        this.outOfTurnDelay = options.outOfTurnDelay ?? OUT_OF_TURN_DELAY;
+        this.signer = null; // Key this node seals with, if it is a validator
+        this.blockSealers = new WeakMap(); // block -> { sealHash, signature, address } of its last check
+        this.stateCache = null; // { index, hash, state } after the last replayed block
+        this.bases = []; // { index, hash, state } from state snapshots, to resume where bodies are pruned
+
+        if (options.validatorKey) {
+            this.setSigner(options.validatorKey);
+        }
+    }
+
+    setSigner({ privateKey, password = null }) {
+        const publicKey = cryptoManager.getPublicKey(privateKey, password);
+        this.signer = { privateKey, password, publicKey, address: cryptoManager.generateAddress(publicKey) };
+    }
+
+    // Validators and open proposals in force for the block at `height`, replaying the
+    // votes of chain[1..height-1]. Resumes from the last replay when the prefix matches.
+    getState(chain, height) {
+        const cache = this.stateCache;
+        let state;
+        let start;
+
+        const base = this.bases
+            .filter(candidate => candidate.index < height && chain[candidate.index] && chain[candidate.index].hash === candidate.hash)
+            .sort((a, b) => b.index - a.index)[0];
+
+        if (cache && cache.index < height && chain[cache.index] && chain[cache.index].hash === cache.hash) {
+            state = cloneState(cache.state);
+            start = cache.index + 1;
+        } else if (base) {
+            state = cloneState(base.state);
+            start = base.index + 1;
+        } else {
+            state = {
+                validators: new Map(this.genesisValidators.map(validator => [validator.address, validator.publicKey])),
+                proposals: new Map()
+            };
+            start = 1;
+        }
+
+        for (let i = start; i < height; i++) {
+            this.applyVotes(state, chain[i]);
+        }
+
+        if (height > 0) {
+            this.stateCache = { index: height - 1, hash: chain[height - 1].hash, state: cloneState(state) };
+        }
+        return state;
+    }
+
+    // Validators and open proposals after the last block of `chain`, as plain data for state snapshots
+    exportState(chain) {
+        const { validators, proposals } = this.getState(chain, chain.length);
+        return {
+            validators: orderValidators(validators),
+            proposals: Array.from(proposals.values(), proposal => ({ ...proposal, voters: Array.from(proposal.voters) }))
+        };
+    }
+
+    // Resume replays from a snapshot instead of genesis (the blocks before it may be pruned)
+    addBase(snapshot) {
+        if (this.bases.some(base => base.hash === snapshot.blockHash)) {
+            return;
+        }
+
+        const { validators, proposals } = snapshot.state.consensus;
+        this.bases.push({
+            index: snapshot.height,
+            hash: snapshot.blockHash,
+            state: {
+                validators: new Map(validators.map(({ address, publicKey }) => [address, publicKey])),
+                proposals: new Map(proposals.map(proposal => [
+                    `${proposal.action}:${proposal.address}`,
+                    { ...proposal, voters: new Set(proposal.voters) }
+                ]))
+            }
+        });
+    }
+
+    // Count the votes of a block; proposals reaching a majority apply once the block is in
+    applyVotes(state, block) {
+        const touched = new Set();
+
+        getVotes(block).forEach(vote => {
+            if (!state.validators.has(vote.from)) return;
+
+            const { action, address, publicKey } = vote.data;
+            const key = `${action}:${address}`;
+            if (!state.proposals.has(key)) {
+                state.proposals.set(key, { action, address, publicKey, voters: new Set() });
+            }
+            state.proposals.get(key).voters.add(vote.from);
+            touched.add(key);
+        });
+
+        touched.forEach(key => {
+            const proposal = state.proposals.get(key);
+            const votes = Array.from(proposal.voters).filter(voter => state.validators.has(voter)).length;
+            if (votes * 2 <= state.validators.size) return;
+
+            state.proposals.delete(key);
+            if (proposal.action === 'add') {
+                state.validators.set(proposal.address, proposal.publicKey);
+            } else if (state.validators.size > 1) {
+                state.validators.delete(proposal.address); // The last validator can never be voted out
+            }
+        });
+    }
+
+    // Validators for a height, in round-robin order
+    getValidators(chain = this.blockchain.chain, height = chain.length) {
+        return orderValidators(this.getState(chain, height).validators);
+    }
+
+    // Open proposals at the tip, with the validators who voted for them
+    getProposals(chain = this.blockchain.chain) {
+        const { proposals } = this.getState(chain, chain.length);
+        return Array.from(proposals.values(), ({ action, address, voters }) => ({
+            action,
+            address,
+            voters: Array.from(voters)
+        }));
+    }
+
+    // Validator due to seal the block at `height`
+    getSealer(height, chain = this.blockchain.chain) {
+        const validators = this.getValidators(chain, height);
+        return validators[height % validators.length];
+    }
+
+    // Which of `validators` signed the block, or null
+    findSealer(block, validators) {
+        const sealHash = Block.calculateSealHash(block);
+        const known = this.blockSealers.get(block);
+        if (known && known.sealHash === sealHash && known.signature === block.signature) {
+            return validators.find(validator => validator.address === known.address) || null;
+        }
+
+        const sealer = validators.find(validator => cryptoManager.verifySignature(validator.publicKey, sealHash, block.signature));
+        if (sealer) {
+            this.blockSealers.set(block, { sealHash, signature: block.signature, address: sealer.address });
+        }
+        return sealer || null;
+    }
+
+    // Validators that sealed one of the floor(n / 2) blocks below `height`: they may not seal out of turn
+    getRecentSealers(chain, height, validators) {
+        const recent = new Set();
+        const window = Math.floor(validators.length / 2);
+
+        for (let i = Math.max(1, height - window); i < height; i++) {
+            const sealer = chain[i].signature ? this.findSealer(chain[i], validators) : null;
+            if (sealer) {
+                recent.add(sealer.address);
+            }
+        }
+        return recent;
+    }
+
+    // Sign the block as this node's validator. In turn the returned job is already settled;
+    // out of turn it signs after `outOfTurnDelay`, and is cancelled if a block arrives first.
+    // Shaped like MiningJob so the blockchain handles both consensus modes alike.
+    sealBlock(block) {
+        if (!this.signer) {
+            throw new Error('This node has no validator key to seal blocks with');
+        }
+
+        const validators = this.getValidators(this.blockchain.chain, block.index);
+        const inTurn = validators[block.index % validators.length];
+        const { address } = this.signer;
+        if (address !== inTurn.address) {
+            if (!validators.some(validator => validator.address === address)) {
+                throw new Error(`${address} is not a validator and cannot seal block ${block.index}`);
+            }
+            if (this.getRecentSealers(this.blockchain.chain, block.index, validators).has(address)) {
+                throw new Error(`Block ${block.index} is due from validator ${inTurn.address}, and ${address} sealed one of the last blocks`);
+            }
+        }
+
+        const sign = () => {
+            block.difficulty = 0;
+            block.nonce = 0;
+            block.merkleRoot = Block.calculateMerkleRoot(block.data);
+            block.signature = cryptoManager.signData(this.signer.privateKey, Block.calculateSealHash(block), this.signer.password);
+            block.hash = Block.calculateHeaderHash(block);
+            console.log(`Block sealed by ${address}${address === inTurn.address ? '' : ' out of turn'}: ${block.hash}`);
+            return block;
+        };
+
+        const startedAt = Date.now();
+        const delay = address === inTurn.address ? 0 : this.outOfTurnDelay;
+        let timer = null;
+        let rejectSeal = null;
+        const promise = delay === 0
+            ? Promise.resolve(sign())
+            : new Promise((resolve, reject) => {
+                rejectSeal = reject;
+                timer = setTimeout(() => {
+                    timer = null;
+                    resolve(sign());
+                }, delay);
+            });
+
+        return {
+            block,
+            promise,
+            cancel: (reason = 'cancelled') => {
+                if (!timer) return false;
+                clearTimeout(timer);
+                timer = null;
+                const error = new Error(`Sealing of block ${block.index} cancelled: ${reason}`);
+                error.cancelled = true;
+                rejectSeal(error);
+                return true;
+            },
+            getProgress: () => ({ index: block.index, difficulty: 0, attempts: timer ? 0 : 1, elapsed: Date.now() - startedAt, hashRate: 0 })
+        };
+    }
+
+    // Check the block is signed by the validator in turn, or by another validator allowed
+    // to stand in, and only carries votes from validators. Returns a description of the problem, or null.
+    verifySeal(block, chain) {
+        const problem = this.checkSeal(block, chain);
+        return problem ? problem.message : null;
+    }
+
+    // Same check, as { category, message, expected, actual } for audit reports
+    checkSeal(block, chain) {
+        if (block.difficulty !== 0) {
+            return {
+                category: 'difficulty',
+                message: `authority blocks carry no proof of work (difficulty ${block.difficulty})`,
+                expected: 0,
+                actual: block.difficulty
+            };
+        }
+
+        // The validator set of a pruned stretch is unknown (its votes are gone); the snapshot
+        // taken after it vouches for those blocks instead
+        if (block.pruned) {
+            return null;
+        }
+
+        const state = this.getState(chain, block.index);
+        const validators = orderValidators(state.validators);
+        const inTurn = validators[block.index % validators.length];
+
+        if (!block.signature) {
+            return { category: 'badSignature', message: 'missing sealer signature', expected: inTurn.address, actual: null };
+        }
+        const sealer = this.findSealer(block, validators);
+        if (!sealer) {
+            return {
+                category: 'badSignature',
+                message: `not sealed by a validator (${inTurn.address} is in turn)`,
+                expected: inTurn.address,
+                actual: null
+            };
+        }
+        if (sealer.address !== inTurn.address && this.getRecentSealers(chain, block.index, validators).has(sealer.address)) {
+            return {
+                category: 'badSignature',
+                message: `sealed out of turn by ${sealer.address}, who sealed one of the last ${Math.floor(validators.length / 2)} blocks`,
+                expected: inTurn.address,
+                actual: sealer.address
+            };
+        }
+
+        const stranger = getVotes(block).find(vote => !state.validators.has(vote.from));
+        if (stranger) {
+            return {
+                category: 'invalidTransaction',
+                message: `vote from ${stranger.from}, who is not a validator`,
+                expected: 'a validator',
+                actual: stranger.from
+            };
+        }
+
+        return null;
+    }
+
+    // Blocks sealed in turn outweigh those sealed by a stand-in, so forks settle on the
+    // branch where validators kept their turns
+    getBlockWork(block, chain) {
+        const inTurn = this.getSealer(block.index, chain);
+        return block.signature && this.findSealer(block, [inTurn]) ? IN_TURN_WEIGHT : OUT_OF_TURN_WEIGHT;
+    }
+
+    // Shape of a vote transaction: { type: 'validatorVote', data: { action, address, publicKey } }
+    validateVote(transaction) {
+        const { data } = transaction;
+
+        if (!data || !VOTE_ACTIONS.includes(data.action) || typeof data.address !== 'string' || !data.address) {
+            throw new Error('Validator vote needs data.action (add or remove) and data.address');
+        }
+
+        if (transaction.to !== undefined || transaction.amount !== undefined) {
+            throw new Error('Validator votes cannot transfer funds');
+        }
+
+        if (data.action === 'add' && (typeof data.publicKey !== 'string' || cryptoManager.generateAddress(data.publicKey) !== data.address)) {
+            throw new Error('Validator vote to add a validator needs the public key of data.address');
+        }
+    }
+
+    // A vote entering the mempool must come from a validator and change the current set
+    checkVote(transaction, chain = this.blockchain.chain) {
+        const { validators } = this.getState(chain, chain.length);
+        const { action, address } = transaction.data;
+
+        if (!validators.has(transaction.from)) {
+            throw new Error(`${transaction.from} is not a validator and cannot vote`);
+        }
+        if (action === 'add' && validators.has(address)) {
+            throw new Error(`${address} is already a validator`);
+        }
+        if (action === 'remove' && !validators.has(address)) {
+            throw new Error(`${address} is not a validator`);
+        }
+    }
+}
+
+ProofOfAuthority.VOTE_TYPE = VOTE_TYPE;
+
+module.exports = ProofOfAuthority;
@@ -0,0 +1,69 @@
+const MiningJob = require('../MiningJob');
+
+// Blocks are sealed by finding a hash with enough leading zeros
+class ProofOfWork {
+    constructor(blockchain) {
+        this.blockchain = blockchain;
+        this.type = 'pow';
+    }
+
+    // Start mining the next block in a worker thread; returns the running MiningJob
+    sealBlock(block, options = {}) {
+        const job = new MiningJob(block, this.blockchain.difficulty, options);
+        job.start();
+        return job;
+    }
+
+    // Check the block was mined at the difficulty expected after `chain` (blocks
+    // before it). Returns a description of the problem, or null.
+    verifySeal(block, chain) {
+        const problem = this.checkSeal(block, chain);
+        return problem ? problem.message : null;
+    }
+
+    // Same check, as { category, message, expected, actual } for audit reports
+    checkSeal(block, chain) {
+        const expectedDifficulty = this.blockchain.getDifficultyForHeight(block.index, chain);
+        if (block.difficulty !== expectedDifficulty) {
+            return {
+                category: 'difficulty',
+                message: `difficulty ${block.difficulty} does not match expected ${expectedDifficulty}`,
+                expected: expectedDifficulty,
+                actual: block.difficulty
+            };
+        }
+
+        if (!this.blockchain.hasValidDifficulty(block)) {
+            return {
+                category: 'difficulty',
+                message: `hash does not meet difficulty ${block.difficulty}`,
+                expected: `${block.difficulty} leading zeros`,
+                actual: block.hash
+            };
+        }
+
+        return null;
+    }
+
+    // Each leading hex zero is 16x more hashes
+    getBlockWork(block) {
+        return 16 ** block.difficulty;
+    }
+
+    // Nothing beyond the chain itself: difficulty is derived from block headers
+    exportState() {
+        return null;
+    }
+
+    addBase() {}
+
+    validateVote() {
+        throw new Error('Validator votes require proof-of-authority consensus');
+    }
+
+    checkVote() {
+        throw new Error('Validator votes require proof-of-authority consensus');
+    }
+}
+
+module.exports = ProofOfWork;
@@ -0,0 +1,21 @@
+const ProofOfWork = require('./ProofOfWork');
+const ProofOfAuthority = require('./ProofOfAuthority');
+
+// Consensus engine for a validated genesis `consensus` section
+function createConsensus(blockchain, config, options = {}) {
+    switch (config.type) {
+        case 'pow':
+            return new ProofOfWork(blockchain);
+        case 'poa':
+            return new ProofOfAuthority(blockchain, config, options);
+        default:
+            throw new Error(`Unknown consensus type: ${config.type}`);
+    }
+}
+
+module.exports = {
+    createConsensus,
+    ProofOfWork,
+    ProofOfAuthority,
+    VOTE_TYPE: ProofOfAuthority.VOTE_TYPE
+};
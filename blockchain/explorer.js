@@ -0,0 +1,290 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const Blockchain = require('./Blockchain');
+const { hashTransaction } = require('./utils/merkle');
+const { numberFromEnv } = require('./utils/env');
+const { parsePagination, MAX_PAGE_SIZE } = require('./utils/pagination');
+
+// Block header and transaction count, for block lists
+function summarizeBlock(block, chainLength) {
+    const transactions = block.getTransactions();
+    return {
+        index: block.index,
+        hash: block.hash,
+        previousHash: block.previousHash,
+        timestamp: block.timestamp,
+        difficulty: block.difficulty,
+        merkleRoot: block.merkleRoot,
+        transactionCount: transactions.length,
+        confirmations: chainLength - block.index,
+        pruned: Boolean(block.pruned)
+    };
+}
+
+// Run a route handler with ?offset=&limit=, answering 400 on bad values
+const paginated = handler => (req, res) => {
+    let page;
+    try {
+        page = parsePagination(req.query);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+    return handler(req, res, page);
+};
+
+// Read-only explorer routes over a Blockchain and its indexes
+function createExplorerRouter(blockchain) {
+    const router = express.Router();
+
+    // Latest blocks, newest first
+    router.get('/blocks', paginated((req, res, page) => {
+        const { chain } = blockchain;
+        const blocks = blockchain.getLatestBlocks(page).map(block => summarizeBlock(block, chain.length));
+        res.json({
+            success: true,
+            data: { blocks, count: blocks.length, total: chain.length, ...page }
+        });
+    }));
+
+    // One block by height or hash, with its transaction hashes
+    router.get('/blocks/:id', (req, res) => {
+        const { id } = req.params;
+        const block = /^\d+$/.test(id) ? blockchain.chain[Number(id)] : blockchain.getBlockByHash(id);
+        if (!block) {
+            return res.status(404).json({ success: false, error: 'Block not found' });
+        }
+
+        const { chain } = blockchain;
+        res.json({
+            success: true,
+            data: {
+                ...block.getBlockInfo(),
+                ...summarizeBlock(block, chain.length),
+                transactionHashes: block.getTransactions().map(transaction => hashTransaction(transaction)),
+                nextHash: chain[block.index + 1] ? chain[block.index + 1].hash : null
+            }
+        });
+    });
+
+    // Confirmed transaction by hash, with its confirmation count
+    router.get('/transactions/:hash', (req, res) => {
+        const transaction = blockchain.getTransaction(req.params.hash);
+        if (!transaction) {
+            return res.status(404).json({ success: false, error: 'Transaction not found in any block' });
+        }
+
+        res.json({ success: true, data: transaction });
+    });
+
+    // Balance, nonce and activity of an address
+    router.get('/addresses/:address', (req, res) => {
+        const { address } = req.params;
+        const { balance, nonce } = blockchain.getAccountState(address);
+        res.json({
+            success: true,
+            data: {
+                address,
+                balance,
+                nonce,
+                transactionCount: blockchain.countTransactionsOfAddress(address),
+                pendingTransactions: blockchain.pendingTransactions.filter(transaction => transaction.from === address).length
+            }
+        });
+    });
+
+    // Transaction history of an address, oldest first
+    router.get('/addresses/:address/transactions', paginated((req, res, page) => {
+        const { address } = req.params;
+        const transactions = blockchain.getTransactionsOfAddress(address, page).map(transaction => ({
+            ...transaction,
+            confirmations: blockchain.chain.length - transaction.blockIndex
+        }));
+        res.json({
+            success: true,
+            data: {
+                address,
+                transactions,
+                count: transactions.length,
+                total: blockchain.countTransactionsOfAddress(address),
+                ...page
+            }
+        });
+    }));
+
+    // Average block time, difficulty history and mempool over the last ?window= blocks
+    router.get('/stats', (req, res) => {
+        const window = req.query.window === undefined ? 100 : Number(req.query.window);
+        if (!Number.isInteger(window) || window < 1 || window > 10000) {
+            return res.status(400).json({ success: false, error: 'window must be an integer between 1 and 10000' });
+        }
+
+        res.json({ success: true, data: blockchain.getChainStats({ window }) });
+    });
+
+    return router;
+}
+
+// Standalone explorer (the `explorer` service): mirrors the chain of the node at
+// BLOCKCHAIN_URL into a local Blockchain, validating each new block, and serves the explorer routes
+class ExplorerServer {
+    constructor(options = {}) {
+        this.port = options.port ?? numberFromEnv('PORT') ?? 3002;
+        this.sourceUrl = options.sourceUrl ?? process.env.BLOCKCHAIN_URL ?? null;
+        this.syncInterval = options.syncInterval ?? numberFromEnv('EXPLORER_SYNC_INTERVAL_MS') ?? 10000;
+        this.blockchain = options.blockchain || new Blockchain();
+        this.app = express();
+        this.server = null;
+        this.syncTimer = null;
+        this.syncing = false; // Whether start() runs the sync loop
+        this.lastSync = null;
+
+        this.app.use(helmet());
+        this.app.use(cors());
+
+        this.app.get('/health', (req, res) => {
+            res.json({
+                status: 'healthy',
+                timestamp: new Date().toISOString(),
+                networkId: this.blockchain.networkId,
+                blocks: this.blockchain.chain.length,
+                source: this.sourceUrl,
+                lastSync: this.lastSync
+            });
+        });
+        this.app.use('/', createExplorerRouter(this.blockchain));
+        this.app.use((req, res) => {
+            res.status(404).json({ success: false, error: 'Route not found' });
+        });
+    }
+
+    async fetchData(path) {
+        const response = await fetch(`${this.sourceUrl}${path}`);
+        if (!response.ok) {
+            throw new Error(`${this.sourceUrl}${path} answered ${response.status}`);
+        }
+        return (await response.json()).data;
+    }
+
+    // Pull the node's new blocks when its tip moved, then its pending transactions.
+    // Returns true when the chain changed.
+    async sync() {
+        const stats = await this.fetchData('/stats');
+        const changed = stats.lastBlock.hash !== this.blockchain.getLatestBlock().hash;
+
+        if (changed) {
+            await this.syncBlocks();
+        }
+        const { transactions } = await this.fetchData('/transactions/pending');
+        this.blockchain.rebuildPendingTransactions(transactions);
+
+        this.lastSync = new Date().toISOString();
+        return changed;
+    }
+
+    async syncBlocks() {
+        // A fresh explorer starts from the node's export, which also covers pruned chains
+        if (this.blockchain.chain.length === 1) {
+            this.blockchain.importChain(await this.fetchData('/chain'));
+            return;
+        }
+
+        // Blocks on top of our tip are checked and applied one by one
+        for (;;) {
+            const { blocks, height } = await this.fetchData(`/blocks?from=${this.blockchain.chain.length}&limit=${MAX_PAGE_SIZE}`);
+            if (blocks.length === 0 || blocks[0].previousHash !== this.blockchain.getLatestBlock().hash) {
+                break;
+            }
+
+            blocks.forEach(blockInfo => {
+                if (!this.blockchain.acceptBlock(blockInfo)) {
+                    throw new Error(`Block ${blockInfo.index} from ${this.sourceUrl} was rejected`);
+                }
+            });
+            if (this.blockchain.chain.length > height) {
+                return;
+            }
+        }
+
+        // The node switched branches: fetch and validate only its blocks past the fork point
+        const forkIndex = await this.findForkIndex();
+        if (forkIndex === this.blockchain.chain.length - 1) {
+            return; // Nothing new yet
+        }
+        this.blockchain.replaceChain(await this.fetchBlocks(forkIndex + 1), forkIndex + 1);
+    }
+
+    // Height of the last block we share with the node, walking its headers back from our tip
+    async findForkIndex() {
+        let before = this.blockchain.chain.length;
+        while (before > 0) {
+            const from = Math.max(0, before - MAX_PAGE_SIZE);
+            const { headers } = await this.fetchData(`/headers?from=${from}&limit=${before - from}`);
+            for (let i = headers.length - 1; i >= 0; i--) {
+                if (this.blockchain.chain[from + i].hash === headers[i].hash) {
+                    return from + i;
+                }
+            }
+            before = from;
+        }
+        throw new Error(`${this.sourceUrl} does not share our genesis`);
+    }
+
+    // The node's blocks from a height to its tip
+    async fetchBlocks(from) {
+        const blocks = [];
+        for (;;) {
+            const page = await this.fetchData(`/blocks?from=${from + blocks.length}&limit=${MAX_PAGE_SIZE}`);
+            blocks.push(...page.blocks);
+            if (page.count === 0 || from + blocks.length > page.height) {
+                return blocks;
+            }
+        }
+    }
+
+    start() {
+        this.server = this.app.listen(this.port, () => {
+            console.log(`Block explorer (${this.blockchain.networkId}) listening on port ${this.port}`);
+        });
+
+        if (this.sourceUrl) {
+            // The next sync is scheduled once the current one settles, so a slow node never gets overlapping syncs
+            const syncLoop = () => this.sync()
+                .catch(error => {
+                    console.error(`Explorer sync with ${this.sourceUrl} failed: ${error.message}`);
+                })
+                .finally(() => {
+                    if (this.syncing) {
+                        this.syncTimer = setTimeout(syncLoop, this.syncInterval);
+                    }
+                });
+            this.syncing = true;
+            syncLoop();
+        }
+
+        return this.server;
+    }
+
+    stop() {
+        this.syncing = false;
+        if (this.syncTimer) {
+            clearTimeout(this.syncTimer);
+            this.syncTimer = null;
+        }
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+        }
+    }
+}
+
+// Start the explorer
+if (require.main === module) {
+    const explorer = new ExplorerServer();
+    explorer.start();
+}
+
+module.exports = {
+    createExplorerRouter,
+    ExplorerServer
+};
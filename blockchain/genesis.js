@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const { crypto: cryptoManager } = require('./utils/crypto');
+
+const DEFAULT_GENESIS_PATH = path.join(__dirname, '..', 'config', 'genesis.json');
+
+const DEFAULTS = {
+    message: 'Genesis Block',
+    allocations: [],
+    retargetInterval: 10, // Blocks between difficulty adjustments
+    targetBlockTime: 10000, // Desired ms between blocks
+    maxBlockTransactions: 500, // Transactions per block, mining reward included
+    miningReward: 100, // Most a block's reward may pay on top of its fees
+    snapshotInterval: 0, // Blocks between state snapshots committed on chain (0: no snapshots)
+    consensus: { type: 'pow' } // 'pow' (proof of work) or 'poa' (authorised validators)
+};
+
+const CONSENSUS_TYPES = ['pow', 'poa'];
+
+// Check the consensus section; proof of authority needs the initial validator keys
+function validateConsensusConfig(consensus) {
+    if (!consensus || !CONSENSUS_TYPES.includes(consensus.type)) {
+        throw new Error(`Genesis config: consensus.type must be one of ${CONSENSUS_TYPES.join(', ')}`);
+    }
+
+    if (consensus.type === 'pow') {
+        return { type: 'pow' };
+    }
+
+    if (!Array.isArray(consensus.validators) || consensus.validators.length === 0) {
+        throw new Error('Genesis config: proof of authority needs at least one validator');
+    }
+
+    const validators = consensus.validators.map((validator, i) => {
+        if (!validator || typeof validator.publicKey !== 'string' || !validator.publicKey) {
+            throw new Error(`Genesis config: validator ${i} needs a publicKey`);
+        }
+
+        const address = cryptoManager.generateAddress(validator.publicKey);
+        if (validator.address && validator.address !== address) {
+            throw new Error(`Genesis config: validator ${i} address does not match its public key`);
+        }
+        return { address, publicKey: validator.publicKey };
+    });
+
+    if (new Set(validators.map(validator => validator.address)).size !== validators.length) {
+        throw new Error('Genesis config: validators must be unique');
+    }
+
+    return { type: 'poa', validators };
+}
+
+// Check a genesis definition before any block is built from it, filling in defaults
+function validateGenesisConfig(input) {
+    if (!input || typeof input !== 'object') {
+        throw new Error('Genesis config must be an object');
+    }
+
+    const config = { ...DEFAULTS, ...input };
+
+    if (typeof config.networkId !== 'string' || !config.networkId) {
+        throw new Error('Genesis config: networkId must be a non-empty string');
+    }
+
+    if (!Number.isInteger(config.timestamp) || config.timestamp <= 0) {
+        throw new Error('Genesis config: timestamp must be a positive integer (ms since epoch)');
+    }
+
+    if (!Number.isInteger(config.difficulty) || config.difficulty < 0) {
+        throw new Error('Genesis config: difficulty must be a non-negative integer');
+    }
+
+    if (!Number.isInteger(config.retargetInterval) || config.retargetInterval < 2) {
+        throw new Error('Genesis config: retargetInterval must be an integer of at least 2');
+    }
+
+    if (typeof config.targetBlockTime !== 'number' || config.targetBlockTime <= 0) {
+        throw new Error('Genesis config: targetBlockTime must be a positive number of milliseconds');
+    }
+
+    if (!Number.isInteger(config.maxBlockTransactions) || config.maxBlockTransactions < 1) {
+        throw new Error('Genesis config: maxBlockTransactions must be a positive integer');
+    }
+
+    if (!Number.isFinite(config.miningReward) || config.miningReward < 0) {
+        throw new Error('Genesis config: miningReward must be a non-negative number');
+    }
+
+    if (!Number.isInteger(config.snapshotInterval) || config.snapshotInterval < 0) {
+        throw new Error('Genesis config: snapshotInterval must be a non-negative integer');
+    }
+
+    // Blocks after a snapshot carry its commitment next to the mining reward
+    if (config.snapshotInterval > 0 && config.maxBlockTransactions < 2) {
+        throw new Error('Genesis config: maxBlockTransactions must be at least 2 with snapshots enabled');
+    }
+
+    config.consensus = validateConsensusConfig(config.consensus);
+
+    if (!Array.isArray(config.allocations)) {
+        throw new Error('Genesis config: allocations must be an array');
+    }
+
+    config.allocations.forEach((allocation, i) => {
+        if (!allocation || typeof allocation.address !== 'string' || !allocation.address) {
+            throw new Error(`Genesis config: allocation ${i} needs an address`);
+        }
+        if (typeof allocation.amount !== 'number' || allocation.amount <= 0) {
+            throw new Error(`Genesis config: allocation ${i} amount must be positive`);
+        }
+    });
+
+    return config;
+}
+
+// Load the genesis definition (GENESIS_CONFIG path, NETWORK_ID override)
+function loadGenesisConfig(configPath = process.env.GENESIS_CONFIG || DEFAULT_GENESIS_PATH) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to load genesis config from ${configPath}: ${error.message}`);
+    }
+
+    if (process.env.NETWORK_ID) {
+        config.networkId = process.env.NETWORK_ID;
+    }
+
+    return validateGenesisConfig(config);
+}
+
+module.exports = {
+    DEFAULT_GENESIS_PATH,
+    loadGenesisConfig,
+    validateGenesisConfig
+};
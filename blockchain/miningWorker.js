@@ -0,0 +1,20 @@
+// Worker thread entry point: proof-of-work search for one block header (see MiningJob)
+const { parentPort, workerData } = require('worker_threads');
+const Block = require('./Block');
+
+const PROGRESS_INTERVAL = 50000; // Hashes between progress reports
+
+const { header, difficulty } = workerData;
+const target = Array(difficulty + 1).join('0');
+const candidate = { ...header, difficulty, nonce: 0 };
+
+let hash = Block.calculateHeaderHash(candidate);
+while (hash.substring(0, difficulty) !== target) {
+    candidate.nonce++;
+    if (candidate.nonce % PROGRESS_INTERVAL === 0) {
+        parentPort.postMessage({ type: 'progress', attempts: candidate.nonce });
+    }
+    hash = Block.calculateHeaderHash(candidate);
+}
+
+parentPort.postMessage({ type: 'mined', nonce: candidate.nonce, hash });
@@ -0,0 +1,589 @@
+const fs = require('fs');
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const Blockchain = require('./Blockchain');
+const ChainStorage = require('./ChainStorage');
+const P2PServer = require('./P2PServer');
+const EventStream = require('./EventStream');
+const { hashTransaction } = require('./utils/merkle');
+const { crypto: cryptoManager } = require('./utils/crypto');
+const { numberFromEnv } = require('./utils/env');
+const { parsePagination } = require('./utils/pagination');
+const { createExplorerRouter } = require('./explorer');
+const AnchorJob = require('./AnchorJob');
+const { verifyAnchorProof } = require('./anchoring');
+const { createMultisigAccount } = require('./utils/multisig');
+
+// Key this node seals proof-of-authority blocks with (VALIDATOR_KEY_NAME in blockchain/keys)
+function validatorKeyFromEnv() {
+    const keyName = process.env.VALIDATOR_KEY_NAME;
+    if (!keyName) {
+        return undefined;
+    }
+
+    const password = process.env.VALIDATOR_KEY_PASSWORD || null;
+    const { privateKey } = cryptoManager.loadKeyPair(keyName, password);
+    return { privateKey, password };
+}
+
+// Snapshot to start an empty node from (TRUSTED_SNAPSHOT file, checked against TRUSTED_SNAPSHOT_HASH)
+function trustedSnapshotFromEnv() {
+    const snapshotPath = process.env.TRUSTED_SNAPSHOT;
+    if (!snapshotPath) {
+        return undefined;
+    }
+
+    return JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+}
+
+// Periodic anchoring to the Ethereum registry, enabled by ANCHOR_CONTRACT_ADDRESS
+function anchorJobFromEnv(blockchain) {
+    const contractAddress = process.env.ANCHOR_CONTRACT_ADDRESS;
+    if (!contractAddress) {
+        return null;
+    }
+
+    // Required here: web3 is only needed by nodes that anchor
+    const EthereumAnchorRegistry = require('./EthereumAnchorRegistry');
+    const registry = new EthereumAnchorRegistry({
+        providerUrl: process.env.ETHEREUM_PROVIDER,
+        contractAddress,
+        privateKey: process.env.ANCHOR_PRIVATE_KEY
+    });
+    return new AnchorJob(blockchain, registry, {
+        interval: numberFromEnv('ANCHOR_INTERVAL_MS'),
+        confirmations: numberFromEnv('ANCHOR_CONFIRMATIONS'),
+        maxBlocks: numberFromEnv('ANCHOR_MAX_BLOCKS')
+    });
+}
+
+// ?from=height&limit= for the block and header ranges, throwing on bad values
+function parseRange(query) {
+    const from = query.from === undefined ? 0 : Number(query.from);
+    if (!Number.isInteger(from) || from < 0) {
+        throw new Error('from must be a non-negative integer');
+    }
+    return { from, limit: parsePagination({ limit: query.limit }).limit };
+}
+
+class BlockchainServer {
+    constructor(options = {}) {
+        this.port = options.port ?? numberFromEnv('BLOCKCHAIN_PORT') ?? 3000;
+        this.blockchain = options.blockchain || new Blockchain({
+            storage: new ChainStorage(),
+            mempool: {
+                maxSize: numberFromEnv('MEMPOOL_MAX_SIZE'),
+                maxAge: numberFromEnv('MEMPOOL_MAX_AGE_MS')
+            },
+            validatorKey: validatorKeyFromEnv(),
+            outOfTurnDelay: numberFromEnv('OUT_OF_TURN_DELAY_MS'),
+            snapshot: trustedSnapshotFromEnv(),
+            trustedSnapshotHash: process.env.TRUSTED_SNAPSHOT_HASH,
+            pruneRetention: numberFromEnv('PRUNE_RETENTION')
+        });
+        this.app = express();
+        this.server = null;
+
+        // Peer-to-peer sync is enabled when a P2P port is configured
+        const p2pPort = options.p2pPort ?? numberFromEnv('P2P_PORT');
+        const peers = options.peers || (process.env.PEERS || '').split(',').map(url => url.trim()).filter(Boolean);
+        this.p2p = p2pPort !== undefined ? new P2PServer(this.blockchain, { port: p2pPort, peers }) : null;
+
+        // Live chain events for dashboards, on ws://<node>/events once started
+        this.events = new EventStream(this.blockchain);
+
+        this.anchorJob = options.anchorJob !== undefined ? options.anchorJob : anchorJobFromEnv(this.blockchain);
+
+        this.setupMiddleware();
+        this.setupRoutes();
+        this.setupErrorHandling();
+    }
+
+    setupMiddleware() {
+        this.app.use(helmet());
+        this.app.use(cors());
+        this.app.use(express.json({ limit: '1mb' }));
+    }
+
+    setupRoutes() {
+        // Health check (used by docker-compose)
+        this.app.get('/health', (req, res) => {
+            res.json({
+                status: 'healthy',
+                timestamp: new Date().toISOString(),
+                networkId: this.blockchain.networkId,
+                blocks: this.blockchain.chain.length,
+                peers: this.p2p ? this.p2p.getPeers().length : 0
+            });
+        });
+
+        // Full chain
+        this.app.get('/chain', (req, res) => {
+            res.json({
+                success: true,
+                data: this.blockchain.exportChain()
+            });
+        });
+
+        // Full blocks from a height, for mirrors following the chain (?from=height&limit=)
+        this.app.get('/blocks', (req, res) => {
+            let range;
+            try {
+                range = parseRange(req.query);
+            } catch (error) {
+                return res.status(400).json({ success: false, error: error.message });
+            }
+
+            const blocks = this.blockchain.chain
+                .slice(range.from, range.from + range.limit)
+                .map(block => block.getBlockInfo());
+            res.json({
+                success: true,
+                data: { blocks, count: blocks.length, from: range.from, height: this.blockchain.chain.length - 1 }
+            });
+        });
+
+        // Single block by index or hash
+        this.app.get('/blocks/:id', (req, res) => {
+            const { id } = req.params;
+            const block = /^\d+$/.test(id)
+                ? this.blockchain.chain[Number(id)]
+                : this.blockchain.getBlockByHash(id);
+
+            if (!block) {
+                return res.status(404).json({ success: false, error: 'Block not found' });
+            }
+
+            res.json({ success: true, data: block.getBlockInfo() });
+        });
+
+        // Block headers only, for light clients (?from=height&limit=)
+        this.app.get('/headers', (req, res) => {
+            let range;
+            try {
+                range = parseRange(req.query);
+            } catch (error) {
+                return res.status(400).json({ success: false, error: error.message });
+            }
+
+            const headers = this.blockchain.getHeaders(range);
+            res.json({
+                success: true,
+                data: { headers, count: headers.length, from: range.from, height: this.blockchain.chain.length - 1 }
+            });
+        });
+
+        // Full validation report: every problem with its block, category and expected/actual values
+        this.app.get('/audit', (req, res) => {
+            res.json({ success: true, data: this.blockchain.auditChain() });
+        });
+
+        // Latest committed state snapshot with the headers up to it (see TRUSTED_SNAPSHOT)
+        this.app.get('/snapshot', (req, res) => {
+            const snapshot = this.blockchain.getSnapshot();
+            if (!snapshot) {
+                return res.status(404).json({ success: false, error: 'No snapshot has been committed yet' });
+            }
+
+            res.json({ success: true, data: snapshot });
+        });
+
+        // Ethereum anchoring: status and anchors recorded so far
+        this.app.get('/anchors', (req, res) => {
+            if (!this.anchorJob) {
+                return res.status(503).json({ success: false, error: 'Anchoring is not enabled on this node' });
+            }
+
+            res.json({
+                success: true,
+                data: {
+                    ...this.anchorJob.getStatus(),
+                    anchors: this.anchorJob.anchors.map(({ blockHashes, ...anchor }) => anchor)
+                }
+            });
+        });
+
+        // Anchor the blocks due now instead of waiting for the next run
+        this.app.post('/anchors', async (req, res) => {
+            if (!this.anchorJob) {
+                return res.status(503).json({ success: false, error: 'Anchoring is not enabled on this node' });
+            }
+
+            try {
+                const anchor = await this.anchorJob.anchorNow();
+                res.status(anchor ? 201 : 200).json({ success: true, data: anchor });
+            } catch (error) {
+                res.status(502).json({ success: false, error: `Anchoring failed: ${error.message}` });
+            }
+        });
+
+        // Anchor proof of a block by height or hash, checked against Ethereum with ?verify=true
+        // (and ?ethBlock=n to prove the block existed at or before Ethereum block n)
+        this.app.get('/anchors/blocks/:id', async (req, res) => {
+            if (!this.anchorJob) {
+                return res.status(503).json({ success: false, error: 'Anchoring is not enabled on this node' });
+            }
+
+            const { id } = req.params;
+            const block = /^\d+$/.test(id) ? this.blockchain.chain[Number(id)] : this.blockchain.getBlockByHash(id);
+            if (!block) {
+                return res.status(404).json({ success: false, error: 'Block not found' });
+            }
+
+            const proof = this.anchorJob.getProof(block.hash);
+            if (!proof) {
+                return res.status(404).json({ success: false, error: `Block ${block.index} is not anchored yet` });
+            }
+            if (req.query.verify !== 'true') {
+                return res.json({ success: true, data: proof });
+            }
+
+            const ethBlock = req.query.ethBlock === undefined ? undefined : Number(req.query.ethBlock);
+            if (ethBlock !== undefined && (!Number.isInteger(ethBlock) || ethBlock < 0)) {
+                return res.status(400).json({ success: false, error: 'ethBlock must be a non-negative integer' });
+            }
+
+            try {
+                const verification = await verifyAnchorProof(proof, this.anchorJob.registry, ethBlock);
+                res.json({ success: true, data: { proof, verification } });
+            } catch (error) {
+                res.status(502).json({ success: false, error: `Ethereum lookup failed: ${error.message}` });
+            }
+        });
+
+        // Chain statistics
+        this.app.get('/stats', (req, res) => {
+            res.json({ success: true, data: this.blockchain.getStats() });
+        });
+
+        // Pending transactions
+        this.app.get('/transactions/pending', (req, res) => {
+            res.json({
+                success: true,
+                data: {
+                    transactions: this.blockchain.pendingTransactions,
+                    count: this.blockchain.pendingTransactions.length
+                }
+            });
+        });
+
+        // Submit a transaction
+        this.app.post('/transactions', (req, res) => {
+            try {
+                this.blockchain.addTransaction(req.body);
+                res.status(201).json({
+                    success: true,
+                    data: {
+                        transactionHash: hashTransaction(req.body),
+                        pendingTransactions: this.blockchain.pendingTransactions.length
+                    },
+                    message: 'Transaction added to pending pool'
+                });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        // Address of an m-of-n multisig account ({ publicKeys, threshold })
+        this.app.post('/multisig/accounts', (req, res) => {
+            const { publicKeys, threshold } = req.body || {};
+            try {
+                res.status(201).json({ success: true, data: createMultisigAccount(publicKeys, threshold) });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        // Multisig transactions collecting approvals (?address= for one account)
+        this.app.get('/multisig/transactions', (req, res) => {
+            const transactions = this.blockchain.getMultisigTransactions(req.query.address || null);
+            res.json({ success: true, data: { transactions, count: transactions.length } });
+        });
+
+        // Propose a multisig transaction, with the approvals already collected in `signatures`.
+        // It enters the mempool as soon as its threshold is met.
+        this.app.post('/multisig/transactions', (req, res) => {
+            try {
+                res.status(201).json({ success: true, data: this.blockchain.proposeMultisigTransaction(req.body) });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        // Which signers approved a multisig transaction so far
+        this.app.get('/multisig/transactions/:id', (req, res) => {
+            const status = this.blockchain.getMultisigTransaction(req.params.id);
+            if (!status) {
+                return res.status(404).json({ success: false, error: 'Multisig transaction not found' });
+            }
+
+            res.json({ success: true, data: status });
+        });
+
+        // Add one signer's approval ({ publicKey, signature } over the transaction's signed fields)
+        this.app.post('/multisig/transactions/:id/signatures', (req, res) => {
+            if (!this.blockchain.getMultisigTransaction(req.params.id)) {
+                return res.status(404).json({ success: false, error: 'Multisig transaction not found' });
+            }
+
+            try {
+                res.json({ success: true, data: this.blockchain.approveMultisigTransaction(req.params.id, req.body) });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        // Merkle inclusion proof for a confirmed transaction
+        this.app.get('/transactions/:hash/proof', (req, res) => {
+            const proof = this.blockchain.getTransactionProof(req.params.hash);
+            if (!proof) {
+                return res.status(404).json({ success: false, error: 'Transaction not found in any block' });
+            }
+
+            res.json({ success: true, data: proof });
+        });
+
+        // Confirmed transaction by hash
+        this.app.get('/transactions/:hash', (req, res) => {
+            const transaction = this.blockchain.getTransaction(req.params.hash);
+            if (!transaction) {
+                return res.status(404).json({ success: false, error: 'Transaction not found in any block' });
+            }
+
+            res.json({ success: true, data: transaction });
+        });
+
+        // Mine pending transactions (proof of work runs in a worker thread)
+        this.app.post('/mine', async (req, res) => {
+            const { minerAddress } = req.body || {};
+            if (!minerAddress) {
+                return res.status(400).json({ success: false, error: 'minerAddress is required' });
+            }
+            if (this.blockchain.isMining()) {
+                return res.status(409).json({ success: false, error: 'A block is already being mined' });
+            }
+
+            try {
+                const block = await this.blockchain.minePendingTransactions(minerAddress);
+                res.status(201).json({ success: true, data: block.getBlockInfo() });
+            } catch (error) {
+                res.status(error.cancelled ? 409 : 500).json({ success: false, error: error.message });
+            }
+        });
+
+        // Progress of the current mining job
+        this.app.get('/mining', (req, res) => {
+            const progress = this.blockchain.getMiningStatus();
+            res.json({ success: true, data: { mining: progress !== null, progress } });
+        });
+
+        // Cancel the current mining job
+        this.app.delete('/mining', (req, res) => {
+            if (!this.blockchain.cancelMining('cancelled through the API')) {
+                return res.status(404).json({ success: false, error: 'No block is being mined' });
+            }
+            res.json({ success: true, message: 'Mining cancelled' });
+        });
+
+        // Proof-of-authority validators, open votes and next sealer
+        this.app.get('/validators', (req, res) => {
+            const { consensus, chain } = this.blockchain;
+            if (consensus.type !== 'poa') {
+                return res.status(400).json({ success: false, error: 'This network does not use proof of authority' });
+            }
+
+            res.json({
+                success: true,
+                data: {
+                    validators: consensus.getValidators(),
+                    proposals: consensus.getProposals(),
+                    nextSealer: consensus.getSealer(chain.length).address
+                }
+            });
+        });
+
+        // Read-only block explorer API (also served on its own by blockchain/explorer.js)
+        this.app.use('/explorer', createExplorerRouter(this.blockchain));
+
+        // Connected peers
+        this.app.get('/peers', (req, res) => {
+            res.json({
+                success: true,
+                data: { enabled: this.p2p !== null, peers: this.p2p ? this.p2p.getPeers() : [] }
+            });
+        });
+
+        // Connect to a new peer
+        this.app.post('/peers', (req, res) => {
+            const { url } = req.body || {};
+            if (!this.p2p) {
+                return res.status(400).json({ success: false, error: 'P2P is disabled on this node' });
+            }
+            if (typeof url !== 'string' || !/^wss?:\/\//.test(url)) {
+                return res.status(400).json({ success: false, error: 'url must be a ws:// or wss:// address' });
+            }
+
+            this.p2p.connectToPeer(url);
+            res.status(202).json({ success: true, message: `Connecting to ${url}` });
+        });
+
+        // Balance of an address
+        this.app.get('/addresses/:address/balance', (req, res) => {
+            const { address } = req.params;
+            res.json({
+                success: true,
+                data: { address, balance: this.blockchain.getBalanceOfAddress(address) }
+            });
+        });
+
+        // Nonce to use for the next transaction of an address
+        this.app.get('/addresses/:address/nonce', (req, res) => {
+            const { address } = req.params;
+            res.json({
+                success: true,
+                data: {
+                    address,
+                    confirmedNonce: this.blockchain.getNonce(address),
+                    nextNonce: this.blockchain.getNextNonce(address)
+                }
+            });
+        });
+
+        // Medical records of a patient, paginated (?offset=&limit=)
+        this.app.get('/patients/:address/records', (req, res) => {
+            let page;
+            try {
+                page = parsePagination(req.query);
+            } catch (error) {
+                return res.status(400).json({ success: false, error: error.message });
+            }
+
+            const { address } = req.params;
+            const records = this.blockchain.getRecordsOfPatient(address, page);
+            res.json({
+                success: true,
+                data: {
+                    patient: address,
+                    records,
+                    count: records.length,
+                    total: this.blockchain.countRecordsOfPatient(address),
+                    ...page
+                }
+            });
+        });
+
+        // Access grants given by a patient
+        this.app.get('/patients/:address/grants', (req, res) => {
+            const grants = this.blockchain.getAccessGrants(req.params.address);
+            res.json({ success: true, data: { patient: req.params.address, grants, count: grants.length } });
+        });
+
+        // One medical record with its amendments
+        this.app.get('/records/:hash', (req, res) => {
+            const record = this.blockchain.getRecord(req.params.hash);
+            if (!record) {
+                return res.status(404).json({ success: false, error: 'Record not found' });
+            }
+
+            res.json({ success: true, data: record });
+        });
+
+        // Content keys wrapped for a reader on an encrypted record; decryption happens client-side
+        this.app.get('/records/:hash/keys/:address', (req, res) => {
+            const keys = this.blockchain.getRecordKeys(req.params.hash, req.params.address);
+            if (!keys) {
+                return res.status(404).json({ success: false, error: 'Record not found' });
+            }
+
+            res.json({ success: true, data: { recordHash: req.params.hash, address: req.params.address, keys } });
+        });
+
+        // Transaction history of an address, paginated (?offset=&limit=)
+        this.app.get('/addresses/:address/transactions', (req, res) => {
+            let page;
+            try {
+                page = parsePagination(req.query);
+            } catch (error) {
+                return res.status(400).json({ success: false, error: error.message });
+            }
+
+            const { address } = req.params;
+            const transactions = this.blockchain.getTransactionsOfAddress(address, page);
+            res.json({
+                success: true,
+                data: {
+                    address,
+                    transactions,
+                    count: transactions.length,
+                    total: this.blockchain.countTransactionsOfAddress(address),
+                    ...page
+                }
+            });
+        });
+    }
+
+    setupErrorHandling() {
+        // Malformed JSON bodies
+        this.app.use((err, req, res, next) => {
+            if (err.type === 'entity.parse.failed') {
+                return res.status(400).json({ success: false, error: 'Invalid JSON body' });
+            }
+            next(err);
+        });
+
+        // Global error handler
+        this.app.use((err, req, res, next) => {
+            console.error('Unhandled error:', err);
+            res.status(500).json({ success: false, error: 'Internal server error' });
+        });
+
+        // 404 handler
+        this.app.use((req, res) => {
+            res.status(404).json({ success: false, error: 'Route not found' });
+        });
+    }
+
+    start() {
+        this.server = this.app.listen(this.port, () => {
+            console.log(`Blockchain node (${this.blockchain.networkId}) listening on port ${this.port}`);
+        });
+        this.events.attach(this.server);
+
+        if (this.anchorJob) {
+            this.anchorJob.start();
+        }
+
+        if (this.p2p) {
+            this.p2p.listen().catch(error => {
+                console.error(`Failed to start P2P server: ${error.message}`);
+            });
+        }
+
+        return this.server;
+    }
+
+    stop() {
+        const closing = [this.events.close()];
+        if (this.anchorJob) {
+            closing.push(this.anchorJob.stop());
+        }
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+        }
+
+        if (this.p2p) {
+            closing.push(this.p2p.close());
+        }
+        return Promise.all(closing);
+    }
+}
+
+// Start the node
+if (require.main === module) {
+    const node = new BlockchainServer();
+    node.start();
+}
+
+module.exports = BlockchainServer;
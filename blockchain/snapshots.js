@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+
+// System transaction committing the state snapshot of the previous block:
+// { type, from: null, data: { height, blockHash, stateHash }, timestamp }
+const SNAPSHOT_TYPE = 'stateSnapshot';
+
+// Hash of a captured state ({ accounts, records, consensus }), built in a fixed order
+function hashState(state) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify(state))
+        .digest('hex');
+}
+
+// Check a snapshot's shape and that its state matches its hash.
+// Returns the snapshot without any extra fields (headers are handled by the caller).
+function validateSnapshot(snapshot, networkId) {
+    if (!snapshot || typeof snapshot !== 'object') {
+        throw new Error('Snapshot must be an object');
+    }
+
+    const { height, blockHash, stateHash, state } = snapshot;
+    if (snapshot.networkId !== networkId) {
+        throw new Error(`Snapshot network ${snapshot.networkId} does not match ${networkId}`);
+    }
+    if (!Number.isInteger(height) || height < 1) {
+        throw new Error('Snapshot height must be a positive integer');
+    }
+    if (typeof blockHash !== 'string' || typeof stateHash !== 'string') {
+        throw new Error('Snapshot needs blockHash and stateHash');
+    }
+    if (!state || !Array.isArray(state.accounts) || !state.records) {
+        throw new Error('Snapshot state needs accounts and records');
+    }
+
+    const computedHash = hashState(state);
+    if (computedHash !== stateHash) {
+        throw new Error(`Snapshot state hash mismatch (stored ${stateHash}, computed ${computedHash})`);
+    }
+
+    return { networkId, height, blockHash, stateHash, state };
+}
+
+module.exports = {
+    SNAPSHOT_TYPE,
+    hashState,
+    validateSnapshot
+};
@@ -0,0 +1,64 @@
+const { validateSchema, assertNoTransfer } = require('./schema');
+const { validateWrappedKeys } = require('./encryption');
+
+const PERMISSIONS = ['read', 'write'];
+
+const schema = {
+    grantee: { type: 'string', required: true }, // Address receiving access
+    permissions: { type: 'array', required: true, values: PERMISSIONS },
+    recordHash: { type: 'string' }, // Limit the grant to one record (default: all the patient's records)
+    expiresAt: { type: 'number' }, // Timestamp after which the grant no longer applies
+    keys: { type: 'object' } // Content keys of encrypted entries re-wrapped for the grantee: { entry hash: wrapped key }
+};
+
+// Access given by a patient (the sender) to another address
+module.exports = {
+    type: 'accessGrant',
+    schema,
+
+    validate(transaction) {
+        assertNoTransfer(transaction, 'Access grant');
+        validateSchema(schema, transaction.data, 'Access grant');
+
+        if (transaction.data.permissions.length === 0) {
+            throw new Error('Access grant: data.permissions cannot be empty');
+        }
+        if (transaction.data.grantee === transaction.from) {
+            throw new Error('Access grant: a patient cannot grant access to themselves');
+        }
+
+        const { keys, permissions } = transaction.data;
+        if (keys !== undefined) {
+            validateWrappedKeys(keys, 'Access grant');
+            if (!permissions.includes('read')) {
+                throw new Error('Access grant: wrapped keys require the read permission');
+            }
+        }
+    },
+
+    checkState(transaction, records, now) {
+        const { recordHash, expiresAt, keys = {} } = transaction.data;
+
+        if (expiresAt !== undefined && expiresAt <= now) {
+            throw new Error('Access grant already expired');
+        }
+
+        if (recordHash) {
+            const record = records.getRecord(recordHash);
+            if (!record || record.patient !== transaction.from) {
+                throw new Error(`Record ${recordHash} not found for patient ${transaction.from}`);
+            }
+        }
+
+        // Keys may only open encrypted entries (records or amendments) the grant covers
+        Object.keys(keys).forEach(entryHash => {
+            const record = records.getEntryRecord(entryHash);
+            if (!record || record.patient !== transaction.from || (recordHash && record.hash !== recordHash)) {
+                throw new Error(`Access grant: entry ${entryHash} is not covered by this grant`);
+            }
+            if (!records.isEncryptedEntry(entryHash)) {
+                throw new Error(`Access grant: entry ${entryHash} is not encrypted`);
+            }
+        });
+    }
+};
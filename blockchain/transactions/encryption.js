@@ -0,0 +1,39 @@
+const ALGORITHM = 'aes-256-gcm';
+
+// Payloads from CryptoManager.encryptForRecipients:
+// { algorithm, iv, authTag, ciphertext, keys: { address: wrapped content key } }
+function isEncryptedPayload(payload) {
+    return Boolean(payload) && typeof payload === 'object' && payload.ciphertext !== undefined;
+}
+
+function validateWrappedKeys(keys, label) {
+    if (!keys || typeof keys !== 'object' || Array.isArray(keys) || Object.keys(keys).length === 0) {
+        throw new Error(`${label} needs at least one wrapped key`);
+    }
+    if (Object.values(keys).some(key => typeof key !== 'string' || key === '')) {
+        throw new Error(`${label}: wrapped keys must be non-empty strings`);
+    }
+}
+
+// Check the shape of an encrypted payload and that `reader` (the patient) can open it
+function validateEncryptedPayload(payload, reader, label) {
+    if (payload.algorithm !== ALGORITHM) {
+        throw new Error(`${label}: encrypted payloads must use ${ALGORITHM}`);
+    }
+
+    const missing = ['iv', 'authTag', 'ciphertext'].find(field => typeof payload[field] !== 'string' || payload[field] === '');
+    if (missing) {
+        throw new Error(`${label}: encrypted payload needs ${missing}`);
+    }
+
+    validateWrappedKeys(payload.keys, `${label} encrypted payload`);
+    if (reader && !payload.keys[reader]) {
+        throw new Error(`${label}: the content key must be wrapped for patient ${reader}`);
+    }
+}
+
+module.exports = {
+    isEncryptedPayload,
+    validateEncryptedPayload,
+    validateWrappedKeys
+};
@@ -0,0 +1,27 @@
+const transfer = require('./transfer');
+const medicalRecord = require('./medicalRecord');
+const recordAmendment = require('./recordAmendment');
+const accessGrant = require('./accessGrant');
+
+// Transaction types by name. Each defines validate(transaction) for its shape and,
+// when it depends on the chain, checkState(transaction, records, now).
+const TRANSACTION_TYPES = {
+    [transfer.type]: transfer,
+    [medicalRecord.type]: medicalRecord,
+    [recordAmendment.type]: recordAmendment,
+    [accessGrant.type]: accessGrant
+};
+
+// Definition for a transaction's `type` (transfers may omit it)
+function getTransactionType(type = transfer.type) {
+    const definition = Object.prototype.hasOwnProperty.call(TRANSACTION_TYPES, type) ? TRANSACTION_TYPES[type] : null;
+    if (!definition) {
+        throw new Error(`Unknown transaction type: ${type}`);
+    }
+    return definition;
+}
+
+module.exports = {
+    TRANSACTION_TYPES,
+    getTransactionType
+};
@@ -0,0 +1,31 @@
+const { validateSchema, assertNoTransfer } = require('./schema');
+const { isEncryptedPayload, validateEncryptedPayload } = require('./encryption');
+
+const schema = {
+    patient: { type: 'string', required: true }, // Address of the patient the record is about
+    category: { type: 'string', required: true }, // e.g. consultation, diagnosis, prescription, lab
+    payload: { type: ['string', 'object'], required: true } // Record content, plain or encrypted
+};
+
+// New medical record entry, written by the patient or by someone they granted write access
+module.exports = {
+    type: 'medicalRecord',
+    schema,
+
+    validate(transaction) {
+        assertNoTransfer(transaction, 'Medical record');
+        validateSchema(schema, transaction.data, 'Medical record');
+
+        const { patient, payload } = transaction.data;
+        if (isEncryptedPayload(payload)) {
+            validateEncryptedPayload(payload, patient, 'Medical record');
+        }
+    },
+
+    checkState(transaction, records, now) {
+        const { patient } = transaction.data;
+        if (!records.hasAccess(patient, transaction.from, 'write', null, now)) {
+            throw new Error(`${transaction.from} has no write access to the records of ${patient}`);
+        }
+    }
+};
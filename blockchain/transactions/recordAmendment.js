@@ -0,0 +1,42 @@
+const { validateSchema, assertNoTransfer } = require('./schema');
+const { isEncryptedPayload, validateEncryptedPayload } = require('./encryption');
+
+const schema = {
+    recordHash: { type: 'string', required: true }, // Transaction hash of the amended record
+    payload: { type: ['string', 'object'], required: true }, // Corrected content
+    reason: { type: 'string', required: true }
+};
+
+// Correction of a confirmed record. Records are never rewritten: amendments are appended.
+module.exports = {
+    type: 'recordAmendment',
+    schema,
+
+    validate(transaction) {
+        assertNoTransfer(transaction, 'Record amendment');
+        validateSchema(schema, transaction.data, 'Record amendment');
+
+        if (isEncryptedPayload(transaction.data.payload)) {
+            validateEncryptedPayload(transaction.data.payload, null, 'Record amendment');
+        }
+    },
+
+    checkState(transaction, records, now) {
+        const { recordHash } = transaction.data;
+        const record = records.getRecord(recordHash);
+        if (!record) {
+            throw new Error(`Record ${recordHash} not found`);
+        }
+
+        const isAuthor = record.transaction.from === transaction.from;
+        if (!isAuthor && !records.hasAccess(record.patient, transaction.from, 'write', recordHash, now)) {
+            throw new Error(`${transaction.from} may not amend record ${recordHash}`);
+        }
+
+        // The patient must keep access to encrypted corrections of their record
+        const { payload } = transaction.data;
+        if (isEncryptedPayload(payload)) {
+            validateEncryptedPayload(payload, record.patient, 'Record amendment');
+        }
+    }
+};
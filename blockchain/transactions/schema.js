@@ -0,0 +1,45 @@
+// Check `data` against a { field: { type, required, values } } schema.
+// `type` is a typeof name, 'array', or a list of those.
+function validateSchema(schema, data, label) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error(`${label} needs a data object`);
+    }
+
+    Object.entries(schema).forEach(([field, rule]) => {
+        const value = data[field];
+
+        if (value === undefined || value === null || value === '') {
+            if (rule.required) {
+                throw new Error(`${label}: data.${field} is required`);
+            }
+            return;
+        }
+
+        const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+        const actualType = Array.isArray(value) ? 'array' : typeof value;
+        if (!types.includes(actualType)) {
+            throw new Error(`${label}: data.${field} must be of type ${types.join(' or ')}`);
+        }
+
+        if (rule.values && [].concat(value).some(item => !rule.values.includes(item))) {
+            throw new Error(`${label}: data.${field} must only contain ${rule.values.join(', ')}`);
+        }
+    });
+
+    const unknownField = Object.keys(data).find(field => !Object.prototype.hasOwnProperty.call(schema, field));
+    if (unknownField) {
+        throw new Error(`${label}: unknown field data.${unknownField}`);
+    }
+}
+
+// Data transactions move no funds: the fee is their only cost
+function assertNoTransfer(transaction, label) {
+    if (transaction.to !== undefined || transaction.amount !== undefined) {
+        throw new Error(`${label} cannot transfer funds (no to or amount)`);
+    }
+}
+
+module.exports = {
+    validateSchema,
+    assertNoTransfer
+};
@@ -0,0 +1,18 @@
+// Value transfer between two addresses. The original transaction shape: `type` may be omitted.
+module.exports = {
+    type: 'transfer',
+
+    validate(transaction) {
+        if (!transaction.to || !transaction.amount) {
+            throw new Error('Invalid transaction structure');
+        }
+
+        if (typeof transaction.amount !== 'number' || transaction.amount <= 0) {
+            throw new Error('Transaction amount must be positive');
+        }
+
+        if (transaction.data !== undefined) {
+            throw new Error('Transfers cannot carry data');
+        }
+    }
+};
@@ -0,0 +1,36 @@
+// Amount a transaction takes from its sender, fee included (votes move no funds)
+function transactionCost(transaction) {
+    return (transaction.amount || 0) + (transaction.fee || 0);
+}
+
+// Apply the transactions of a block to an address -> { balance, nonce } map
+function applyToAccounts(accounts, block) {
+    if (!Array.isArray(block.data)) {
+        return;
+    }
+
+    const accountOf = address => {
+        if (!accounts.has(address)) {
+            accounts.set(address, { balance: 0, nonce: 0 });
+        }
+        return accounts.get(address);
+    };
+
+    block.data.forEach(transaction => {
+        if (!transaction) return;
+
+        if (transaction.from) {
+            const sender = accountOf(transaction.from);
+            sender.balance -= transactionCost(transaction);
+            sender.nonce++;
+        }
+        if (transaction.to && typeof transaction.amount === 'number') {
+            accountOf(transaction.to).balance += transaction.amount;
+        }
+    });
+}
+
+module.exports = {
+    transactionCost,
+    applyToAccounts
+};
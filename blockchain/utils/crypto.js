@@ -3,8 +3,8 @@ const fs = require('fs');
 const path = require('path');
 
 class CryptoManager {
-    constructor() {
-        this.keyDir = path.join(__dirname, '..', 'keys');
+    constructor(options = {}) {
+        this.keyDir = options.keyDir || path.join(__dirname, '..', 'keys'); // Where named key pairs are stored
         this.algorithm = 'aes-256-gcm';
         this.rsaOptions = {
             modulusLength: 2048,
@@ -163,21 +163,105 @@ class CryptoManager {
         }
     }
 
+    // Encrypt data for several readers: a random content key encrypts the data once
+    // and is wrapped with each reader's RSA public key (keys are indexed by address)
+    encryptForRecipients(data, publicKeys) {
+        try {
+            const contentKey = crypto.randomBytes(32);
+            const iv = crypto.randomBytes(12);
+            const cipher = crypto.createCipheriv(this.algorithm, contentKey, iv);
+            const ciphertext = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+
+            const keys = {};
+            publicKeys.forEach(publicKey => {
+                keys[this.generateAddress(publicKey)] = this.wrapKey(contentKey, publicKey);
+            });
+
+            return {
+                algorithm: this.algorithm,
+                iv: iv.toString('hex'),
+                authTag: cipher.getAuthTag().toString('hex'),
+                ciphertext: ciphertext.toString('base64'),
+                keys
+            };
+        } catch (error) {
+            throw new Error(`Encryption failed: ${error.message}`);
+        }
+    }
+
+    // Decrypt a payload from encryptForRecipients with the reader's private key. The wrapped
+    // key defaults to the one in the payload for the reader's address.
+    decryptPayload(envelope, privateKey, password = null, wrappedKey = null) {
+        try {
+            const address = this.generateAddress(this.getPublicKey(privateKey, password));
+            const readerKey = wrappedKey || (envelope.keys && envelope.keys[address]);
+            if (!readerKey) {
+                throw new Error(`no key wrapped for ${address}`);
+            }
+
+            const contentKey = this.unwrapKey(readerKey, privateKey, password);
+            const decipher = crypto.createDecipheriv(envelope.algorithm, contentKey, Buffer.from(envelope.iv, 'hex'));
+            decipher.setAuthTag(Buffer.from(envelope.authTag, 'hex'));
+
+            const decrypted = Buffer.concat([decipher.update(Buffer.from(envelope.ciphertext, 'base64')), decipher.final()]);
+            return JSON.parse(decrypted.toString('utf8'));
+        } catch (error) {
+            throw new Error(`Decryption failed: ${error.message}`);
+        }
+    }
+
+    // Wrap a content key for one reader (RSA-OAEP)
+    wrapKey(contentKey, publicKey) {
+        return crypto.publicEncrypt(
+            { key: publicKey, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' },
+            contentKey
+        ).toString('base64');
+    }
+
+    unwrapKey(wrappedKey, privateKey, password = null) {
+        return crypto.privateDecrypt(
+            { key: privateKey, passphrase: password || undefined, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' },
+            Buffer.from(wrappedKey, 'base64')
+        );
+    }
+
+    // Give a new reader access: unwrap the content key with our own wrapped key and
+    // wrap it again for them. The encrypted data itself is left untouched.
+    rewrapKey(wrappedKey, privateKey, readerPublicKey, password = null) {
+        try {
+            return this.wrapKey(this.unwrapKey(wrappedKey, privateKey, password), readerPublicKey);
+        } catch (error) {
+            throw new Error(`Key wrapping failed: ${error.message}`);
+        }
+    }
+
+    // Fields of a transaction covered by its signature(s)
+    getSigningData(transaction) {
+        return {
+            type: transaction.type,
+            from: transaction.from,
+            to: transaction.to,
+            amount: transaction.amount,
+            fee: transaction.fee,
+            nonce: transaction.nonce,
+            timestamp: transaction.timestamp,
+            data: transaction.data,
+            validAfter: transaction.validAfter,
+            validUntil: transaction.validUntil
+        };
+    }
+
     // Create transaction signature
     signTransaction(transaction, privateKey, password = null) {
         try {
             // Create transaction hash
-            const transactionData = {
-                from: transaction.from,
-                to: transaction.to,
-                amount: transaction.amount,
-                timestamp: transaction.timestamp
-            };
+            const transactionData = this.getSigningData(transaction);
 
             const signature = this.signData(privateKey, transactionData, password);
             
             return {
                 ...transaction,
+                publicKey: this.getPublicKey(privateKey, password),
                 signature,
                 hash: this.hashTransaction(transactionData)
             };
@@ -186,17 +270,16 @@ class CryptoManager {
         }
     }
 
+    // Derive the PEM public key (the one addresses are generated from) from a private key
+    getPublicKey(privateKey, password = null) {
+        const keyOptions = password ? { key: privateKey, passphrase: password } : privateKey;
+        return crypto.createPublicKey(keyOptions).export({ type: 'spki', format: 'pem' });
+    }
+
     // Verify transaction signature
     verifyTransaction(transaction, publicKey) {
         try {
-            const transactionData = {
-                from: transaction.from,
-                to: transaction.to,
-                amount: transaction.amount,
-                timestamp: transaction.timestamp
-            };
-
-            return this.verifySignature(publicKey, transactionData, transaction.signature);
+            return this.verifySignature(publicKey, this.getSigningData(transaction), transaction.signature);
         } catch (error) {
             console.error('Transaction verification failed:', error.message);
             return false;
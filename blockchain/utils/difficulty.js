@@ -0,0 +1,37 @@
+// Each difficulty step multiplies the work by 16, so only retarget when the
+// observed interval is off by more than sqrt(16) to avoid oscillating
+const DIFFICULTY_ADJUSTMENT_FACTOR = 4;
+
+// Proof-of-work difficulty of the block at `height` (2 or more) from the blocks or
+// headers before it: unchanged except every `retargetInterval` blocks, where it moves
+// one step towards `targetBlockTime`
+function retargetDifficulty(height, headers, { retargetInterval, targetBlockTime }) {
+    const previousDifficulty = headers[height - 1].difficulty;
+
+    if (height <= retargetInterval || (height - 1) % retargetInterval !== 0) {
+        return previousDifficulty;
+    }
+
+    // Time taken by the last `retargetInterval` blocks versus the target
+    const actualTime = headers[height - 1].timestamp - headers[height - retargetInterval].timestamp;
+    const expectedTime = targetBlockTime * (retargetInterval - 1);
+
+    if (actualTime < expectedTime / DIFFICULTY_ADJUSTMENT_FACTOR) {
+        return previousDifficulty + 1;
+    }
+    if (actualTime > expectedTime * DIFFICULTY_ADJUSTMENT_FACTOR) {
+        return Math.max(0, previousDifficulty - 1);
+    }
+    return previousDifficulty;
+}
+
+// Whether a hash starts with `difficulty` hex zeros
+function meetsDifficulty(hash, difficulty) {
+    return hash.substring(0, difficulty) === Array(difficulty + 1).join('0');
+}
+
+module.exports = {
+    DIFFICULTY_ADJUSTMENT_FACTOR,
+    retargetDifficulty,
+    meetsDifficulty
+};
@@ -0,0 +1,17 @@
+// Parse an optional numeric env var, failing loudly on garbage
+function numberFromEnv(name) {
+    const value = process.env[name];
+    if (value === undefined || value === '') {
+        return undefined;
+    }
+
+    const parsed = Number(value);
+    if (Number.isNaN(parsed)) {
+        throw new Error(`${name} must be a number, got "${value}"`);
+    }
+    return parsed;
+}
+
+module.exports = {
+    numberFromEnv
+};
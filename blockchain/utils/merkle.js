@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+// Hash identifying a transaction inside a block (covers every field, signature included)
+function hashTransaction(transaction) {
+    return sha256(JSON.stringify(transaction));
+}
+
+// Leaves and inner nodes are hashed under different prefixes, so an inner node can never
+// pass for a leaf (or a leaf for an inner node)
+const hashLeaf = leaf => sha256(`\x00${leaf}`);
+const hashNode = (left, right) => sha256(`\x01${left}${right}`);
+
+// Build every level of the tree, hashed leaves first. Odd levels repeat their last node, so
+// [a, b, c] and [a, b, c, c] share a root: blocks refuse repeated transactions for that reason.
+function buildMerkleLevels(leaves) {
+    if (leaves.length === 0) {
+        return [[sha256('')]];
+    }
+
+    const levels = [leaves.map(hashLeaf)];
+    while (levels[levels.length - 1].length > 1) {
+        const level = levels[levels.length - 1];
+        const nextLevel = [];
+
+        for (let i = 0; i < level.length; i += 2) {
+            const left = level[i];
+            const right = i + 1 < level.length ? level[i + 1] : left;
+            nextLevel.push(hashNode(left, right));
+        }
+
+        levels.push(nextLevel);
+    }
+
+    return levels;
+}
+
+function getMerkleRoot(leaves) {
+    const levels = buildMerkleLevels(leaves);
+    return levels[levels.length - 1][0];
+}
+
+// Sibling hashes from a leaf up to the root
+function getMerkleProof(leaves, leafIndex) {
+    if (leafIndex < 0 || leafIndex >= leaves.length) {
+        throw new Error(`Leaf index ${leafIndex} out of range`);
+    }
+
+    const levels = buildMerkleLevels(leaves);
+    const proof = [];
+    let index = leafIndex;
+
+    for (let depth = 0; depth < levels.length - 1; depth++) {
+        const level = levels[depth];
+        const isRightNode = index % 2 === 1;
+        const siblingIndex = isRightNode ? index - 1 : Math.min(index + 1, level.length - 1);
+
+        proof.push({
+            hash: level[siblingIndex],
+            position: isRightNode ? 'left' : 'right'
+        });
+        index = Math.floor(index / 2);
+    }
+
+    return proof;
+}
+
+// Recompute the root from a leaf and its proof
+function verifyMerkleProof(leaf, proof, merkleRoot) {
+    if (typeof leaf !== 'string' || !Array.isArray(proof)) {
+        return false;
+    }
+
+    let hash = hashLeaf(leaf);
+    for (const step of proof) {
+        if (!step || typeof step.hash !== 'string') {
+            return false;
+        }
+
+        if (step.position === 'left') {
+            hash = hashNode(step.hash, hash);
+        } else if (step.position === 'right') {
+            hash = hashNode(hash, step.hash);
+        } else {
+            return false;
+        }
+    }
+
+    return hash === merkleRoot;
+}
+
+module.exports = {
+    hashTransaction,
+    buildMerkleLevels,
+    getMerkleRoot,
+    getMerkleProof,
+    verifyMerkleProof
+};
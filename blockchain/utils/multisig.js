@@ -0,0 +1,115 @@
+const { crypto: cryptoManager } = require('./crypto');
+
+const MAX_SIGNERS = 15;
+
+// Check an m-of-n policy ({ threshold, publicKeys }) and put it in canonical form:
+// keys ordered by signer address, so every node derives the same multisig address
+function normalizePolicy(policy) {
+    if (!policy || typeof policy !== 'object') {
+        throw new Error('Multisig policy must be an object with threshold and publicKeys');
+    }
+
+    const { threshold, publicKeys } = policy;
+    if (!Array.isArray(publicKeys) || publicKeys.length < 2 || publicKeys.length > MAX_SIGNERS) {
+        throw new Error(`Multisig policy needs between 2 and ${MAX_SIGNERS} public keys`);
+    }
+    if (publicKeys.some(publicKey => typeof publicKey !== 'string' || publicKey === '')) {
+        throw new Error('Multisig public keys must be non-empty PEM strings');
+    }
+    if (!Number.isInteger(threshold) || threshold < 1 || threshold > publicKeys.length) {
+        throw new Error(`Multisig threshold must be an integer between 1 and ${publicKeys.length}`);
+    }
+
+    const signers = publicKeys
+        .map(publicKey => ({ address: cryptoManager.generateAddress(publicKey), publicKey }))
+        .sort((a, b) => a.address.localeCompare(b.address));
+    if (new Set(signers.map(signer => signer.address)).size !== signers.length) {
+        throw new Error('Multisig public keys must be distinct');
+    }
+
+    return { threshold, publicKeys: signers.map(signer => signer.publicKey) };
+}
+
+// Address of an m-of-n policy: derived like a key address, from the canonical policy
+function multisigAddress(policy) {
+    return cryptoManager.generateAddress(JSON.stringify(normalizePolicy(policy)));
+}
+
+// Multisig account for a set of CryptoManager public keys: its address and signers
+function createMultisigAccount(publicKeys, threshold) {
+    const policy = normalizePolicy({ threshold, publicKeys });
+    return {
+        address: multisigAddress(policy),
+        threshold,
+        publicKeys: policy.publicKeys,
+        signers: policy.publicKeys.map(publicKey => cryptoManager.generateAddress(publicKey))
+    };
+}
+
+// Identifier of a multisig transaction before it is fully signed: the hash of its signed fields
+function multisigTransactionId(transaction) {
+    return cryptoManager.hashTransaction(cryptoManager.getSigningData(transaction));
+}
+
+// One signer's approval of a multisig transaction: { publicKey, signature }
+function signApproval(transaction, privateKey, password = null) {
+    return {
+        publicKey: cryptoManager.getPublicKey(privateKey, password),
+        signature: cryptoManager.signData(privateKey, cryptoManager.getSigningData(transaction), password)
+    };
+}
+
+// Check one approval against the transaction's policy; returns the signer's address
+function verifyApproval(transaction, approval, policy = normalizePolicy(transaction.multisig)) {
+    if (!approval || typeof approval.publicKey !== 'string' || typeof approval.signature !== 'string') {
+        throw new Error('Multisig approval needs a publicKey and a signature');
+    }
+
+    const address = cryptoManager.generateAddress(approval.publicKey);
+    if (!policy.publicKeys.includes(approval.publicKey)) {
+        throw new Error(`${address} is not a signer of ${transaction.from}`);
+    }
+    if (!cryptoManager.verifySignature(approval.publicKey, cryptoManager.getSigningData(transaction), approval.signature)) {
+        throw new Error(`Invalid multisig signature from ${address}`);
+    }
+    return address;
+}
+
+// Signers who approved a multisig transaction, checking its policy matches `from` and
+// every signature in `signatures` verifies
+function getApprovers(transaction) {
+    const policy = normalizePolicy(transaction.multisig);
+    if (multisigAddress(policy) !== transaction.from) {
+        throw new Error('Multisig policy does not match the sender address');
+    }
+    if (!Array.isArray(transaction.signatures)) {
+        throw new Error('Multisig transaction signatures must be a list');
+    }
+
+    const approvers = transaction.signatures.map(approval => verifyApproval(transaction, approval, policy));
+    if (new Set(approvers).size !== approvers.length) {
+        throw new Error('Multisig transaction is signed twice by the same key');
+    }
+    return approvers;
+}
+
+// Full check of a multisig transaction: valid policy and signatures, threshold met
+function verifyMultisigTransaction(transaction) {
+    const approvers = getApprovers(transaction);
+    const { threshold } = transaction.multisig;
+    if (approvers.length < threshold) {
+        throw new Error(`Multisig threshold not met: ${approvers.length} of ${threshold} signatures`);
+    }
+}
+
+module.exports = {
+    MAX_SIGNERS,
+    normalizePolicy,
+    multisigAddress,
+    createMultisigAccount,
+    multisigTransactionId,
+    signApproval,
+    verifyApproval,
+    getApprovers,
+    verifyMultisigTransaction
+};
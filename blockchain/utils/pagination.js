@@ -0,0 +1,22 @@
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Parse ?offset=&limit= paging parameters
+function parsePagination(query) {
+    const offset = query.offset === undefined ? 0 : Number(query.offset);
+    const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+
+    if (!Number.isInteger(offset) || offset < 0) {
+        throw new Error('offset must be a non-negative integer');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        throw new Error(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    return { offset, limit };
+}
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    parsePagination
+};
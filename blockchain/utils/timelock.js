@@ -0,0 +1,74 @@
+// Time locks: a transaction may carry `validAfter` (first block it can be mined in) and
+// `validUntil` (last one). Like Bitcoin lock times, a bound below TIMESTAMP_THRESHOLD is a
+// block height, anything else a timestamp in ms compared with the block timestamp.
+const TIMESTAMP_THRESHOLD = 500000000;
+
+const isHeightLock = bound => bound < TIMESTAMP_THRESHOLD;
+
+const describeBound = bound => (isHeightLock(bound) ? `height ${bound}` : new Date(bound).toISOString());
+
+// Whether a block at `height` with `timestamp` is at or past a bound
+function reaches(bound, height, timestamp) {
+    return isHeightLock(bound) ? height >= bound : timestamp >= bound;
+}
+
+function validateTimeLock(transaction) {
+    ['validAfter', 'validUntil'].forEach(field => {
+        const bound = transaction[field];
+        if (bound !== undefined && (!Number.isInteger(bound) || bound < 0)) {
+            throw new Error(`Transaction ${field} must be a non-negative integer (block height or timestamp)`);
+        }
+    });
+
+    const { validAfter, validUntil } = transaction;
+    if (validAfter !== undefined && validUntil !== undefined &&
+        isHeightLock(validAfter) === isHeightLock(validUntil) && validUntil < validAfter) {
+        throw new Error('Transaction validUntil is before its validAfter');
+    }
+}
+
+// The transaction cannot be mined yet in a block at `height` with `timestamp`
+function isTimeLocked(transaction, height, timestamp) {
+    return transaction.validAfter !== undefined && !reaches(transaction.validAfter, height, timestamp);
+}
+
+// The transaction can no longer be mined from a block at `height` with `timestamp` on
+function isTimeLockExpired(transaction, height, timestamp) {
+    const { validUntil } = transaction;
+    return validUntil !== undefined && (isHeightLock(validUntil) ? height > validUntil : timestamp > validUntil);
+}
+
+// Why the transaction cannot be mined in a block at `height` with `timestamp`, or null
+function getTimeLockProblem(transaction, height, timestamp) {
+    if (isTimeLocked(transaction, height, timestamp)) {
+        return `time-locked until ${describeBound(transaction.validAfter)}`;
+    }
+    if (isTimeLockExpired(transaction, height, timestamp)) {
+        return `expired after ${describeBound(transaction.validUntil)}`;
+    }
+    return null;
+}
+
+// Timestamp from which a transaction can be mined. A height lock is released when the chain
+// reaches that height: `reachedAt(height)` gives the time, or null while it has not (Infinity then).
+function releaseTime(transaction, reachedAt = () => null) {
+    const { validAfter, timestamp } = transaction;
+    if (validAfter === undefined) {
+        return timestamp;
+    }
+    if (!isHeightLock(validAfter)) {
+        return Math.max(validAfter, timestamp);
+    }
+
+    const reached = reachedAt(validAfter);
+    return reached === null ? Infinity : Math.max(reached, timestamp);
+}
+
+module.exports = {
+    TIMESTAMP_THRESHOLD,
+    validateTimeLock,
+    isTimeLocked,
+    isTimeLockExpired,
+    getTimeLockProblem,
+    releaseTime
+};
@@ -14,8 +14,10 @@ contract BirthCertificate is AccessControl, Pausable {
 
     bytes32 public constant REGISTRAR_ROLE = keccak256("REGISTRAR_ROLE");
     bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant ANCHOR_ROLE = keccak256("ANCHOR_ROLE");
 
     Counters.Counter private _certificateIds;
+    Counters.Counter private _anchorIds;
 
     struct Certificate {
         uint256 id;
@@ -31,8 +33,21 @@ contract BirthCertificate is AccessControl, Pausable {
         string ipfsHash;
     }
 
+    // Merkle root of a range of custom-chain block hashes
+    struct ChainAnchor {
+        uint256 id;
+        bytes32 root;
+        string networkId;
+        uint256 fromHeight;
+        uint256 toHeight;
+        address anchoredBy;
+        uint256 blockNumber;
+        uint256 timestamp;
+    }
+
     // Mappings
     mapping(uint256 => Certificate) private _certificates;
+    mapping(uint256 => ChainAnchor) private _anchors;
     mapping(string => uint256[]) private _hospitalCertificates;
     mapping(address => uint256[]) private _registrarCertificates;
 
@@ -45,6 +60,14 @@ contract BirthCertificate is AccessControl, Pausable {
     );
     event CertificateRevoked(uint256 indexed id, address revokedBy);
     event CertificateUpdated(uint256 indexed id, address updatedBy);
+    event ChainAnchored(
+        uint256 indexed id,
+        bytes32 indexed root,
+        string networkId,
+        uint256 fromHeight,
+        uint256 toHeight,
+        address anchoredBy
+    );
 
     constructor() {
         _setupRole(DEFAULT_ADMIN_ROLE, msg.sender);
@@ -174,6 +197,75 @@ contract BirthCertificate is AccessControl, Pausable {
         return _hospitalCertificates[_hospitalName];
     }
 
+    /**
+     * @dev Anchors the Merkle root of custom-chain blocks fromHeight..toHeight
+     */
+    function anchorChain(
+        bytes32 _root,
+        string memory _networkId,
+        uint256 _fromHeight,
+        uint256 _toHeight
+    ) public whenNotPaused onlyRole(ANCHOR_ROLE) returns (uint256) {
+        require(_root != bytes32(0), "Root required");
+        require(bytes(_networkId).length > 0, "Network id required");
+        require(_fromHeight <= _toHeight, "Invalid height range");
+
+        _anchorIds.increment();
+        uint256 newAnchorId = _anchorIds.current();
+
+        _anchors[newAnchorId] = ChainAnchor({
+            id: newAnchorId,
+            root: _root,
+            networkId: _networkId,
+            fromHeight: _fromHeight,
+            toHeight: _toHeight,
+            anchoredBy: msg.sender,
+            blockNumber: block.number,
+            timestamp: block.timestamp
+        });
+
+        emit ChainAnchored(newAnchorId, _root, _networkId, _fromHeight, _toHeight, msg.sender);
+        return newAnchorId;
+    }
+
+    /**
+     * @dev Retrieves a chain anchor by ID
+     */
+    function getAnchor(uint256 _anchorId)
+        public
+        view
+        returns (
+            uint256 id,
+            bytes32 root,
+            string memory networkId,
+            uint256 fromHeight,
+            uint256 toHeight,
+            address anchoredBy,
+            uint256 blockNumber,
+            uint256 timestamp
+        )
+    {
+        require(_anchorId > 0 && _anchorId <= _anchorIds.current(), "Invalid anchor ID");
+        ChainAnchor memory anchor = _anchors[_anchorId];
+        return (
+            anchor.id,
+            anchor.root,
+            anchor.networkId,
+            anchor.fromHeight,
+            anchor.toHeight,
+            anchor.anchoredBy,
+            anchor.blockNumber,
+            anchor.timestamp
+        );
+    }
+
+    /**
+     * @dev Gets the number of chain anchors
+     */
+    function getAnchorCount() public view returns (uint256) {
+        return _anchorIds.current();
+    }
+
     /**
      * @dev Pauses all certificate operations
      */
@@ -0,0 +1,25 @@
+// In-memory stand-in for the Ethereum registry contract: each anchor is mined in its own
+// Ethereum block, like Ganache does by default
+class MemoryAnchorRegistry {
+    constructor() {
+        this.anchors = [];
+        this.blockNumber = 10;
+    }
+
+    async anchor({ root, networkId, fromHeight, toHeight }) {
+        this.blockNumber++;
+        const anchorId = this.anchors.length + 1;
+        this.anchors.push({ anchorId, root, networkId, fromHeight, toHeight, anchoredBy: '0xanchor', blockNumber: this.blockNumber, timestamp: Date.now() });
+        return { anchorId, transactionHash: `0x${String(anchorId).padStart(64, '0')}`, blockNumber: this.blockNumber };
+    }
+
+    async getAnchor(anchorId) {
+        return this.anchors[anchorId - 1] || null;
+    }
+
+    async getBlockNumber() {
+        return this.blockNumber;
+    }
+}
+
+module.exports = { MemoryAnchorRegistry };
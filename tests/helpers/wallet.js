@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const { CryptoManager } = require('../../blockchain/utils/crypto');
+
+const cryptoManager = new CryptoManager();
+
+// In-memory key pair, so tests never write to blockchain/keys
+function createWallet() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', cryptoManager.rsaOptions);
+    return { publicKey, privateKey, address: cryptoManager.generateAddress(publicKey) };
+}
+
+// Signed value transfer from a wallet (first transfer of the account unless a nonce is given)
+function signTransfer(wallet, to, amount, fields = {}) {
+    return cryptoManager.signTransaction({
+        from: wallet.address,
+        to,
+        amount,
+        nonce: 0,
+        timestamp: Date.now(),
+        ...fields
+    }, wallet.privateKey);
+}
+
+// Signed typed transaction carrying `data` and no funds (medical record, amendment, grant...)
+function signDataTransaction(wallet, type, data, fields = {}) {
+    return cryptoManager.signTransaction({
+        type,
+        from: wallet.address,
+        nonce: 0,
+        timestamp: Date.now(),
+        data,
+        ...fields
+    }, wallet.privateKey);
+}
+
+module.exports = {
+    createWallet,
+    signTransfer,
+    signDataTransaction
+};
@@ -0,0 +1,239 @@
+const request = require('supertest');
+const Blockchain = require('../../blockchain/Blockchain');
+const BlockchainServer = require('../../blockchain/server');
+const { loadGenesisConfig } = require('../../blockchain/genesis');
+const { hashTransaction } = require('../../blockchain/utils/merkle');
+const AnchorJob = require('../../blockchain/AnchorJob');
+const { createWallet, signTransfer, signDataTransaction } = require('../helpers/wallet');
+const { MemoryAnchorRegistry } = require('../helpers/anchorRegistry');
+const { signApproval } = require('../../blockchain/utils/multisig');
+
+describe('Blockchain Node API', () => {
+    const alice = createWallet();
+    let node;
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        node = new BlockchainServer({ blockchain: new Blockchain({ genesis: { ...loadGenesisConfig(), miningReward: 50 } }) });
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should report health', async () => {
+        const response = await request(node.app).get('/health').expect(200);
+
+        expect(response.body.status).toBe('healthy');
+        expect(response.body.blocks).toBe(1);
+    });
+
+    test('should accept a transaction and mine it', async () => {
+        await request(node.app).post('/mine').send({ minerAddress: alice.address }).expect(201);
+
+        const submitted = await request(node.app)
+            .post('/transactions')
+            .send(signTransfer(alice, 'bob', 10))
+            .expect(201);
+
+        const pending = await request(node.app).get('/transactions/pending').expect(200);
+        expect(pending.body.data.count).toBe(1);
+
+        const mined = await request(node.app).post('/mine').send({ minerAddress: 'miner' }).expect(201);
+        expect(mined.body.data.index).toBe(2);
+
+        const block = await request(node.app).get('/blocks/2').expect(200);
+        expect(block.body.data.hash).toBe(mined.body.data.hash);
+
+        const byHash = await request(node.app).get(`/blocks/${mined.body.data.hash}`).expect(200);
+        expect(byHash.body.data.index).toBe(2);
+
+        const transaction = await request(node.app)
+            .get(`/transactions/${submitted.body.data.transactionHash}`)
+            .expect(200);
+        expect(transaction.body.data).toMatchObject({ blockIndex: 2, confirmations: 1 });
+
+        const balance = await request(node.app).get('/addresses/miner/balance').expect(200);
+        expect(balance.body.data.balance).toBe(50);
+
+        const nonce = await request(node.app).get(`/addresses/${alice.address}/nonce`).expect(200);
+        expect(nonce.body.data.nextNonce).toBe(1);
+
+        const history = await request(node.app).get('/addresses/bob/transactions').expect(200);
+        expect(history.body.data.count).toBe(1);
+
+        const page = await request(node.app).get(`/addresses/${alice.address}/transactions?offset=1&limit=1`).expect(200);
+        expect(page.body.data).toMatchObject({ count: 1, total: 2, offset: 1, limit: 1 });
+        await request(node.app).get('/addresses/bob/transactions?limit=0').expect(400);
+
+        const proof = await request(node.app)
+            .get(`/transactions/${submitted.body.data.transactionHash}/proof`)
+            .expect(200);
+        expect(proof.body.data.blockHash).toBe(mined.body.data.hash);
+
+        const stats = await request(node.app).get('/stats').expect(200);
+        expect(stats.body.data.totalBlocks).toBe(3);
+        expect(stats.body.data.difficulty).toBe(node.blockchain.genesisConfig.difficulty);
+    });
+
+    test('should reject an invalid transaction', async () => {
+        const response = await request(node.app)
+            .post('/transactions')
+            .send({ from: 'alice', amount: 10 })
+            .expect(400);
+
+        expect(response.body.error).toBe('Invalid transaction structure');
+    });
+
+    test('should reject a transfer above the sender balance', async () => {
+        const response = await request(node.app)
+            .post('/transactions')
+            .send(signTransfer(createWallet(), 'bob', 10))
+            .expect(400);
+
+        expect(response.body.error).toMatch(/^Insufficient balance/);
+    });
+
+    test('should require a miner address', async () => {
+        await request(node.app).post('/mine').send({}).expect(400);
+    });
+
+    test('should report and cancel mining jobs', async () => {
+        const idle = await request(node.app).get('/mining').expect(200);
+        expect(idle.body.data).toEqual({ mining: false, progress: null });
+
+        node.blockchain.difficulty = 6; // Keep the job running while we query it
+        const mining = request(node.app).post('/mine').send({ minerAddress: 'miner' }).then(res => res);
+        await new Promise(resolve => node.blockchain.once('miningProgress', resolve));
+
+        const status = await request(node.app).get('/mining').expect(200);
+        expect(status.body.data.mining).toBe(true);
+        await request(node.app).post('/mine').send({ minerAddress: 'miner' }).expect(409);
+
+        await request(node.app).delete('/mining').expect(200);
+        expect((await mining).status).toBe(409);
+        await request(node.app).delete('/mining').expect(404);
+        node.blockchain.updateDifficulty();
+    });
+
+    test('should serve the medical records and grants of a patient', async () => {
+        const patient = createWallet();
+        const doctor = createWallet();
+        const entry = signDataTransaction(patient, 'medicalRecord', {
+            patient: patient.address,
+            category: 'diagnosis',
+            payload: 'Seasonal allergy'
+        });
+
+        await request(node.app).post('/transactions').send(entry).expect(201);
+        await request(node.app)
+            .post('/transactions')
+            .send(signDataTransaction(patient, 'accessGrant', { grantee: doctor.address, permissions: ['read'] }, { nonce: 1 }))
+            .expect(201);
+        await request(node.app).post('/mine').send({ minerAddress: 'miner' }).expect(201);
+
+        const records = await request(node.app).get(`/patients/${patient.address}/records?limit=10`).expect(200);
+        expect(records.body.data).toMatchObject({ count: 1, total: 1, offset: 0, limit: 10 });
+        expect(records.body.data.records[0]).toMatchObject({ category: 'diagnosis', author: patient.address });
+
+        const record = await request(node.app).get(`/records/${hashTransaction(entry)}`).expect(200);
+        expect(record.body.data.payload).toBe('Seasonal allergy');
+        await request(node.app).get('/records/deadbeef').expect(404);
+
+        const grants = await request(node.app).get(`/patients/${patient.address}/grants`).expect(200);
+        expect(grants.body.data.grants).toMatchObject([{ grantee: doctor.address, permissions: ['read'], active: true }]);
+    });
+
+    test('should serve a full audit report of the chain', async () => {
+        const response = await request(node.app).get('/audit').expect(200);
+
+        expect(response.body.data).toMatchObject({ valid: true, problemCount: 0, problems: [] });
+        expect(response.body.data.blocksChecked).toBe(node.blockchain.chain.length);
+    });
+
+    test('should anchor blocks to Ethereum and serve verified anchor proofs', async () => {
+        await request(node.app).get('/anchors').expect(503);
+
+        const blockchain = new Blockchain();
+        const anchoring = new BlockchainServer({
+            blockchain,
+            anchorJob: new AnchorJob(blockchain, new MemoryAnchorRegistry(), { confirmations: 0 })
+        });
+        await blockchain.minePendingTransactions('miner');
+
+        const anchored = await request(anchoring.app).post('/anchors').expect(201);
+        expect(anchored.body.data).toMatchObject({ anchorId: 1, fromHeight: 0, toHeight: 1 });
+        await request(anchoring.app).post('/anchors').expect(200);
+
+        const status = await request(anchoring.app).get('/anchors').expect(200);
+        expect(status.body.data).toMatchObject({ anchorCount: 1, anchoredHeight: 1, anchors: [{ anchorId: 1, ethBlockNumber: 11 }] });
+
+        const proof = await request(anchoring.app).get('/anchors/blocks/1').expect(200);
+        expect(proof.body.data).toMatchObject({ blockHash: blockchain.chain[1].hash, anchorId: 1 });
+
+        const verified = await request(anchoring.app).get(`/anchors/blocks/${blockchain.chain[1].hash}?verify=true&ethBlock=11`).expect(200);
+        expect(verified.body.data.verification).toMatchObject({ valid: true, ethBlockNumber: 11 });
+
+        const tooEarly = await request(anchoring.app).get('/anchors/blocks/1?verify=true&ethBlock=10').expect(200);
+        expect(tooEarly.body.data.verification.valid).toBe(false);
+
+        await blockchain.minePendingTransactions('miner');
+        await request(anchoring.app).get('/anchors/blocks/2').expect(404);
+        await request(anchoring.app).get('/anchors/blocks/1?verify=true&ethBlock=soon').expect(400);
+    });
+
+    test('should collect multisig approvals and show who signed', async () => {
+        const officials = [createWallet(), createWallet(), createWallet()];
+        const account = await request(node.app)
+            .post('/multisig/accounts')
+            .send({ publicKeys: officials.map(official => official.publicKey), threshold: 2 })
+            .expect(201);
+        const treasury = account.body.data;
+        expect(treasury.signers).toHaveLength(3);
+
+        const transaction = {
+            type: 'medicalRecord',
+            from: treasury.address,
+            nonce: 0,
+            timestamp: Date.now(),
+            data: { patient: treasury.address, category: 'consultation', payload: { note: 'reviewed' } },
+            multisig: { threshold: 2, publicKeys: treasury.publicKeys }
+        };
+        const proposed = await request(node.app)
+            .post('/multisig/transactions')
+            .send({ ...transaction, signatures: [signApproval(transaction, officials[1].privateKey)] })
+            .expect(201);
+        const { id } = proposed.body.data;
+
+        const status = await request(node.app).get(`/multisig/transactions/${id}`).expect(200);
+        expect(status.body.data).toMatchObject({ status: 'pending', approvalCount: 1, remaining: 1 });
+        expect(status.body.data.signers).toContainEqual({ address: officials[1].address, approved: true });
+        expect(status.body.data.signers).toContainEqual({ address: officials[0].address, approved: false });
+
+        await request(node.app)
+            .post(`/multisig/transactions/${id}/signatures`)
+            .send(signApproval(transaction, createWallet().privateKey))
+            .expect(400);
+        const approved = await request(node.app)
+            .post(`/multisig/transactions/${id}/signatures`)
+            .send(signApproval(transaction, officials[0].privateKey))
+            .expect(200);
+        expect(approved.body.data).toMatchObject({ status: 'submitted', remaining: 0 });
+
+        const listed = await request(node.app).get(`/multisig/transactions?address=${treasury.address}`).expect(200);
+        expect(listed.body.data.count).toBe(1);
+        const pending = await request(node.app).get('/transactions/pending').expect(200);
+        expect(pending.body.data.transactions.map(pendingTransaction => pendingTransaction.from)).toContain(treasury.address);
+
+        await request(node.app).get('/multisig/transactions/unknown').expect(404);
+        await request(node.app).post('/multisig/accounts').send({ publicKeys: [officials[0].publicKey], threshold: 1 }).expect(400);
+    });
+
+    test('should return 404 for unknown blocks', async () => {
+        await request(node.app).get('/blocks/99').expect(404);
+    });
+
+    test('should return 404 for a proof of an unknown transaction', async () => {
+        await request(node.app).get('/transactions/deadbeef/proof').expect(404);
+    });
+});
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Blockchain = require('../../blockchain/Blockchain');
+const BlockchainServer = require('../../blockchain/server');
+const { Cli } = require('../../blockchain/cli');
+const { CryptoManager } = require('../../blockchain/utils/crypto');
+
+describe('Command-line tool against a node', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chain-cli-node-'));
+    const keys = new CryptoManager({ keyDir: path.join(dir, 'keys') });
+    let alice;
+    let node;
+    let nodeUrl;
+    let output;
+
+    const run = async (...argv) => {
+        output = { stdout: '', stderr: '' };
+        const cli = new Cli({
+            stdout: text => { output.stdout += text; },
+            stderr: text => { output.stderr += text; }
+        });
+        return cli.run([...argv, '--node', nodeUrl, '--keys-dir', keys.keyDir]);
+    };
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        alice = keys.generateKeyPair(null, 'alice');
+        keys.generateKeyPair(null, 'bob');
+
+        const genesis = {
+            networkId: 'cli-node-test',
+            timestamp: 1704067200000,
+            difficulty: 1,
+            allocations: [{ address: alice.address, amount: 100 }]
+        };
+        node = new BlockchainServer({ blockchain: new Blockchain({ genesis }), port: 0 });
+        const server = node.start();
+        await new Promise(resolve => server.once('listening', resolve));
+        nodeUrl = `http://localhost:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await node.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    test('should send a transaction, mine it and show the result', async () => {
+        expect(await run('tx', 'send', '--key', 'alice', '--to', 'bob', '--amount', '10', '--json')).toBe(0);
+        const { transactionHash } = JSON.parse(output.stdout);
+
+        expect(await run('mine', '--miner', 'bob')).toBe(0);
+        expect(output.stdout).toMatch('Mined block 1');
+
+        expect(await run('tx', 'show', transactionHash)).toBe(0);
+        expect(output.stdout).toMatch(`Transaction ${transactionHash}`);
+        expect(output.stdout).toMatch('block:         1 (position 0)');
+
+        expect(await run('address', 'alice', '--json')).toBe(0);
+        expect(JSON.parse(output.stdout)).toMatchObject({ address: alice.address, balance: 90, nonce: 1 });
+
+        // The next transaction picks up the nonce from the node
+        expect(await run('tx', 'build', '--key', 'alice', '--to', 'bob', '--amount', '1', '--json')).toBe(0);
+        expect(JSON.parse(output.stdout).nonce).toBe(1);
+    });
+
+    test('should inspect blocks, export the chain and validate it on the node', async () => {
+        expect(await run('block', 'show', '1')).toBe(0);
+        expect(output.stdout).toMatch(`Block 1 ${node.blockchain.chain[1].hash}`);
+        expect(output.stdout).toMatch('transactions: 2');
+
+        expect(await run('block', 'list', '--limit', '1', '--json')).toBe(0);
+        expect(JSON.parse(output.stdout)).toMatchObject({ total: 2, blocks: [{ index: 1 }] });
+
+        expect(await run('block', 'show', '99')).toBe(1);
+        expect(output.stderr).toMatch('Block not found');
+
+        const file = path.join(dir, 'export.json');
+        expect(await run('chain', 'export', file)).toBe(0);
+        expect(JSON.parse(fs.readFileSync(file, 'utf8')).chain).toHaveLength(2);
+
+        expect(await run('validate', '--remote')).toBe(0);
+        expect(output.stdout).toMatch('Chain audit of cli-node-test: 2 blocks checked, no problems found');
+    });
+
+    test('should report node errors', async () => {
+        expect(await run('tx', 'send', '--key', 'alice', '--to', 'bob', '--amount', '1000', '--json')).toBe(1);
+        expect(JSON.parse(output.stdout).error).toMatch(/balance/i);
+
+        expect(await run('anchor', 'proof', '1')).toBe(1);
+        expect(output.stderr).toMatch('Anchoring is not enabled on this node');
+    });
+
+    test('should find a built and submitted transaction by the hash it printed', async () => {
+        const file = path.join(dir, 'transfer.json');
+        expect(await run('tx', 'build', '--key', 'alice', '--to', 'bob', '--amount', '5')).toBe(0);
+        const [, printedHash] = output.stdout.match(/^Signed transaction (\w+)/);
+        fs.writeFileSync(file, output.stdout.trim().split('\n').pop());
+
+        expect(await run('tx', 'submit', file, '--json')).toBe(0);
+        expect(JSON.parse(output.stdout).transactionHash).toBe(printedHash);
+        expect(await run('mine', '--miner', 'bob')).toBe(0);
+
+        expect(await run('tx', 'show', printedHash)).toBe(0);
+        expect(output.stdout).toMatch(`Transaction ${printedHash}`);
+    });
+});
@@ -0,0 +1,132 @@
+const WebSocket = require('ws');
+const Blockchain = require('../../blockchain/Blockchain');
+const Block = require('../../blockchain/Block');
+const BlockchainServer = require('../../blockchain/server');
+const { hashTransaction } = require('../../blockchain/utils/merkle');
+const { createWallet, signTransfer, signDataTransaction } = require('../helpers/wallet');
+
+// Open a subscription and collect its messages
+const subscribe = async (url) => {
+    const socket = new WebSocket(url);
+    const messages = [];
+    socket.on('message', data => messages.push(JSON.parse(data)));
+    await new Promise((resolve, reject) => {
+        socket.once('open', resolve);
+        socket.once('error', reject);
+    });
+    return { socket, messages };
+};
+
+// Poll until a condition holds (events arrive asynchronously)
+const waitFor = async (condition, timeout = 5000) => {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+};
+
+describe('Chain events over WebSocket', () => {
+    const alice = createWallet();
+    const patient = createWallet();
+    const genesis = {
+        networkId: 'events-test',
+        timestamp: 1704067200000,
+        difficulty: 1,
+        allocations: [{ address: alice.address, amount: 100 }, { address: patient.address, amount: 10 }]
+    };
+    const sockets = [];
+    let node;
+    let baseUrl;
+
+    const open = async (query = '') => {
+        const subscription = await subscribe(`${baseUrl}/events${query}`);
+        sockets.push(subscription.socket);
+        await waitFor(() => subscription.messages.some(message => message.type === 'subscribed'));
+        return subscription;
+    };
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        node = new BlockchainServer({ blockchain: new Blockchain({ genesis }), port: 0 });
+        const server = node.start();
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `ws://localhost:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        sockets.forEach(socket => socket.terminate());
+        await node.stop();
+        jest.restoreAllMocks();
+    });
+
+    test('should push accepted and rejected transactions and mined blocks', async () => {
+        const { messages } = await open();
+        const transfer = signTransfer(alice, 'bob', 10);
+
+        node.blockchain.addTransaction(transfer);
+        expect(() => node.blockchain.addTransaction(transfer)).toThrow();
+        await node.blockchain.minePendingTransactions('miner');
+
+        await waitFor(() => messages.some(message => message.type === 'blockAdded'));
+        expect(messages.map(message => message.type))
+            .toEqual(['subscribed', 'transactionAdded', 'transactionRejected', 'blockMined', 'blockAdded']);
+        expect(messages[1].data).toEqual({ transaction: transfer, transactionHash: hashTransaction(transfer) });
+        expect(messages[2].data.reason).toMatch(/nonce/);
+        expect(messages[4].data.block).toMatchObject({ index: 1, hash: node.blockchain.chain[1].hash });
+        expect(messages[4].data.transactions).toHaveLength(2);
+        expect(messages[4].timestamp).toEqual(expect.any(Number));
+    });
+
+    test('should only send what matches the address and type filters', async () => {
+        const byAddress = await open('?addresses=carol');
+        const byType = await open('?types=medicalRecord&events=blockAdded');
+
+        node.blockchain.addTransaction(signTransfer(alice, 'carol', 5, { nonce: 1 }));
+        node.blockchain.addTransaction(signDataTransaction(patient, 'medicalRecord', {
+            patient: patient.address,
+            category: 'consultation',
+            payload: { note: 'checkup' }
+        }));
+        await node.blockchain.minePendingTransactions('miner');
+        await waitFor(() => byType.messages.some(message => message.type === 'blockAdded'));
+
+        expect(byAddress.messages.map(message => message.type))
+            .toEqual(['subscribed', 'transactionAdded', 'blockMined', 'blockAdded']);
+        expect(byAddress.messages[3].data.transactions.map(transaction => transaction.to)).toEqual(['carol']);
+
+        expect(byType.messages.map(message => message.type)).toEqual(['subscribed', 'blockAdded']);
+        expect(byType.messages[1].data.transactions.map(transaction => transaction.type)).toEqual(['medicalRecord']);
+    });
+
+    test('should change filters on request and report validation failures to everyone', async () => {
+        const { socket, messages } = await open('?addresses=nobody');
+
+        socket.send(JSON.stringify({ type: 'subscribe', data: { events: ['bogus'] } }));
+        await waitFor(() => messages.some(message => message.type === 'error'));
+        expect(messages[messages.length - 1].data.error).toMatch('Unknown events: bogus');
+
+        socket.send(JSON.stringify({ type: 'subscribe', data: { addresses: ['nobody'], events: ['validationFailed'] } }));
+        await waitFor(() => messages.filter(message => message.type === 'subscribed').length === 2);
+
+        const latest = node.blockchain.getLatestBlock();
+        const stale = new Block(latest.index, Date.now(), [], latest.previousHash);
+        stale.mineBlock(latest.difficulty);
+        expect(node.blockchain.acceptBlock(stale)).toBe(false);
+
+        await waitFor(() => messages.some(message => message.type === 'validationFailed'));
+        expect(messages[messages.length - 1].data).toEqual({
+            blockIndex: latest.index,
+            blockHash: stale.hash,
+            reason: `index ${latest.index} does not follow ${latest.index}`
+        });
+    });
+
+    test('should refuse unknown events in the connection URL', async () => {
+        const { socket, messages } = await subscribe(`${baseUrl}/events?events=nope`);
+        await new Promise(resolve => socket.once('close', resolve));
+        expect(messages).toEqual([expect.objectContaining({ type: 'error' })]);
+    });
+});
@@ -0,0 +1,157 @@
+const request = require('supertest');
+const Blockchain = require('../../blockchain/Blockchain');
+const BlockchainServer = require('../../blockchain/server');
+const { ExplorerServer } = require('../../blockchain/explorer');
+const { hashTransaction } = require('../../blockchain/utils/merkle');
+const { createWallet, signTransfer } = require('../helpers/wallet');
+
+describe('Block explorer API', () => {
+    const alice = createWallet();
+    const genesis = {
+        networkId: 'explorer-test',
+        timestamp: 1704067200000,
+        difficulty: 1,
+        allocations: [{ address: alice.address, amount: 100 }]
+    };
+    let node;
+    let transfer;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        node = new BlockchainServer({ blockchain: new Blockchain({ genesis }), port: 0 });
+
+        for (let nonce = 0; nonce < 3; nonce++) {
+            transfer = signTransfer(alice, 'bob', 10, { nonce, fee: 1 });
+            node.blockchain.addTransaction(transfer);
+            await node.blockchain.minePendingTransactions('miner');
+        }
+        node.blockchain.addTransaction(signTransfer(alice, 'bob', 5, { nonce: 3, fee: 2 }));
+    });
+
+    afterAll(async () => {
+        await node.stop();
+        jest.restoreAllMocks();
+    });
+
+    test('should list the latest blocks, newest first', async () => {
+        const response = await request(node.app).get('/explorer/blocks?limit=2').expect(200);
+        expect(response.body.data).toMatchObject({ count: 2, total: 4, offset: 0, limit: 2 });
+        expect(response.body.data.blocks.map(block => block.index)).toEqual([3, 2]);
+        expect(response.body.data.blocks[0]).toMatchObject({ transactionCount: 2, confirmations: 1 });
+
+        const older = await request(node.app).get('/explorer/blocks?offset=3&limit=2').expect(200);
+        expect(older.body.data.blocks.map(block => block.index)).toEqual([0]);
+
+        await request(node.app).get('/explorer/blocks?limit=0').expect(400);
+    });
+
+    test('should find a block by height or hash', async () => {
+        const { chain } = node.blockchain;
+        const byHeight = await request(node.app).get('/explorer/blocks/2').expect(200);
+        expect(byHeight.body.data).toMatchObject({ index: 2, confirmations: 2, nextHash: chain[3].hash });
+        expect(byHeight.body.data.transactionHashes).toHaveLength(2);
+
+        const byHash = await request(node.app).get(`/explorer/blocks/${chain[3].hash}`).expect(200);
+        expect(byHash.body.data).toMatchObject({ index: 3, nextHash: null });
+
+        await request(node.app).get('/explorer/blocks/42').expect(404);
+    });
+
+    test('should show a transaction with its confirmations', async () => {
+        const response = await request(node.app).get(`/explorer/transactions/${hashTransaction(transfer)}`).expect(200);
+        expect(response.body.data).toMatchObject({ blockIndex: 3, confirmations: 1, transaction: transfer });
+
+        await request(node.app).get('/explorer/transactions/deadbeef').expect(404);
+    });
+
+    test('should show address balances and history', async () => {
+        const account = await request(node.app).get(`/explorer/addresses/${alice.address}`).expect(200);
+        expect(account.body.data).toMatchObject({ balance: 67, nonce: 3, transactionCount: 4, pendingTransactions: 1 });
+
+        const history = await request(node.app).get('/explorer/addresses/bob/transactions?offset=1&limit=5').expect(200);
+        expect(history.body.data).toMatchObject({ count: 2, total: 3 });
+        expect(history.body.data.transactions.map(transaction => transaction.confirmations)).toEqual([2, 1]);
+    });
+
+    test('should report block times, difficulty history and mempool size', async () => {
+        const response = await request(node.app).get('/explorer/stats?window=2').expect(200);
+        const { chain } = node.blockchain;
+        expect(response.body.data).toMatchObject({
+            height: 3,
+            window: 2,
+            averageBlockTime: chain[3].timestamp - chain[2].timestamp,
+            difficultyHistory: [{ index: 2 }, { index: 3 }],
+            mempool: { size: 1, totalFees: 2 }
+        });
+
+        await request(node.app).get('/explorer/stats?window=abc').expect(400);
+    });
+
+    test('should serve full blocks from a height to mirrors', async () => {
+        const response = await request(node.app).get('/blocks?from=2&limit=1').expect(200);
+        expect(response.body.data).toMatchObject({ count: 1, from: 2, height: 3 });
+        expect(response.body.data.blocks[0]).toEqual(node.blockchain.chain[2].getBlockInfo());
+
+        await request(node.app).get('/blocks?from=-1').expect(400);
+    });
+
+    test('should mirror a node from its URL as a standalone explorer', async () => {
+        const server = node.start();
+        await new Promise(resolve => server.once('listening', resolve));
+
+        const explorer = new ExplorerServer({
+            sourceUrl: `http://localhost:${server.address().port}`,
+            blockchain: new Blockchain({ genesis })
+        });
+
+        expect(await explorer.sync()).toBe(true);
+        expect(explorer.blockchain.getLatestBlock().hash).toBe(node.blockchain.getLatestBlock().hash);
+        expect(explorer.blockchain.mempool.size).toBe(1);
+        expect(await explorer.sync()).toBe(false);
+
+        const response = await request(explorer.app).get('/blocks?limit=1').expect(200);
+        expect(response.body.data.blocks[0].hash).toBe(node.blockchain.getLatestBlock().hash);
+        await request(explorer.app).post('/blocks').expect(404);
+
+        // Later blocks are applied one by one instead of re-importing the chain
+        const imported = jest.spyOn(explorer.blockchain, 'importChain');
+        const accepted = jest.spyOn(explorer.blockchain, 'acceptBlock');
+        const rival = new Blockchain({ genesis });
+        rival.importChain(node.blockchain.exportChain());
+        await node.blockchain.minePendingTransactions('miner');
+
+        expect(await explorer.sync()).toBe(true);
+        expect(accepted).toHaveBeenCalledTimes(1);
+        expect(explorer.blockchain.getLatestBlock().hash).toBe(node.blockchain.getLatestBlock().hash);
+        expect(explorer.blockchain.mempool.size).toBe(0);
+
+        // When the node reorganizes, only the branch past the fork point is fetched
+        await rival.minePendingTransactions('rival');
+        await rival.minePendingTransactions('rival');
+        node.blockchain.replaceChain(rival.chain.slice(4), 4);
+        const replaced = jest.spyOn(explorer.blockchain, 'replaceChain');
+
+        expect(await explorer.sync()).toBe(true);
+        expect(replaced).toHaveBeenCalledWith([expect.objectContaining({ index: 4 }), expect.objectContaining({ index: 5 })], 4);
+        expect(explorer.blockchain.getLatestBlock().hash).toBe(rival.getLatestBlock().hash);
+        expect(imported).not.toHaveBeenCalled();
+    });
+
+    test('should wait for a sync to settle before scheduling the next one', async () => {
+        const explorer = new ExplorerServer({ sourceUrl: 'http://localhost:1', port: 0, syncInterval: 1, blockchain: new Blockchain({ genesis }) });
+        let settle;
+        const sync = jest.spyOn(explorer, 'sync').mockImplementation(() => new Promise(resolve => { settle = resolve; }));
+        explorer.start();
+
+        try {
+            await new Promise(resolve => setTimeout(resolve, 30));
+            expect(sync).toHaveBeenCalledTimes(1);
+
+            settle(false);
+            await new Promise(resolve => setTimeout(resolve, 30));
+            expect(sync).toHaveBeenCalledTimes(2);
+        } finally {
+            explorer.stop();
+        }
+    });
+});
@@ -0,0 +1,68 @@
+const Blockchain = require('../../blockchain/Blockchain');
+const BlockchainServer = require('../../blockchain/server');
+const LightClient = require('../../blockchain/LightClient');
+const { hashTransaction } = require('../../blockchain/utils/merkle');
+const { createWallet, signTransfer } = require('../helpers/wallet');
+
+describe('Light client against a full node', () => {
+    const alice = createWallet();
+    const genesis = {
+        networkId: 'light-node-test',
+        timestamp: 1704067200000,
+        difficulty: 1,
+        allocations: [{ address: alice.address, amount: 100 }]
+    };
+    let node;
+    let client;
+    let transfer;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        node = new BlockchainServer({ blockchain: new Blockchain({ genesis }), port: 0 });
+
+        transfer = signTransfer(alice, 'bob', 10);
+        node.blockchain.addTransaction(transfer);
+        await node.blockchain.minePendingTransactions('miner');
+        await node.blockchain.minePendingTransactions('miner');
+
+        const server = node.start();
+        await new Promise(resolve => server.once('listening', resolve));
+        client = new LightClient({ genesis, nodeUrl: `http://localhost:${server.address().port}` });
+    });
+
+    afterAll(async () => {
+        await node.stop();
+        jest.restoreAllMocks();
+    });
+
+    test('should download and check the headers only', async () => {
+        expect(await client.sync()).toEqual({ height: 2, added: 2, reorganized: false });
+        expect(client.getTip().hash).toBe(node.blockchain.getLatestBlock().hash);
+        expect(await client.sync()).toMatchObject({ height: 2, added: 0 });
+    });
+
+    test('should verify a transaction the node returns, syncing to newer blocks', async () => {
+        const later = signTransfer(alice, 'carol', 5, { nonce: 1 });
+        node.blockchain.addTransaction(later);
+        await node.blockchain.minePendingTransactions('miner');
+
+        const verified = await client.getVerifiedTransaction(hashTransaction(later));
+        expect(verified).toMatchObject({ transaction: later, blockIndex: 3, confirmations: 1 });
+
+        const older = await client.getVerifiedTransaction(hashTransaction(transfer));
+        expect(older).toMatchObject({ blockIndex: 1, confirmations: 3 });
+
+        await expect(client.getVerifiedTransaction('deadbeef')).rejects.toThrow('Transaction not found in any block');
+    });
+
+    test('should reject a proof the node tampered with', async () => {
+        const original = node.blockchain.getTransactionProof.bind(node.blockchain);
+        jest.spyOn(node.blockchain, 'getTransactionProof').mockImplementation(hash => {
+            const proof = original(hash);
+            return { ...proof, transaction: { ...proof.transaction, amount: 1000 } };
+        });
+
+        await expect(client.getVerifiedTransaction(hashTransaction(transfer)))
+            .rejects.toThrow('could not be verified: transaction does not match the proven hash');
+    });
+});
@@ -0,0 +1,148 @@
+const WebSocket = require('ws');
+const Blockchain = require('../../blockchain/Blockchain');
+const P2PServer = require('../../blockchain/P2PServer');
+const { createWallet, signTransfer } = require('../helpers/wallet');
+
+// Poll until a condition holds (peers sync asynchronously)
+const waitFor = async (condition, timeout = 5000) => {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+};
+
+describe('P2P block and transaction sync', () => {
+    const nodes = [];
+
+    const startNode = async (peers = []) => {
+        const blockchain = new Blockchain();
+        const p2p = new P2PServer(blockchain, { port: 0, peers, reconnectInterval: 100 });
+        await p2p.listen();
+        nodes.push(p2p);
+        return { blockchain, p2p, url: `ws://localhost:${p2p.port}` };
+    };
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(async () => {
+        await Promise.all(nodes.map(node => node.close()));
+        jest.restoreAllMocks();
+    });
+
+    test('should catch up, gossip transactions and share mined blocks', async () => {
+        const alice = createWallet();
+        const nodeA = await startNode();
+        await nodeA.blockchain.minePendingTransactions(alice.address);
+        await nodeA.blockchain.minePendingTransactions('miner-a');
+
+        // A late joiner downloads the blocks it is missing
+        const nodeB = await startNode([nodeA.url]);
+        await waitFor(() => nodeB.blockchain.chain.length === 3);
+        expect(nodeB.blockchain.getLatestBlock().hash).toBe(nodeA.blockchain.getLatestBlock().hash);
+
+        // A third node connected only to B still receives A's transactions
+        const nodeC = await startNode([nodeB.url]);
+        await waitFor(() => nodeC.blockchain.chain.length === 3);
+
+        nodeA.blockchain.addTransaction(signTransfer(alice, 'bob', 5));
+        await waitFor(() => nodeC.blockchain.pendingTransactions.length === 1);
+        expect(nodeB.blockchain.pendingTransactions).toHaveLength(1);
+
+        // A block mined on C confirms the transaction everywhere
+        await nodeC.blockchain.minePendingTransactions('miner-c');
+        await waitFor(() => nodeA.blockchain.chain.length === 4);
+        expect(nodeA.blockchain.pendingTransactions).toHaveLength(0);
+        expect(nodeA.blockchain.getBalanceOfAddress('bob')).toBe(5);
+        expect(nodeA.blockchain.isChainValid()).toBe(true);
+    });
+
+    test('should switch to the chain with more work when peers have forked', async () => {
+        const nodeA = await startNode();
+        const nodeB = await startNode();
+        await nodeA.blockchain.minePendingTransactions('miner-a');
+        await nodeB.blockchain.minePendingTransactions('miner-b');
+        await nodeB.blockchain.minePendingTransactions('miner-b');
+
+        const reorgs = [];
+        nodeA.blockchain.on('chainReplaced', reorg => reorgs.push(reorg));
+        nodeA.p2p.connectToPeer(nodeB.url);
+
+        await waitFor(() => nodeA.blockchain.getLatestBlock().hash === nodeB.blockchain.getLatestBlock().hash);
+        expect(reorgs).toHaveLength(1);
+        expect(reorgs[0].forkPoint.index).toBe(0);
+        expect(nodeB.blockchain.chain).toHaveLength(3);
+    });
+
+    test('should fetch only the competing branch from the common ancestor', async () => {
+        const nodeA = await startNode();
+        await nodeA.blockchain.minePendingTransactions('miner-a');
+        await nodeA.blockchain.minePendingTransactions('miner-a');
+        const nodeB = await startNode();
+        nodeB.blockchain.importChain(nodeA.blockchain.exportChain());
+
+        await nodeA.blockchain.minePendingTransactions('miner-a');
+        await nodeB.blockchain.minePendingTransactions('miner-b');
+        await nodeB.blockchain.minePendingTransactions('miner-b');
+
+        const reorgs = [];
+        nodeA.blockchain.on('chainReplaced', reorg => reorgs.push(reorg));
+        const validated = jest.spyOn(nodeA.blockchain, 'buildValidatedChain');
+        nodeA.p2p.connectToPeer(nodeB.url);
+
+        await waitFor(() => nodeA.blockchain.getLatestBlock().hash === nodeB.blockchain.getLatestBlock().hash);
+        expect(reorgs).toHaveLength(1);
+        expect(reorgs[0].forkPoint.index).toBe(2);
+        expect(validated).toHaveBeenCalledTimes(1);
+        const [branch, , base] = validated.mock.calls[0];
+        expect(branch.map(block => block.index)).toEqual([3, 4]);
+        expect(base).toHaveLength(3);
+    });
+
+    test('should drop malformed messages and keep serving the peer', async () => {
+        const node = await startNode();
+        await node.blockchain.minePendingTransactions('miner');
+
+        const socket = new WebSocket(node.url);
+        const replies = [];
+        socket.on('message', data => replies.push(JSON.parse(data)));
+        await new Promise(resolve => socket.once('open', resolve));
+
+        [
+            'null',
+            '42',
+            '"BLOCKS"',
+            '[]',
+            '{"type":"BLOCKS","data":null}',
+            '{"type":"BLOCKS","data":{"blocks":[null],"height":5}}',
+            '{"type":"BLOCKS","data":{"blocks":[7,"x"],"height":5}}',
+            '{"type":"NEW_BLOCK","data":{"block":null}}',
+            '{"type":"HEADERS","data":{"fromIndex":0,"headers":[null,3]}}',
+            '{"type":"NEW_TRANSACTION","data":{"transaction":7}}'
+        ].forEach(frame => socket.send(frame));
+        socket.send(JSON.stringify({ type: 'QUERY_BLOCKS', data: { fromIndex: 0 } }));
+
+        await waitFor(() => replies.some(reply => reply.type === 'BLOCKS'));
+        expect(replies.find(reply => reply.type === 'BLOCKS').data.blocks).toHaveLength(2);
+        expect(node.p2p.getPeers()).toHaveLength(1);
+        socket.close();
+    });
+
+    test('should refuse peers from another network', async () => {
+        const blockchain = new Blockchain({
+            genesis: { networkId: 'other', timestamp: 1704067200000, difficulty: 1, allocations: [] }
+        });
+        const foreign = new P2PServer(blockchain, { port: 0 });
+        await foreign.listen();
+        nodes.push(foreign);
+
+        const local = await startNode([`ws://localhost:${foreign.port}`]);
+        await new Promise(resolve => setTimeout(resolve, 200));
+
+        expect(local.p2p.getPeers()).toHaveLength(0);
+    });
+});
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Blockchain = require('../../blockchain/Blockchain');
+const ChainStorage = require('../../blockchain/ChainStorage');
+const AnchorJob = require('../../blockchain/AnchorJob');
+const { anchorRoot, verifyAnchorProof } = require('../../blockchain/anchoring');
+const { MemoryAnchorRegistry } = require('../helpers/anchorRegistry');
+
+describe('Ethereum anchoring', () => {
+    let blockchain;
+    let registry;
+
+    const mine = async (count) => {
+        for (let i = 0; i < count; i++) {
+            await blockchain.minePendingTransactions('miner');
+        }
+    };
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        blockchain = new Blockchain();
+        registry = new MemoryAnchorRegistry();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should anchor the block hashes since the last anchor, leaving the tip to settle', async () => {
+        const job = new AnchorJob(blockchain, registry, { confirmations: 2 });
+        await mine(4);
+
+        const first = await job.anchorNow();
+        expect(first).toMatchObject({ anchorId: 1, fromHeight: 0, toHeight: 2, ethBlockNumber: 11 });
+        expect(first.root).toBe(anchorRoot(blockchain.chain.slice(0, 3).map(block => block.hash)));
+        expect(registry.anchors[0]).toMatchObject({ root: first.root, networkId: blockchain.networkId, fromHeight: 0, toHeight: 2 });
+
+        expect(await job.anchorNow()).toBeNull();
+
+        await mine(1);
+        const second = await job.anchorNow();
+        expect(second).toMatchObject({ anchorId: 2, fromHeight: 3, toHeight: 3, root: anchorRoot([blockchain.chain[3].hash]) });
+        expect(job.getStatus()).toMatchObject({ anchorCount: 2, anchoredHeight: 3, nextRange: null });
+    });
+
+    test('should anchor again from the fork point after a reorg replaced anchored blocks', async () => {
+        const job = new AnchorJob(blockchain, registry, { confirmations: 1 });
+        const rival = new Blockchain();
+        rival.importChain(blockchain.exportChain());
+        await mine(4);
+        await job.anchorNow();
+        const replaced = blockchain.chain[2].hash;
+
+        // The rival branch forks right after the genesis, deeper than the confirmations left out
+        for (let i = 0; i < 6; i++) {
+            await rival.minePendingTransactions('rival');
+        }
+        blockchain.replaceChain(rival.chain.slice(1), 1);
+        expect(job.getStatus()).toMatchObject({ anchoredHeight: 0, nextRange: { fromHeight: 1, toHeight: 5 } });
+
+        const reanchored = await job.anchorNow();
+        expect(reanchored.root).toBe(anchorRoot(blockchain.chain.slice(1, 6).map(block => block.hash)));
+        for (const block of blockchain.chain.slice(0, 6)) {
+            expect(await verifyAnchorProof(job.getProof(block.hash), registry)).toMatchObject({ valid: true, blockIndex: block.index });
+        }
+        expect(job.findAnchor(replaced)).toMatchObject({ anchorId: 1 });
+        expect(job.getStatus()).toMatchObject({ anchorCount: 2, anchoredHeight: 5, nextRange: null });
+    });
+
+    test('should split a long backlog and never run two anchors at once', async () => {
+        const job = new AnchorJob(blockchain, registry, { confirmations: 0, maxBlocks: 2 });
+        await mine(4);
+
+        const [first, same] = await Promise.all([job.anchorNow(), job.anchorNow()]);
+        expect(same).toBe(first);
+        expect(registry.anchors).toHaveLength(1);
+
+        await job.anchorNow();
+        await job.anchorNow();
+        expect(job.anchors.map(({ fromHeight, toHeight }) => [fromHeight, toHeight])).toEqual([[0, 1], [2, 3], [4, 4]]);
+    });
+
+    test('should prove a block existed at or before an Ethereum block', async () => {
+        const job = new AnchorJob(blockchain, registry, { confirmations: 0 });
+        await mine(3);
+        await job.anchorNow();
+
+        const proof = job.getProof(blockchain.chain[2].hash);
+        expect(proof).toMatchObject({ blockIndex: 2, anchorId: 1, networkId: blockchain.networkId });
+
+        registry.blockNumber = 20;
+        expect(await verifyAnchorProof(proof, registry, 11)).toMatchObject({ valid: true, ethBlockNumber: 11, anchor: { blockNumber: 11 } });
+        expect(await verifyAnchorProof(proof, registry)).toMatchObject({ valid: true, ethBlockNumber: 20 });
+
+        const tooEarly = await verifyAnchorProof(proof, registry, 10);
+        expect(tooEarly).toMatchObject({ valid: false, reason: 'Anchored in Ethereum block 11, after block 10' });
+
+        const forged = await verifyAnchorProof({ ...proof, blockHash: 'f'.repeat(64) }, registry, 11);
+        expect(forged).toMatchObject({ valid: false, reason: 'Merkle proof does not lead to the anchored root' });
+
+        // The height claimed must be the one the Merkle path leads from
+        const moved = await verifyAnchorProof({ ...proof, blockIndex: 1 }, registry, 11);
+        expect(moved).toMatchObject({ valid: false, reason: 'Merkle proof is for block 2, not 1' });
+        const first = job.getProof(blockchain.chain[0].hash);
+        expect(await verifyAnchorProof(first, registry, 11)).toMatchObject({ valid: true, blockIndex: 0 });
+        expect((await verifyAnchorProof({ ...first, blockIndex: 3 }, registry, 11)).reason).toBe('Merkle proof is for block 0, not 3');
+
+        registry.anchors[0].root = 'e'.repeat(64);
+        expect((await verifyAnchorProof(proof, registry, 11)).reason).toMatch('Anchor 1 commits root');
+
+        await mine(1);
+        expect(job.getProof(blockchain.getLatestBlock().hash)).toBeNull();
+    });
+
+    test('should keep its anchors across restarts', async () => {
+        const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'anchors-'));
+        try {
+            const storage = new ChainStorage(dataDir);
+            blockchain = new Blockchain({ storage });
+            await mine(2);
+            await new AnchorJob(blockchain, registry, { confirmations: 0 }).anchorNow();
+
+            const restarted = new AnchorJob(new Blockchain({ storage: new ChainStorage(dataDir) }), registry, { confirmations: 0 });
+            expect(restarted.getStatus()).toMatchObject({ anchorCount: 1, anchoredHeight: 2, nextRange: null });
+        } finally {
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    });
+
+    test('should report failed runs and retry the same blocks', async () => {
+        const job = new AnchorJob(blockchain, registry, { confirmations: 0, interval: 60000 });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(registry, 'anchor').mockRejectedValueOnce(new Error('connection refused'));
+
+        job.start();
+        await job.stop();
+        expect(job.getStatus()).toMatchObject({ anchorCount: 0, lastError: 'connection refused', nextRange: { fromHeight: 0, toHeight: 0 } });
+
+        expect(await job.anchorNow()).toMatchObject({ fromHeight: 0, toHeight: 0 });
+        expect(() => new AnchorJob(blockchain, registry, { maxBlocks: 0 })).toThrow('maxBlocks must be a positive integer');
+    });
+});
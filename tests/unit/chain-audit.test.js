@@ -0,0 +1,117 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Block = require('../../blockchain/Block');
+const Blockchain = require('../../blockchain/Blockchain');
+const { main, formatReport } = require('../../blockchain/audit');
+const { createWallet, signTransfer } = require('../helpers/wallet');
+
+describe('Chain audit', () => {
+    const alice = createWallet();
+    const genesis = {
+        networkId: 'audit-test',
+        timestamp: 1704067200000,
+        difficulty: 1,
+        allocations: [{ address: alice.address, amount: 100 }]
+    };
+    let blockchain;
+
+    // Copy of the block data, safe to tamper with
+    const exportBlocks = () => JSON.parse(JSON.stringify(blockchain.exportChain().chain));
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        blockchain = new Blockchain({ genesis });
+        for (let nonce = 0; nonce < 3; nonce++) {
+            blockchain.addTransaction(signTransfer(alice, 'bob', 10, { nonce }));
+            await blockchain.minePendingTransactions('miner');
+        }
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should report a valid chain', () => {
+        const report = blockchain.auditChain();
+
+        expect(report).toMatchObject({ valid: true, networkId: 'audit-test', height: 3, blocksChecked: 4, problems: [] });
+        expect(blockchain.isChainValid()).toBe(true);
+    });
+
+    test('should list every problem with its category and expected versus actual values', () => {
+        const blocks = exportBlocks();
+        blocks[1].data[0].signature = blocks[2].data[0].signature;
+        blocks[2].timestamp = blocks[1].timestamp;
+        blocks[3].previousHash = 'f'.repeat(64);
+
+        const { valid, categories, problems } = blockchain.auditChain(blocks);
+
+        expect(valid).toBe(false);
+        expect(problems.map(({ blockIndex, category }) => [blockIndex, category])).toEqual([
+            [1, 'hashMismatch'],
+            [1, 'merkleRoot'],
+            [1, 'badSignature'],
+            [2, 'hashMismatch'],
+            [2, 'timestampOrder'],
+            [3, 'hashMismatch'],
+            [3, 'brokenLink']
+        ]);
+        expect(categories).toMatchObject({ hashMismatch: 3, badSignature: 1, brokenLink: 1 });
+        expect(problems[2]).toMatchObject({ position: 0, message: 'transaction 0: Invalid transaction signature' });
+        expect(problems[4]).toMatchObject({ expected: `> ${blocks[1].timestamp}`, actual: blocks[1].timestamp });
+        expect(problems[6]).toMatchObject({ expected: blocks[2].hash, actual: 'f'.repeat(64) });
+    });
+
+    test('should report a wrong difficulty', () => {
+        const blocks = exportBlocks();
+        const easy = Block.fromJSON(blocks[1]);
+        easy.nonce = 0;
+        easy.mineBlock(0);
+        blocks[1] = JSON.parse(JSON.stringify(easy));
+        const audit = blockchain.auditChain(blocks);
+
+        expect(audit.problems[0]).toMatchObject({ blockIndex: 1, category: 'difficulty', expected: 1, actual: 0 });
+    });
+
+    test('should audit an export file from the command line', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chain-audit-'));
+        const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const previousGenesis = process.env.GENESIS_CONFIG;
+        try {
+            fs.writeFileSync(path.join(dir, 'genesis.json'), JSON.stringify(genesis));
+            process.env.GENESIS_CONFIG = path.join(dir, 'genesis.json');
+
+            const exported = JSON.parse(JSON.stringify(blockchain.exportChain()));
+            fs.writeFileSync(path.join(dir, 'chain.json'), JSON.stringify(exported));
+            expect(main([path.join(dir, 'chain.json')])).toBe(0);
+            expect(write.mock.calls[0][0]).toMatch('4 blocks checked, no problems found');
+
+            exported.chain[2].timestamp = exported.chain[1].timestamp;
+            fs.writeFileSync(path.join(dir, 'chain.json'), JSON.stringify({ success: true, data: exported }));
+            expect(main(['--json', path.join(dir, 'chain.json')])).toBe(1);
+            expect(JSON.parse(write.mock.calls[1][0]).categories).toMatchObject({ timestampOrder: 1 });
+
+            expect(main([path.join(dir, 'missing.json')])).toBe(2);
+        } finally {
+            if (previousGenesis === undefined) {
+                delete process.env.GENESIS_CONFIG;
+            } else {
+                process.env.GENESIS_CONFIG = previousGenesis;
+            }
+            write.mockRestore();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('should format problems for people', () => {
+        const blocks = exportBlocks();
+        blocks[3].previousHash = 'f'.repeat(64);
+
+        const text = formatReport(blockchain.auditChain(blocks));
+        expect(text).toMatch('2 problem(s) found');
+        expect(text).toMatch('block 3 [brokenLink] previous hash does not match block 2');
+        expect(text).toMatch(`expected: "${blocks[2].hash}"`);
+    });
+});
@@ -0,0 +1,75 @@
+const Blockchain = require('../../blockchain/Blockchain');
+const Block = require('../../blockchain/Block');
+const { createWallet, signTransfer } = require('../helpers/wallet');
+
+describe('Blockchain import', () => {
+    let source;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const alice = createWallet();
+        source = new Blockchain();
+        await source.minePendingTransactions(alice.address);
+        source.addTransaction(signTransfer(alice, 'bob', 10));
+        await source.minePendingTransactions('miner');
+        await source.minePendingTransactions('miner');
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    const exportCopy = () => JSON.parse(JSON.stringify(source.exportChain()));
+
+    test('should restore an exported chain as Block instances', () => {
+        const restored = Blockchain.fromJSON(JSON.stringify(source.exportChain()));
+
+        expect(restored.chain).toHaveLength(4);
+        restored.chain.forEach(block => expect(block).toBeInstanceOf(Block));
+        expect(restored.getLatestBlock().hash).toBe(source.getLatestBlock().hash);
+        expect(restored.getBalanceOfAddress('miner')).toBe(200);
+    });
+
+    test('should point at the first block with a bad hash', () => {
+        const exported = exportCopy();
+        exported.chain[1].data[0].amount = 500;
+
+        expect(() => Blockchain.fromJSON(exported)).toThrow(
+            expect.objectContaining({ blockIndex: 1, message: expect.stringContaining('hash mismatch') })
+        );
+    });
+
+    test('should reject broken linkage', () => {
+        const exported = exportCopy();
+        exported.chain[2].previousHash = exported.chain[0].hash;
+
+        expect(() => Blockchain.fromJSON(exported)).toThrow(/index 2/);
+    });
+
+    test('should reject a block with an unsigned transfer', () => {
+        const exported = exportCopy();
+        delete exported.chain[2].data[0].signature;
+        const remined = Block.fromJSON(exported.chain[2]);
+        remined.mineBlock(remined.difficulty);
+        exported.chain[2] = remined.getBlockInfo();
+
+        expect(() => Blockchain.fromJSON(exported)).toThrow('Invalid block at index 2: transaction 0: Transaction must be signed');
+    });
+
+    test('should reject blocks mined below the expected difficulty', () => {
+        const exported = exportCopy();
+        exported.chain[1].difficulty = 0;
+        exported.chain[1].hash = Block.fromJSON(exported.chain[1]).calculateHash();
+
+        expect(() => Blockchain.fromJSON(exported)).toThrow('Invalid block at index 1: difficulty 0 does not match expected 2');
+    });
+
+    test('should leave the current chain untouched when import fails', () => {
+        const target = new Blockchain();
+        const genesisHash = target.chain[0].hash;
+
+        expect(() => target.importChain('{not json')).toThrow('Invalid chain export');
+        expect(target.chain).toHaveLength(1);
+        expect(target.chain[0].hash).toBe(genesisHash);
+    });
+});
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Blockchain = require('../../blockchain/Blockchain');
+const ChainStorage = require('../../blockchain/ChainStorage');
+const { hashTransaction } = require('../../blockchain/utils/merkle');
+const { createWallet, signTransfer } = require('../helpers/wallet');
+
+describe('Chain indexes', () => {
+    const alice = createWallet();
+    const genesis = {
+        networkId: 'index-test',
+        timestamp: 1704067200000,
+        difficulty: 1,
+        allocations: [{ address: alice.address, amount: 100 }]
+    };
+    let blockchain;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        blockchain = new Blockchain({ genesis });
+
+        for (let nonce = 0; nonce < 5; nonce++) {
+            blockchain.addTransaction(signTransfer(alice, 'bob', 10, { nonce, fee: 1 }));
+            await blockchain.minePendingTransactions('miner');
+        }
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should keep balances and nonces in step with the chain', () => {
+        expect(blockchain.getBalanceOfAddress(alice.address)).toBe(45);
+        expect(blockchain.getBalanceOfAddress('bob')).toBe(50);
+        expect(blockchain.getBalanceOfAddress('miner')).toBe(505);
+        expect(blockchain.getNonce(alice.address)).toBe(5);
+        expect(blockchain.getAccountState('nobody')).toEqual({ balance: 0, nonce: 0 });
+    });
+
+    test('should find blocks and transactions by hash', () => {
+        const block = blockchain.chain[3];
+        expect(blockchain.getBlockByHash(block.hash)).toBe(block);
+        expect(blockchain.getBlockByHash('unknown')).toBeNull();
+
+        const transfer = block.data[0];
+        const found = blockchain.getTransaction(hashTransaction(transfer));
+        expect(found).toMatchObject({ transaction: transfer, blockIndex: 3, position: 0, confirmations: 3 });
+        expect(blockchain.getTransaction('unknown')).toBeNull();
+    });
+
+    test('should page through the history of an address', () => {
+        expect(blockchain.countTransactionsOfAddress('bob')).toBe(5);
+
+        const page = blockchain.getTransactionsOfAddress('bob', { offset: 1, limit: 2 });
+        expect(page.map(transaction => transaction.blockIndex)).toEqual([2, 3]);
+        expect(page[0].transactionHash).toBe(hashTransaction(blockchain.chain[2].data[0]));
+        expect(blockchain.getTransactionsOfAddress(alice.address)).toHaveLength(6); // Genesis allocation + 5 sends
+    });
+
+    test('should rebuild after a reorg', async () => {
+        const competitor = Blockchain.fromJSON({ chain: blockchain.chain.slice(0, 2).map(block => block.getBlockInfo()) }, { genesis });
+        for (let i = 0; i < 5; i++) {
+            await competitor.minePendingTransactions('rival');
+        }
+
+        blockchain.replaceChain(competitor.chain);
+
+        expect(blockchain.getBalanceOfAddress('bob')).toBe(10);
+        expect(blockchain.getBalanceOfAddress('rival')).toBe(500);
+        expect(blockchain.getTransactionsOfAddress('miner')).toHaveLength(1);
+        expect(blockchain.getBlockByHash(competitor.getLatestBlock().hash)).toBe(blockchain.getLatestBlock());
+    });
+
+    test('should rebuild on load from storage', async () => {
+        const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chain-index-'));
+        try {
+            const stored = new Blockchain({ genesis, storage: new ChainStorage(dataDir) });
+            stored.addTransaction(signTransfer(alice, 'bob', 10));
+            await stored.minePendingTransactions('miner');
+
+            const restored = new Blockchain({ genesis, storage: new ChainStorage(dataDir) });
+            expect(restored.getBalanceOfAddress('bob')).toBe(10);
+            expect(restored.getBlockByHash(stored.getLatestBlock().hash).index).toBe(1);
+        } finally {
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Blockchain = require('../../blockchain/Blockchain');
+const ChainStorage = require('../../blockchain/ChainStorage');
+const { createWallet, signTransfer } = require('../helpers/wallet');
+
+describe('ChainStorage', () => {
+    const alice = createWallet();
+    let dataDir;
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chain-storage-'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    test('should rebuild the chain and mempool after a restart', async () => {
+        const blockchain = new Blockchain({ storage: new ChainStorage(dataDir) });
+        await blockchain.minePendingTransactions(alice.address);
+        blockchain.addTransaction(signTransfer(alice, 'bob', 10));
+        await blockchain.minePendingTransactions('miner');
+        blockchain.addTransaction(signTransfer(alice, 'carol', 5, { nonce: 1 }));
+
+        const restored = new Blockchain({ storage: new ChainStorage(dataDir) });
+
+        expect(restored.chain).toHaveLength(3);
+        expect(restored.chain.map(block => block.hash)).toEqual(blockchain.chain.map(block => block.hash));
+        expect(restored.pendingTransactions).toEqual(blockchain.pendingTransactions);
+        expect(restored.getBalanceOfAddress('miner')).toBe(100);
+    });
+
+    test('should ignore a torn last record and keep appending after it', async () => {
+        const storage = new ChainStorage(dataDir);
+        new Blockchain({ storage });
+        fs.appendFileSync(storage.blocksPath, '{"index":1,"times');
+
+        const restored = new Blockchain({ storage: new ChainStorage(dataDir) });
+        expect(restored.chain).toHaveLength(1);
+
+        await restored.minePendingTransactions('miner');
+        await restored.minePendingTransactions('miner');
+        const restarted = new Blockchain({ storage: new ChainStorage(dataDir) });
+
+        expect(restarted.chain).toHaveLength(3);
+        expect(restarted.getLatestBlock().hash).toBe(restored.getLatestBlock().hash);
+    });
+
+    test('should end a record torn just before its newline', async () => {
+        const storage = new ChainStorage(dataDir);
+        const blockchain = new Blockchain({ storage });
+        await blockchain.minePendingTransactions('miner');
+        fs.truncateSync(storage.blocksPath, fs.statSync(storage.blocksPath).size - 1);
+
+        const restored = new Blockchain({ storage: new ChainStorage(dataDir) });
+        await restored.minePendingTransactions('miner');
+
+        expect(new Blockchain({ storage: new ChainStorage(dataDir) }).chain).toHaveLength(3);
+    });
+
+    test('should reject a tampered block on load', async () => {
+        const storage = new ChainStorage(dataDir);
+        const blockchain = new Blockchain({ storage });
+        await blockchain.minePendingTransactions('miner');
+
+        const lines = fs.readFileSync(storage.blocksPath, 'utf8').trim().split('\n');
+        const tampered = JSON.parse(lines[1]);
+        tampered.data[0].amount = 1000;
+        lines[1] = JSON.stringify(tampered);
+        fs.writeFileSync(storage.blocksPath, lines.join('\n') + '\n');
+
+        expect(() => new Blockchain({ storage: new ChainStorage(dataDir) }))
+            .toThrow('Invalid block at index 1: hash mismatch');
+    });
+});
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Blockchain = require('../../blockchain/Blockchain');
+const { Cli, parseArgs } = require('../../blockchain/cli');
+const { CryptoManager } = require('../../blockchain/utils/crypto');
+const { createWallet, signTransfer } = require('../helpers/wallet');
+
+describe('Command-line tool', () => {
+    let dir;
+    let output;
+
+    // Run a command line offline, keeping what it prints
+    const run = async (...argv) => {
+        output = { stdout: '', stderr: '' };
+        const cli = new Cli({
+            nodeUrl: 'http://127.0.0.1:9',
+            stdout: text => { output.stdout += text; },
+            stderr: text => { output.stderr += text; }
+        });
+        return cli.run([...argv, '--keys-dir', path.join(dir, 'keys')]);
+    };
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chain-cli-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should parse positionals, options and flags', () => {
+        expect(parseArgs(['tx', 'build', '--key', 'alice', '--amount=5', '--json', 'extra', '--force'])).toEqual({
+            positionals: ['tx', 'build', 'extra'],
+            options: { key: 'alice', amount: '5', json: true, force: true }
+        });
+    });
+
+    test('should create, list and delete key pairs', async () => {
+        expect(await run('keys', 'create', 'alice')).toBe(0);
+        expect(output.stdout).toMatch("Created key pair 'alice'");
+        const address = new CryptoManager({ keyDir: path.join(dir, 'keys') }).loadKeyPair('alice').address;
+
+        expect(await run('keys', 'create', 'alice')).toBe(2);
+        expect(output.stderr).toMatch('already exists');
+
+        expect(await run('keys', 'list', '--json')).toBe(0);
+        expect(JSON.parse(output.stdout)).toEqual([{ name: 'alice', address }]);
+
+        expect(await run('address', 'alice', '--offline')).toBe(0);
+        expect(output.stdout).toMatch(`Address ${address}`);
+
+        expect(await run('keys', 'delete', 'alice')).toBe(0);
+        expect(await run('keys', 'delete', 'alice')).toBe(2);
+        expect(output.stderr).toMatch("Key pair 'alice' not found");
+        expect(await run('keys', 'create', '../escape')).toBe(2);
+    });
+
+    test('should build a signed transaction without a node when the nonce is given', async () => {
+        await run('keys', 'create', 'alice');
+        await run('keys', 'create', 'bob');
+
+        expect(await run('tx', 'build', '--key', 'alice', '--to', 'bob', '--amount', '5', '--fee', '1', '--nonce', '3', '--valid-after', '10', '--json')).toBe(0);
+        const transaction = JSON.parse(output.stdout);
+        const keys = new CryptoManager({ keyDir: path.join(dir, 'keys') });
+
+        expect(transaction).toMatchObject({ from: keys.loadKeyPair('alice').address, to: keys.loadKeyPair('bob').address, amount: 5, fee: 1, nonce: 3, validAfter: 10 });
+        expect(keys.verifyTransaction(transaction, transaction.publicKey)).toBe(true);
+
+        expect(await run('tx', 'build', '--key', 'alice', '--to', 'bob', '--amount', 'lots', '--nonce', '0')).toBe(2);
+        expect(output.stderr).toMatch('--amount must be a number');
+        expect(await run('tx', 'build', '--key', 'alice', '--to', 'bob', '--amount', '5')).toBe(1);
+        expect(output.stderr).toMatch('Cannot reach the node');
+    });
+
+    test('should import an export into a data directory and validate it', async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const alice = createWallet();
+        const genesis = { networkId: 'cli-test', timestamp: 1704067200000, difficulty: 1, allocations: [{ address: alice.address, amount: 50 }] };
+        const previousGenesis = process.env.GENESIS_CONFIG;
+        try {
+            fs.writeFileSync(path.join(dir, 'genesis.json'), JSON.stringify(genesis));
+            process.env.GENESIS_CONFIG = path.join(dir, 'genesis.json');
+
+            const blockchain = new Blockchain({ genesis });
+            blockchain.addTransaction(signTransfer(alice, 'bob', 10));
+            await blockchain.minePendingTransactions('miner');
+            const exported = JSON.parse(JSON.stringify(blockchain.exportChain()));
+            fs.writeFileSync(path.join(dir, 'chain.json'), JSON.stringify(exported));
+            const dataDir = path.join(dir, 'data');
+
+            expect(await run('chain', 'import', path.join(dir, 'chain.json'), '--data-dir', dataDir)).toBe(0);
+            expect(output.stdout).toMatch(`Imported 2 blocks of cli-test into ${dataDir}`);
+            expect(await run('chain', 'import', path.join(dir, 'chain.json'), '--data-dir', dataDir)).toBe(2);
+            expect(output.stderr).toMatch('--force');
+
+            expect(await run('validate', '--data-dir', dataDir)).toBe(0);
+            expect(output.stdout).toMatch('2 blocks checked, no problems found');
+
+            exported.chain[1].data[0].amount = 40;
+            fs.writeFileSync(path.join(dir, 'chain.json'), JSON.stringify(exported));
+            expect(await run('validate', path.join(dir, 'chain.json'), '--json')).toBe(1);
+            expect(JSON.parse(output.stdout).categories).toMatchObject({ badSignature: 1 });
+
+            expect(await run('chain', 'import', path.join(dir, 'chain.json'), '--data-dir', dataDir, '--force')).toBe(1);
+            expect(await run('validate', '--data-dir', dataDir)).toBe(0);
+        } finally {
+            if (previousGenesis === undefined) {
+                delete process.env.GENESIS_CONFIG;
+            } else {
+                process.env.GENESIS_CONFIG = previousGenesis;
+            }
+            jest.restoreAllMocks();
+        }
+    });
+
+    test('should print usage for help and unknown commands', async () => {
+        expect(await run('help')).toBe(0);
+        expect(output.stdout).toMatch('Usage: node blockchain/cli.js');
+        expect(await run('frobnicate')).toBe(2);
+    });
+});
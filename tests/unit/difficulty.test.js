@@ -0,0 +1,67 @@
+const Blockchain = require('../../blockchain/Blockchain');
+const Block = require('../../blockchain/Block');
+
+describe('Difficulty retargeting', () => {
+    const genesis = {
+        networkId: 'retarget-test',
+        timestamp: 1704067200000,
+        difficulty: 1,
+        retargetInterval: 3,
+        targetBlockTime: 10000
+    };
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should raise difficulty when blocks come too fast', async () => {
+        const blockchain = new Blockchain({ genesis });
+        for (let i = 0; i < 6; i++) {
+            await blockchain.minePendingTransactions('miner');
+        }
+
+        expect(blockchain.chain.map(block => block.difficulty)).toEqual([1, 1, 1, 1, 2, 2, 2]);
+        expect(blockchain.difficulty).toBe(3);
+        expect(blockchain.isChainValid()).toBe(true);
+    });
+
+    test('should lower difficulty when blocks come too slowly', async () => {
+        const blockchain = new Blockchain({ genesis: { ...genesis, difficulty: 2 } });
+        const now = Date.now();
+        [now - 600000, now - 300000, now - 60000].forEach((timestamp, i) => {
+            blockchain.addBlock(new Block(i + 1, timestamp, { note: `block ${i + 1}` }));
+        });
+
+        expect(blockchain.difficulty).toBe(1);
+        await blockchain.minePendingTransactions('miner');
+        expect(blockchain.getLatestBlock().difficulty).toBe(1);
+        expect(blockchain.isChainValid()).toBe(true);
+    });
+
+    test('should reject a block mined at the wrong difficulty for its height', async () => {
+        const blockchain = new Blockchain({ genesis });
+        for (let i = 0; i < 3; i++) {
+            await blockchain.minePendingTransactions('miner');
+        }
+
+        const cheapBlock = new Block(4, Date.now(), [{ note: 'cheap' }], blockchain.getLatestBlock().hash);
+        cheapBlock.mineBlock(1);
+
+        expect(blockchain.acceptBlock(cheapBlock)).toBe(false);
+        expect(blockchain.chain).toHaveLength(4);
+    });
+
+    test('should check each imported block against its own height', async () => {
+        const source = new Blockchain({ genesis });
+        for (let i = 0; i < 5; i++) {
+            await source.minePendingTransactions('miner');
+        }
+
+        const restored = Blockchain.fromJSON(source.exportChain(), { genesis });
+        expect(restored.difficulty).toBe(source.difficulty);
+    });
+});
@@ -0,0 +1,112 @@
+const Blockchain = require('../../blockchain/Blockchain');
+const { CryptoManager } = require('../../blockchain/utils/crypto');
+const { hashTransaction } = require('../../blockchain/utils/merkle');
+const { createWallet, signDataTransaction } = require('../helpers/wallet');
+
+const cryptoManager = new CryptoManager();
+
+describe('Encrypted record payloads', () => {
+    const patient = createWallet();
+    const doctor = createWallet();
+    const nurse = createWallet();
+    const genesis = { networkId: 'encryption-test', timestamp: 1704067200000, difficulty: 1 };
+    const content = { diagnosis: 'Asthma', treatment: 'Salbutamol' };
+    let blockchain;
+    let entry;
+    let recordHash;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        blockchain = new Blockchain({ genesis });
+
+        entry = signDataTransaction(patient, 'medicalRecord', {
+            patient: patient.address,
+            category: 'diagnosis',
+            payload: cryptoManager.encryptForRecipients(content, [patient.publicKey, doctor.publicKey])
+        });
+        blockchain.addTransaction(entry);
+        await blockchain.minePendingTransactions('miner');
+        recordHash = hashTransaction(entry);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should keep the payload unreadable on chain', () => {
+        const stored = JSON.stringify(blockchain.chain[1].data);
+        expect(stored).not.toContain('Asthma');
+        expect(blockchain.getRecord(recordHash).encrypted).toBe(true);
+    });
+
+    test('should decrypt for the readers the key was wrapped for', () => {
+        expect(cryptoManager.decryptPayload(entry.data.payload, doctor.privateKey)).toEqual(content);
+        expect(blockchain.decryptRecord(recordHash, patient.privateKey).payload).toEqual(content);
+        expect(() => cryptoManager.decryptPayload(entry.data.payload, nurse.privateKey)).toThrow('no key wrapped for');
+        expect(() => blockchain.decryptRecord(recordHash, nurse.privateKey))
+            .toThrow(`${nurse.address} has no read access to record ${recordHash}`);
+    });
+
+    test('should grant a new reader with a re-wrapped key only', async () => {
+        const wrappedKey = cryptoManager.rewrapKey(entry.data.payload.keys[patient.address], patient.privateKey, nurse.publicKey);
+        blockchain.addTransaction(signDataTransaction(patient, 'accessGrant', {
+            grantee: nurse.address,
+            permissions: ['read'],
+            recordHash,
+            keys: { [recordHash]: wrappedKey }
+        }, { nonce: 1 }));
+        await blockchain.minePendingTransactions('miner');
+
+        // The record itself is untouched
+        expect(blockchain.chain[1].data[0]).toEqual(entry);
+        expect(blockchain.getRecordKeys(recordHash, nurse.address)).toEqual({ [recordHash]: wrappedKey });
+        expect(blockchain.decryptRecord(recordHash, nurse.privateKey).currentPayload).toEqual(content);
+        expect(blockchain.isChainValid()).toBe(true);
+    });
+
+    test('should decrypt encrypted amendments', async () => {
+        const corrected = { ...content, treatment: 'Budesonide' };
+        const amendment = signDataTransaction(doctor, 'recordAmendment', {
+            recordHash,
+            payload: cryptoManager.encryptForRecipients(corrected, [patient.publicKey, doctor.publicKey]),
+            reason: 'Treatment changed'
+        });
+
+        // Doctor has a key but no write access yet
+        expect(() => blockchain.addTransaction(amendment)).toThrow('may not amend record');
+        blockchain.addTransaction(signDataTransaction(patient, 'accessGrant', {
+            grantee: doctor.address,
+            permissions: ['read', 'write']
+        }, { nonce: 1 }));
+        await blockchain.minePendingTransactions('miner');
+        blockchain.addTransaction(amendment);
+        await blockchain.minePendingTransactions('miner');
+
+        const decrypted = blockchain.decryptRecord(recordHash, patient.privateKey);
+        expect(decrypted.payload).toEqual(content);
+        expect(decrypted.currentPayload).toEqual(corrected);
+        expect(Object.keys(blockchain.getRecordKeys(recordHash, doctor.address))).toEqual([recordHash, hashTransaction(amendment)]);
+    });
+
+    test('should reject malformed encrypted payloads and keys', () => {
+        const payload = cryptoManager.encryptForRecipients(content, [doctor.publicKey]);
+        const record = data => signDataTransaction(patient, 'medicalRecord', {
+            patient: patient.address,
+            category: 'diagnosis',
+            payload: data
+        }, { nonce: 1 });
+
+        expect(() => blockchain.addTransaction(record(payload)))
+            .toThrow(`the content key must be wrapped for patient ${patient.address}`);
+        expect(() => blockchain.addTransaction(record({ ...payload, algorithm: 'aes-128-cbc' })))
+            .toThrow('encrypted payloads must use aes-256-gcm');
+        expect(() => blockchain.addTransaction(record({ ...payload, iv: undefined })))
+            .toThrow('encrypted payload needs iv');
+
+        const grant = (data) => signDataTransaction(patient, 'accessGrant', { grantee: nurse.address, ...data }, { nonce: 1 });
+        expect(() => blockchain.addTransaction(grant({ permissions: ['write'], keys: { [recordHash]: 'abc' } })))
+            .toThrow('wrapped keys require the read permission');
+        expect(() => blockchain.addTransaction(grant({ permissions: ['read'], keys: { unknown: 'abc' } })))
+            .toThrow('entry unknown is not covered by this grant');
+    });
+});
@@ -0,0 +1,107 @@
+const Blockchain = require('../../blockchain/Blockchain');
+const { createWallet, signTransfer } = require('../helpers/wallet');
+
+describe('Blockchain.replaceChain', () => {
+    const alice = createWallet();
+    const carol = createWallet();
+    const erin = createWallet();
+    const genesis = {
+        networkId: 'fork-test',
+        timestamp: 1704067200000,
+        difficulty: 1,
+        allocations: [alice, carol, erin].map(wallet => ({ address: wallet.address, amount: 100 }))
+    };
+    let local;
+    let remote;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        // Both nodes share block 1, then diverge
+        local = new Blockchain({ genesis });
+        await local.minePendingTransactions('miner');
+        remote = Blockchain.fromJSON(local.exportChain(), { genesis });
+
+        const carolToDave = signTransfer(carol, 'dave', 3);
+        local.addTransaction(signTransfer(alice, 'bob', 10));
+        local.addTransaction(carolToDave);
+        await local.minePendingTransactions('local-miner');
+
+        remote.addTransaction(carolToDave);
+        await remote.minePendingTransactions('remote-miner');
+        await remote.minePendingTransactions('remote-miner');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should adopt a chain with more work and report the reorg', () => {
+        const events = [];
+        local.on('chainReplaced', reorg => events.push(reorg));
+
+        const reorg = local.replaceChain(remote.chain);
+
+        expect(reorg).toEqual({
+            forkPoint: { index: 1, hash: remote.chain[1].hash },
+            droppedBlocks: 1,
+            adoptedBlocks: 2,
+            restoredTransactions: 1,
+            newHeight: 4
+        });
+        expect(events).toEqual([reorg]);
+        expect(local.getLatestBlock().hash).toBe(remote.getLatestBlock().hash);
+    });
+
+    test('should return orphaned transactions to the pending pool', () => {
+        local.addTransaction(signTransfer(erin, 'frank', 1));
+
+        local.replaceChain(remote.exportChain().chain);
+
+        // alice -> bob is orphaned, carol -> dave is confirmed by the winning chain,
+        // and the local mining reward is not resurrected
+        expect(local.pendingTransactions.map(transaction => transaction.from)).toEqual([alice.address, erin.address]);
+    });
+
+    test('should adopt a branch from the fork point, validating only the branch', () => {
+        const checked = jest.spyOn(local, 'findTransactionProblems');
+        const branch = remote.exportChain().chain.slice(2);
+
+        const reorg = local.replaceChain(branch, 2);
+
+        expect(checked.mock.calls.map(([block]) => block.index)).toEqual([2, 3]);
+        expect(reorg).toMatchObject({ forkPoint: { index: 1 }, droppedBlocks: 1, adoptedBlocks: 2, newHeight: 4 });
+        expect(local.getLatestBlock().hash).toBe(remote.getLatestBlock().hash);
+        expect(local.getBalanceOfAddress('dave')).toBe(3);
+
+        // A branch must follow our block below it
+        const stray = remote.exportChain().chain.slice(3);
+        expect(() => remote.replaceChain(stray, 2)).toThrow('Invalid block at index 2');
+        expect(() => local.replaceChain(branch, 9)).toThrow('Branch start must be a height between 0 and 4');
+    });
+
+    test('should refuse a chain without more cumulative work', () => {
+        expect(() => remote.replaceChain(local.chain)).toThrow('does not carry more work');
+        expect(remote.chain).toHaveLength(4);
+    });
+
+    test('should refuse an invalid candidate', () => {
+        const candidate = remote.exportChain().chain;
+        candidate[2].data[0].amount = 300;
+        const failures = [];
+        local.on('validationFailed', failure => failures.push(failure));
+
+        expect(() => local.replaceChain(candidate)).toThrow('Invalid block at index 2');
+        expect(local.chain).toHaveLength(3);
+        expect(failures).toEqual([expect.objectContaining({ blockIndex: 2, blockHash: candidate[2].hash })]);
+    });
+
+    test('should refuse a chain from another genesis', async () => {
+        const foreign = new Blockchain({
+            genesis: { networkId: 'other', timestamp: 1704067200000, difficulty: 1, allocations: [] }
+        });
+        for (let i = 0; i < 4; i++) await foreign.minePendingTransactions('miner');
+
+        expect(() => local.replaceChain(foreign.chain)).toThrow('genesis block does not match');
+    });
+});
@@ -0,0 +1,68 @@
+const Blockchain = require('../../blockchain/Blockchain');
+const { loadGenesisConfig } = require('../../blockchain/genesis');
+
+describe('Genesis block', () => {
+    const genesis = {
+        networkId: 'test-network',
+        timestamp: 1704067200000,
+        difficulty: 1,
+        allocations: [{ address: 'hospital-treasury', amount: 1000 }]
+    };
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should produce the same genesis hash on every node', () => {
+        const nodeA = new Blockchain({ genesis });
+        const nodeB = new Blockchain({ genesis });
+
+        expect(nodeA.chain[0].hash).toBe(nodeB.chain[0].hash);
+        expect(nodeA.chain[0].timestamp).toBe(genesis.timestamp);
+    });
+
+    test('should keep a chain valid long after it was created', async () => {
+        const blockchain = new Blockchain({ genesis });
+        await new Promise(resolve => setTimeout(resolve, 5));
+
+        expect(blockchain.isChainValid()).toBe(true);
+    });
+
+    test('should credit initial allocations', () => {
+        const blockchain = new Blockchain({ genesis });
+
+        expect(blockchain.getBalanceOfAddress('hospital-treasury')).toBe(1000);
+    });
+
+    test('should give different networks different genesis hashes', () => {
+        const main = new Blockchain({ genesis });
+        const other = new Blockchain({ genesis: { ...genesis, networkId: 'other-network' } });
+
+        expect(main.chain[0].hash).not.toBe(other.chain[0].hash);
+        expect(() => other.importChain(main.exportChain())).toThrow('does not match');
+    });
+
+    test('should let NETWORK_ID override the configured network', () => {
+        process.env.NETWORK_ID = 'from-env';
+        try {
+            expect(loadGenesisConfig().networkId).toBe('from-env');
+        } finally {
+            delete process.env.NETWORK_ID;
+        }
+    });
+
+    test('should reject an invalid genesis config', () => {
+        expect(() => new Blockchain({ genesis: { ...genesis, timestamp: 'now' } })).toThrow('timestamp');
+        expect(() => new Blockchain({ genesis: { ...genesis, miningReward: -1 } })).toThrow('miningReward must be a non-negative number');
+    });
+
+    test('should take the mining reward from the genesis only', () => {
+        expect(new Blockchain({ genesis }).miningReward).toBe(100);
+        expect(new Blockchain({ genesis: { ...genesis, miningReward: 250 }, miningReward: 10 }).miningReward).toBe(250);
+        expect(loadGenesisConfig().miningReward).toBe(100);
+    });
+});
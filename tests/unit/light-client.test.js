@@ -0,0 +1,86 @@
+const Block = require('../../blockchain/Block');
+const Blockchain = require('../../blockchain/Blockchain');
+const LightClient = require('../../blockchain/LightClient');
+const { hashTransaction } = require('../../blockchain/utils/merkle');
+const { createWallet, signTransfer } = require('../helpers/wallet');
+
+describe('Light client', () => {
+    const alice = createWallet();
+    const genesis = {
+        networkId: 'light-test',
+        timestamp: 1704067200000,
+        difficulty: 1,
+        retargetInterval: 3,
+        allocations: [{ address: alice.address, amount: 100 }]
+    };
+    let blockchain;
+    let client;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        blockchain = new Blockchain({ genesis });
+        for (let nonce = 0; nonce < 5; nonce++) {
+            blockchain.addTransaction(signTransfer(alice, 'bob', 10, { nonce }));
+            await blockchain.minePendingTransactions('miner');
+        }
+        client = new LightClient({ genesis });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should start from the genesis header of its network', () => {
+        expect(client.getHeight()).toBe(0);
+        expect(client.getTip().hash).toBe(blockchain.genesisHash);
+        expect(client.getTip().data).toBeUndefined();
+    });
+
+    test('should follow a header chain, retargets included', () => {
+        expect(client.addHeaders(blockchain.getHeaders({ from: 1 }))).toBe(5);
+        expect(client.getTip().hash).toBe(blockchain.getLatestBlock().hash);
+        expect(client.getCumulativeWork()).toBe(blockchain.getCumulativeWork());
+
+        const restored = new LightClient({ genesis, headers: client.exportHeaders() });
+        expect(restored.getHeight()).toBe(5);
+    });
+
+    test('should reject tampered or unlinked headers', () => {
+        const headers = blockchain.getHeaders({ from: 1 });
+
+        expect(() => client.addHeaders([{ ...headers[0], merkleRoot: 'forged' }]))
+            .toThrow('Invalid header at index 1: hash does not match the header fields');
+        expect(() => client.addHeaders([headers[1]])).toThrow('does not follow block 0');
+        expect(() => new LightClient({ genesis: { ...genesis, networkId: 'other' }, headers: blockchain.getHeaders() }))
+            .toThrow('does not start with the genesis block of network other');
+        expect(client.getHeight()).toBe(0);
+    });
+
+    test('should reject headers below the expected difficulty', () => {
+        const easy = { ...blockchain.getHeaders({ from: 1, limit: 1 })[0], difficulty: 0, nonce: 0 };
+        easy.hash = Block.calculateHeaderHash(easy);
+
+        expect(() => client.addHeaders([easy])).toThrow('difficulty 0 does not match expected 1');
+    });
+
+    test('should verify inclusion proofs against its own headers', () => {
+        client.addHeaders(blockchain.getHeaders({ from: 1 }));
+        const transfer = blockchain.chain[2].data[0];
+        const proof = blockchain.getTransactionProof(hashTransaction(transfer));
+
+        expect(client.checkProof(proof)).toBeNull();
+        expect(client.checkProof({ ...proof, transaction: { ...transfer, amount: 1000 } }))
+            .toBe('transaction does not match the proven hash');
+        expect(client.checkProof({ ...proof, header: { ...proof.header, merkleRoot: 'forged' } }))
+            .toBe('proof does not match local header 2');
+
+        const behind = new LightClient({ genesis });
+        expect(behind.checkProof(proof)).toBe('block 2 is not in the local header chain');
+    });
+
+    test('should refuse proof-of-authority chains', () => {
+        const validator = createWallet();
+        expect(() => new LightClient({ genesis: { ...genesis, consensus: { type: 'poa', validators: [{ publicKey: validator.publicKey }] } } }))
+            .toThrow('Light clients only follow proof-of-work chains');
+    });
+});
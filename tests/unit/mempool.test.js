@@ -0,0 +1,155 @@
+const Block = require('../../blockchain/Block');
+const Blockchain = require('../../blockchain/Blockchain');
+const Mempool = require('../../blockchain/Mempool');
+const { createWallet, signTransfer } = require('../helpers/wallet');
+
+describe('Mempool', () => {
+    const alice = createWallet();
+    const bob = createWallet();
+    const carol = createWallet();
+
+    const createBlockchain = (genesis = {}, options = {}) => new Blockchain({
+        genesis: {
+            networkId: 'mempool-test',
+            timestamp: 1704067200000,
+            difficulty: 1,
+            allocations: [
+                { address: alice.address, amount: 100 },
+                { address: bob.address, amount: 100 },
+                { address: carol.address, amount: 100 }
+            ],
+            miningReward: 50,
+            ...genesis
+        },
+        ...options
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should reject duplicate transactions', () => {
+        const blockchain = createBlockchain();
+        const transfer = signTransfer(alice, 'dave', 10);
+        blockchain.addTransaction(transfer);
+
+        expect(() => blockchain.addTransaction(transfer)).toThrow('Duplicate');
+        expect(() => blockchain.mempool.add(transfer)).toThrow('Duplicate transaction');
+    });
+
+    test('should reject and drop expired transactions', () => {
+        const blockchain = createBlockchain({}, { mempool: { maxAge: 60000 } });
+
+        expect(() => blockchain.addTransaction(signTransfer(alice, 'dave', 10, { timestamp: Date.now() - 120000 })))
+            .toThrow('Transaction expired');
+
+        blockchain.addTransaction(signTransfer(alice, 'dave', 10, { timestamp: Date.now() - 30000 }));
+        expect(blockchain.mempool.pruneExpired(Date.now() + 60000)).toHaveLength(1);
+        expect(blockchain.pendingTransactions).toHaveLength(0);
+    });
+
+    test('should count fees against the sender balance', () => {
+        const blockchain = createBlockchain();
+        blockchain.addTransaction(signTransfer(alice, 'dave', 90, { fee: 5 }));
+
+        expect(() => blockchain.addTransaction(signTransfer(alice, 'dave', 5, { nonce: 1, fee: 1 })))
+            .toThrow('Insufficient balance');
+    });
+
+    test('should reject a fee changed after signing', () => {
+        const blockchain = createBlockchain();
+        const transfer = { ...signTransfer(alice, 'dave', 10, { fee: 1 }), fee: 0 };
+
+        expect(() => blockchain.addTransaction(transfer)).toThrow('Invalid transaction signature');
+    });
+
+    test('should evict the lowest fee transaction when full', () => {
+        const blockchain = createBlockchain({}, { mempool: { maxSize: 2 } });
+        blockchain.addTransaction(signTransfer(alice, 'dave', 10, { fee: 1 }));
+        blockchain.addTransaction(signTransfer(bob, 'dave', 10, { fee: 3 }));
+
+        expect(() => blockchain.addTransaction(signTransfer(carol, 'dave', 10, { fee: 1 }))).toThrow('Mempool full');
+
+        blockchain.addTransaction(signTransfer(carol, 'dave', 10, { fee: 2 }));
+        expect(blockchain.pendingTransactions.map(transaction => transaction.from).sort())
+            .toEqual([bob.address, carol.address].sort());
+    });
+
+    test('should not evict the queue of the sender being added', () => {
+        const blockchain = createBlockchain({}, { mempool: { maxSize: 2 } });
+        const first = signTransfer(alice, 'dave', 10, { fee: 1 });
+        blockchain.addTransaction(first);
+        blockchain.addTransaction(signTransfer(bob, 'dave', 10, { fee: 3 }));
+
+        // Alice's next nonce can't push out her own first one, only a cheaper sender's queue
+        expect(() => blockchain.addTransaction(signTransfer(alice, 'dave', 10, { nonce: 1, fee: 2 }))).toThrow('Mempool full');
+        expect(blockchain.mempool.has(first)).toBe(true);
+
+        blockchain.addTransaction(signTransfer(alice, 'dave', 10, { nonce: 1, fee: 4 }));
+        expect(blockchain.pendingTransactions.map(transaction => [transaction.from, transaction.nonce]))
+            .toEqual([[alice.address, 0], [alice.address, 1]]);
+    });
+
+    test('should fill blocks with the highest fees and credit them to the miner', async () => {
+        const blockchain = createBlockchain({ maxBlockTransactions: 3 });
+        blockchain.addTransaction(signTransfer(alice, 'dave', 10, { fee: 1 }));
+        blockchain.addTransaction(signTransfer(bob, 'dave', 10, { fee: 4 }));
+        blockchain.addTransaction(signTransfer(carol, 'dave', 10, { fee: 2 }));
+
+        const block = await blockchain.minePendingTransactions('miner');
+
+        expect(block.data.map(transaction => transaction.from)).toEqual([bob.address, carol.address, null]);
+        expect(blockchain.getBalanceOfAddress('miner')).toBe(56);
+        expect(blockchain.getBalanceOfAddress(bob.address)).toBe(86);
+        expect(blockchain.pendingTransactions.map(transaction => transaction.from)).toEqual([alice.address]);
+        expect(blockchain.isChainValid()).toBe(true);
+    });
+
+    test('should keep each sender in nonce order', () => {
+        const mempool = new Mempool();
+        const first = signTransfer(alice, 'dave', 10, { fee: 1 });
+        const second = signTransfer(alice, 'dave', 10, { nonce: 1, fee: 9 });
+        const other = signTransfer(bob, 'dave', 10, { fee: 5 });
+        [second, other, first].forEach(transaction => mempool.add(transaction));
+
+        const selected = mempool.selectForBlock(10, () => ({ balance: 100, nonce: 0 }));
+        expect(selected).toEqual([other, first, second]);
+    });
+
+    test('should reject blocks whose reward exceeds reward plus fees', async () => {
+        const blockchain = createBlockchain();
+        blockchain.addTransaction(signTransfer(alice, 'dave', 10, { fee: 2 }));
+        const block = await blockchain.minePendingTransactions('miner');
+        const reward = block.data[block.data.length - 1];
+
+        expect(reward.amount).toBe(52);
+        expect(blockchain.findInvalidTransaction({ data: [{ ...reward, amount: 53 }] }))
+            .toContain('mining reward 53 exceeds 50');
+    });
+
+    test('should reject negative rewards that would drain another address', () => {
+        const blockchain = createBlockchain();
+        const latest = blockchain.getLatestBlock();
+        const block = new Block(1, latest.timestamp + 1, [{ from: null, to: alice.address, amount: -90, timestamp: Date.now() }], latest.hash);
+        block.mineBlock(blockchain.difficulty);
+
+        expect(blockchain.acceptBlock(block)).toBe(false);
+        expect(blockchain.getBalanceOfAddress(alice.address)).toBe(100);
+        expect(blockchain.findInvalidTransaction(block)).toBe('mining reward -90 must be a non-negative number');
+        expect(blockchain.findInvalidTransaction({ data: [{ from: null, amount: 50 }] })).toBe('mining reward needs a recipient address');
+        expect(blockchain.auditChain([...blockchain.chain, block]).valid).toBe(false);
+    });
+
+    test('should reject blocks over the size limit', () => {
+        const blockchain = createBlockchain({ maxBlockTransactions: 1 });
+        const transfer = signTransfer(alice, 'dave', 10);
+
+        expect(blockchain.findInvalidTransaction({ data: [transfer, { from: null, to: 'miner', amount: 50 }] }))
+            .toContain('exceed the block limit of 1');
+    });
+});
@@ -0,0 +1,88 @@
+const Blockchain = require('../../blockchain/Blockchain');
+const Block = require('../../blockchain/Block');
+const { hashTransaction, buildMerkleLevels, getMerkleRoot, getMerkleProof, verifyMerkleProof } = require('../../blockchain/utils/merkle');
+const { createWallet, signTransfer } = require('../helpers/wallet');
+
+describe('Merkle proofs', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should verify a proof for every leaf of an odd-sized tree', () => {
+        const leaves = ['a', 'b', 'c', 'd', 'e'].map(hashTransaction);
+        const root = getMerkleRoot(leaves);
+
+        leaves.forEach((leaf, i) => {
+            expect(verifyMerkleProof(leaf, getMerkleProof(leaves, i), root)).toBe(true);
+        });
+        expect(verifyMerkleProof(hashTransaction('z'), getMerkleProof(leaves, 0), root)).toBe(false);
+    });
+
+    test('should keep inner nodes from passing for leaves', () => {
+        const leaves = ['a', 'b', 'c', 'd'].map(hashTransaction);
+        const root = getMerkleRoot(leaves);
+        const [, innerNodes] = buildMerkleLevels(leaves);
+
+        expect(getMerkleRoot([leaves[0]])).not.toBe(leaves[0]);
+        expect(verifyMerkleProof(innerNodes[0], [{ hash: innerNodes[1], position: 'right' }], root)).toBe(false);
+    });
+
+    test('should reject a block repeating a transaction under the same hash', async () => {
+        const blockchain = new Blockchain();
+        const block = await blockchain.minePendingTransactions('miner');
+        const padded = Block.fromJSON({ ...block.getBlockInfo(), data: [...block.data, ...block.data, block.data[0]] });
+
+        const [a, b, c] = ['a', 'b', 'c'].map(hashTransaction);
+        expect(getMerkleRoot([a, b, c])).toBe(getMerkleRoot([a, b, c, c]));
+        expect(blockchain.findTransactionProblems(padded, blockchain.index).map(problem => problem.message))
+            .toContain('transaction 1: repeats an earlier transaction of the block');
+    });
+
+    test('should prove a transaction is in a block without the other transactions', async () => {
+        const hospitals = [createWallet(), createWallet(), createWallet()];
+        const blockchain = new Blockchain({
+            difficulty: 1,
+            genesis: {
+                networkId: 'merkle-test',
+                timestamp: 1704067200000,
+                difficulty: 1,
+                allocations: hospitals.map(hospital => ({ address: hospital.address, amount: 10 }))
+            }
+        });
+        const record = signTransfer(hospitals[0], 'registry', 1);
+        blockchain.addTransaction(signTransfer(hospitals[1], 'registry', 2));
+        blockchain.addTransaction(record);
+        blockchain.addTransaction(signTransfer(hospitals[2], 'registry', 3));
+        const block = await blockchain.minePendingTransactions('miner');
+
+        const inclusionProof = blockchain.getTransactionProof(hashTransaction(record));
+
+        expect(inclusionProof.blockIndex).toBe(1);
+        expect(JSON.stringify(inclusionProof)).not.toContain(hospitals[1].address);
+        expect(Block.verifyInclusionProof(inclusionProof, block.hash)).toBe(true);
+        expect(Block.verifyInclusionProof(inclusionProof, blockchain.chain[0].hash)).toBe(false);
+    });
+
+    test('should reject a proof whose header was altered', async () => {
+        const blockchain = new Blockchain();
+        const block = await blockchain.minePendingTransactions('miner');
+        const inclusionProof = block.getMerkleProof(hashTransaction(block.data[0]));
+
+        inclusionProof.header.merkleRoot = hashTransaction('forged');
+
+        expect(Block.verifyInclusionProof(inclusionProof, block.hash)).toBe(false);
+    });
+
+    test('should detect a header whose merkle root does not match its data', async () => {
+        const blockchain = new Blockchain();
+        await blockchain.minePendingTransactions('miner');
+        const exported = blockchain.exportChain();
+        exported.chain[1].merkleRoot = hashTransaction('forged');
+
+        expect(() => Blockchain.fromJSON(exported)).toThrow('merkle root does not match');
+    });
+});
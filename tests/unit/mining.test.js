@@ -0,0 +1,69 @@
+const Block = require('../../blockchain/Block');
+const Blockchain = require('../../blockchain/Blockchain');
+
+describe('Mining in a worker thread', () => {
+    const genesis = {
+        networkId: 'mining-test',
+        timestamp: 1704067200000,
+        difficulty: 1,
+        allocations: []
+    };
+    let blockchain;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        blockchain = new Blockchain({ genesis });
+    });
+
+    afterEach(() => {
+        blockchain.cancelMining();
+        jest.restoreAllMocks();
+    });
+
+    test('should resolve with the mined block', async () => {
+        const mining = blockchain.minePendingTransactions('miner');
+        expect(blockchain.isMining()).toBe(true);
+
+        const block = await mining;
+        expect(blockchain.isMining()).toBe(false);
+        expect(blockchain.getLatestBlock()).toBe(block);
+        expect(blockchain.isChainValid()).toBe(true);
+    });
+
+    test('should report progress without blocking the event loop', async () => {
+        blockchain.difficulty = 6; // Long enough to observe the job running
+        const mining = blockchain.minePendingTransactions('miner');
+
+        const progress = await new Promise(resolve => blockchain.once('miningProgress', resolve));
+        expect(progress).toMatchObject({ index: 1, difficulty: 6 });
+        expect(progress.attempts).toBeGreaterThan(0);
+        expect(blockchain.getMiningStatus().attempts).toBeGreaterThanOrEqual(progress.attempts);
+
+        expect(blockchain.cancelMining()).toBe(true);
+        await expect(mining).rejects.toMatchObject({ cancelled: true });
+        expect(blockchain.chain).toHaveLength(1);
+    });
+
+    test('should refuse to mine two blocks at once', async () => {
+        blockchain.difficulty = 6;
+        const mining = blockchain.minePendingTransactions('miner');
+
+        await expect(blockchain.minePendingTransactions('miner')).rejects.toThrow('Already mining block 1');
+
+        blockchain.cancelMining();
+        await expect(mining).rejects.toThrow('cancelled');
+    });
+
+    test('should cancel when a competing block for the same height arrives', async () => {
+        blockchain.difficulty = 6;
+        const mining = blockchain.minePendingTransactions('local-miner');
+
+        const competing = new Block(1, Date.now(), [{ from: null, to: 'peer-miner', amount: 100, timestamp: Date.now() }], blockchain.getLatestBlock().hash);
+        competing.mineBlock(1);
+        expect(blockchain.acceptBlock(competing)).toBe(true);
+
+        await expect(mining).rejects.toThrow('Mining of block 1 cancelled: block 1 received');
+        expect(blockchain.isMining()).toBe(false);
+        expect(blockchain.getLatestBlock().hash).toBe(competing.hash);
+    });
+});
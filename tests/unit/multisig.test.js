@@ -0,0 +1,147 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Block = require('../../blockchain/Block');
+const Blockchain = require('../../blockchain/Blockchain');
+const ChainStorage = require('../../blockchain/ChainStorage');
+const { createMultisigAccount, multisigAddress, signApproval } = require('../../blockchain/utils/multisig');
+const { createWallet } = require('../helpers/wallet');
+
+describe('Multi-signature addresses', () => {
+    const officials = [createWallet(), createWallet(), createWallet()];
+    const outsider = createWallet();
+    const treasury = createMultisigAccount(officials.map(official => official.publicKey), 2);
+    const genesis = {
+        networkId: 'multisig-test',
+        timestamp: 1704067200000,
+        difficulty: 1,
+        allocations: [{ address: treasury.address, amount: 100 }]
+    };
+    let blockchain;
+
+    // Unsigned transfer from the treasury
+    const treasuryTransfer = (fields = {}) => ({
+        from: treasury.address,
+        to: 'supplier',
+        amount: 30,
+        nonce: 0,
+        timestamp: Date.now(),
+        multisig: { threshold: 2, publicKeys: treasury.publicKeys },
+        ...fields
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        blockchain = new Blockchain({ genesis });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should derive one address per policy whatever the key order', () => {
+        const reversed = createMultisigAccount([...officials].reverse().map(official => official.publicKey), 2);
+
+        expect(reversed.address).toBe(treasury.address);
+        expect(reversed.signers).toEqual(treasury.signers);
+        expect(multisigAddress({ threshold: 3, publicKeys: treasury.publicKeys })).not.toBe(treasury.address);
+        expect(() => createMultisigAccount(treasury.publicKeys, 4)).toThrow('threshold must be an integer between 1 and 3');
+        expect(() => createMultisigAccount([officials[0].publicKey, officials[0].publicKey], 1)).toThrow('must be distinct');
+    });
+
+    test('should collect approvals and submit the transaction once the threshold is met', async () => {
+        const transaction = treasuryTransfer();
+        const proposed = blockchain.proposeMultisigTransaction({ ...transaction, signatures: [signApproval(transaction, officials[0].privateKey)] });
+
+        expect(proposed).toMatchObject({ status: 'pending', threshold: 2, approvalCount: 1, remaining: 1 });
+        expect(proposed.signers.filter(signer => signer.approved).map(signer => signer.address)).toEqual([officials[0].address]);
+        expect(proposed.signers).toHaveLength(3);
+        expect(blockchain.pendingTransactions).toHaveLength(0);
+
+        const approved = blockchain.approveMultisigTransaction(proposed.id, signApproval(transaction, officials[2].privateKey));
+        expect(approved).toMatchObject({ status: 'submitted', approvalCount: 2, remaining: 0, error: null });
+        expect(blockchain.pendingTransactions).toHaveLength(1);
+        expect(() => blockchain.approveMultisigTransaction(proposed.id, signApproval(transaction, officials[1].privateKey)))
+            .toThrow('already submitted');
+
+        await blockchain.minePendingTransactions('miner');
+        expect(blockchain.getAccountState(treasury.address)).toEqual({ balance: 70, nonce: 1 });
+        expect(blockchain.getBalanceOfAddress('supplier')).toBe(30);
+        expect(blockchain.getMultisigTransaction(proposed.id)).toBeNull();
+        expect(blockchain.isChainValid()).toBe(true);
+    });
+
+    test('should refuse approvals from outsiders and bad signatures', () => {
+        const transaction = treasuryTransfer();
+        expect(() => blockchain.proposeMultisigTransaction(transaction)).toThrow('must be proposed with at least one approval');
+        const { id } = blockchain.proposeMultisigTransaction({ ...transaction, signatures: [signApproval(transaction, officials[0].privateKey)] });
+
+        expect(() => blockchain.approveMultisigTransaction(id, signApproval(transaction, outsider.privateKey))).toThrow(`is not a signer of ${treasury.address}`);
+        const forged = signApproval({ ...transaction, amount: 99 }, officials[1].privateKey);
+        expect(() => blockchain.approveMultisigTransaction(id, forged)).toThrow('Invalid multisig signature');
+        expect(() => blockchain.proposeMultisigTransaction({ ...transaction, from: 'someone-else' })).toThrow('does not match the sender address');
+        expect(blockchain.getMultisigTransaction(id)).toMatchObject({ approvalCount: 1, status: 'pending' });
+    });
+
+    test('should cap the proposals per address and in total, like the mempool', () => {
+        blockchain = new Blockchain({ genesis, mempool: { maxSize: 3 } });
+        blockchain.multisigPool.maxPerAddress = 2;
+        const propose = (account, signers, nonce) => {
+            const transaction = treasuryTransfer({ from: account.address, multisig: { threshold: 2, publicKeys: account.publicKeys }, nonce });
+            return blockchain.proposeMultisigTransaction({ ...transaction, signatures: [signApproval(transaction, signers[0].privateKey)] });
+        };
+
+        const first = propose(treasury, officials, 0);
+        propose(treasury, officials, 1);
+        expect(() => propose(treasury, officials, 2)).toThrow(`${treasury.address} already has 2 multisig transactions collecting approvals`);
+
+        const owners = [outsider, createWallet()];
+        const other = createMultisigAccount(owners.map(owner => owner.publicKey), 2);
+        propose(other, owners, 0);
+        expect(() => propose(other, owners, 1)).toThrow('Multisig pool full (3 transactions)');
+
+        // More approvals for a known proposal are still welcome
+        const known = first.transaction;
+        expect(blockchain.proposeMultisigTransaction({ ...known, signatures: [signApproval(known, officials[1].privateKey)] }))
+            .toMatchObject({ id: first.id, approvalCount: 2 });
+    });
+
+    test('should reject blocks and transactions below the threshold', () => {
+        const transaction = treasuryTransfer();
+        const underSigned = { ...transaction, signatures: [signApproval(transaction, officials[0].privateKey)] };
+        const signedTwice = { ...transaction, signatures: [signApproval(transaction, officials[0].privateKey), signApproval(transaction, officials[0].privateKey)] };
+
+        expect(() => blockchain.addTransaction(underSigned)).toThrow('Multisig threshold not met: 1 of 2 signatures');
+        expect(() => blockchain.addTransaction(signedTwice)).toThrow('signed twice by the same key');
+
+        const latest = blockchain.getLatestBlock();
+        const block = new Block(1, latest.timestamp + 1, [underSigned], latest.hash);
+        expect(blockchain.findInvalidTransaction(block)).toBe('transaction 0: Multisig threshold not met: 1 of 2 signatures');
+    });
+
+    test('should submit proposals in nonce order and keep them across restarts', () => {
+        const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'multisig-'));
+        try {
+            blockchain = new Blockchain({ genesis, storage: new ChainStorage(dataDir) });
+            const first = treasuryTransfer({ amount: 10 });
+            const second = treasuryTransfer({ amount: 20, nonce: 1 });
+
+            const early = blockchain.proposeMultisigTransaction({
+                ...second,
+                signatures: [signApproval(second, officials[0].privateKey), signApproval(second, officials[1].privateKey)]
+            });
+            expect(early).toMatchObject({ status: 'pending', remaining: 0, error: `Nonce gap for ${treasury.address}: expected 0, got 1` });
+            const { id } = blockchain.proposeMultisigTransaction({ ...first, signatures: [signApproval(first, officials[1].privateKey)] });
+
+            const restarted = new Blockchain({ genesis, storage: new ChainStorage(dataDir) });
+            expect(restarted.getMultisigTransactions(treasury.address).map(status => status.nonce)).toEqual([0, 1]);
+
+            restarted.approveMultisigTransaction(id, signApproval(first, officials[2].privateKey));
+            expect(restarted.getMultisigTransactions().map(status => status.status)).toEqual(['submitted', 'submitted']);
+            expect(restarted.pendingTransactions.map(pending => pending.nonce)).toEqual([0, 1]);
+        } finally {
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    });
+});
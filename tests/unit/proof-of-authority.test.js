@@ -0,0 +1,242 @@
+const Block = require('../../blockchain/Block');
+const Blockchain = require('../../blockchain/Blockchain');
+const { validateGenesisConfig } = require('../../blockchain/genesis');
+const { CryptoManager } = require('../../blockchain/utils/crypto');
+const { createWallet } = require('../helpers/wallet');
+
+const cryptoManager = new CryptoManager();
+
+// Signed validator vote from a validator wallet
+function signVote(wallet, action, candidate, fields = {}) {
+    return cryptoManager.signTransaction({
+        type: 'validatorVote',
+        from: wallet.address,
+        nonce: 0,
+        timestamp: Date.now(),
+        data: { action, address: candidate.address, publicKey: action === 'add' ? candidate.publicKey : undefined },
+        ...fields
+    }, wallet.privateKey);
+}
+
+describe('Proof-of-authority consensus', () => {
+    const validatorA = createWallet();
+    const validatorB = createWallet();
+    const candidate = createWallet();
+    const outsider = createWallet();
+    const wallets = [validatorA, validatorB, candidate, outsider];
+
+    const genesis = {
+        networkId: 'poa-test',
+        timestamp: 1704067200000,
+        difficulty: 0,
+        consensus: {
+            type: 'poa',
+            validators: [validatorA, validatorB].map(({ address, publicKey }) => ({ address, publicKey }))
+        }
+    };
+    let blockchain;
+
+    // Seal the next block with whichever validator is in turn
+    const sealNext = async () => {
+        const sealer = blockchain.consensus.getSealer(blockchain.chain.length);
+        blockchain.consensus.setSigner(wallets.find(wallet => wallet.address === sealer.address));
+        return blockchain.minePendingTransactions('miner');
+    };
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        blockchain = new Blockchain({ genesis });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should have validators seal blocks in round-robin order', async () => {
+        const sealers = [];
+        for (let i = 0; i < 4; i++) {
+            sealers.push(blockchain.consensus.getSealer(blockchain.chain.length).address);
+            const block = await sealNext();
+            expect(block.difficulty).toBe(0);
+            expect(block.signature).toBeTruthy();
+        }
+
+        expect(sealers[0]).not.toBe(sealers[1]);
+        expect(sealers[2]).toBe(sealers[0]);
+        expect(sealers[3]).toBe(sealers[1]);
+        expect(blockchain.isChainValid()).toBe(true);
+    });
+
+    describe('with a validator down', () => {
+        const validatorC = createWallet();
+        const trio = [validatorA, validatorB, validatorC];
+        const trioGenesis = {
+            ...genesis,
+            consensus: { type: 'poa', validators: trio.map(({ address, publicKey }) => ({ address, publicKey })) }
+        };
+
+        const sealWith = (chain, wallet) => {
+            chain.consensus.setSigner(wallet);
+            return chain.minePendingTransactions('miner');
+        };
+        const walletOf = ({ address }) => trio.find(wallet => wallet.address === address);
+
+        test('should keep producing blocks with stand-ins sealing out of turn', async () => {
+            blockchain = new Blockchain({ genesis: trioGenesis, outOfTurnDelay: 0 });
+            const down = blockchain.consensus.getSealer(1);
+            const online = trio.filter(wallet => wallet.address !== down.address);
+
+            // Online validators take the down one's slots, never twice in a row
+            let last = null;
+            for (let i = 0; i < 6; i++) {
+                const inTurn = walletOf(blockchain.consensus.getSealer(blockchain.chain.length));
+                const sealer = inTurn.address !== down.address ? inTurn : online.find(wallet => wallet !== last);
+                await sealWith(blockchain, sealer);
+                last = sealer;
+            }
+
+            expect(blockchain.chain).toHaveLength(7);
+            expect(blockchain.isChainValid()).toBe(true);
+            const restored = Blockchain.fromJSON(blockchain.exportChain(), { genesis: trioGenesis });
+            expect(restored.getLatestBlock().hash).toBe(blockchain.getLatestBlock().hash);
+        });
+
+        test('should refuse stand-ins that sealed the last block or are not validators', async () => {
+            blockchain = new Blockchain({ genesis: trioGenesis, outOfTurnDelay: 0 });
+            const inTurn = walletOf(blockchain.consensus.getSealer(1));
+            await sealWith(blockchain, inTurn);
+            const next = walletOf(blockchain.consensus.getSealer(2));
+
+            await expect(sealWith(blockchain, inTurn)).rejects.toThrow(`Block 2 is due from validator ${next.address}, and ${inTurn.address} sealed one of the last blocks`);
+            await expect(sealWith(blockchain, outsider)).rejects.toThrow(`${outsider.address} is not a validator and cannot seal block 2`);
+
+            // The same block from another node is refused too
+            const peer = new Blockchain({ genesis: trioGenesis, outOfTurnDelay: 0 });
+            peer.importChain(blockchain.exportChain());
+            peer.consensus.getRecentSealers = () => new Set();
+            const repeated = await sealWith(peer, inTurn);
+            expect(blockchain.acceptBlock(repeated.getBlockInfo())).toBe(false);
+        });
+
+        test('should prefer the branch sealed in turn', async () => {
+            const inTurnChain = new Blockchain({ genesis: trioGenesis, outOfTurnDelay: 0 });
+            const standInChain = new Blockchain({ genesis: trioGenesis, outOfTurnDelay: 0 });
+            const inTurn = walletOf(inTurnChain.consensus.getSealer(1));
+            await sealWith(inTurnChain, inTurn);
+            await sealWith(standInChain, trio.find(wallet => wallet !== inTurn));
+
+            expect(inTurnChain.getCumulativeWork()).toBe(2);
+            expect(standInChain.getCumulativeWork()).toBe(1);
+            expect(() => inTurnChain.replaceChain(standInChain.chain)).toThrow();
+            expect(standInChain.replaceChain(inTurnChain.chain)).toMatchObject({ forkPoint: { index: 0 } });
+        });
+
+        test('should wait before sealing out of turn and give way to the block in turn', async () => {
+            blockchain = new Blockchain({ genesis: trioGenesis, outOfTurnDelay: 1000 });
+            const inTurn = walletOf(blockchain.consensus.getSealer(1));
+            const pending = sealWith(blockchain, trio.find(wallet => wallet !== inTurn));
+
+            const peer = new Blockchain({ genesis: trioGenesis });
+            const block = await sealWith(peer, inTurn);
+            expect(blockchain.acceptBlock(block.getBlockInfo())).toBe(true);
+
+            await expect(pending).rejects.toThrow('Sealing of block 1 cancelled');
+            expect(blockchain.getLatestBlock().hash).toBe(block.hash);
+        });
+    });
+
+    test('should reject blocks signed by the wrong key or mined instead of signed', () => {
+        const latest = blockchain.getLatestBlock();
+        const reward = [{ from: null, to: 'miner', amount: 100, timestamp: Date.now() }];
+
+        const forged = new Block(1, Date.now(), reward, latest.hash);
+        forged.signature = cryptoManager.signData(outsider.privateKey, Block.calculateSealHash(forged));
+        forged.hash = Block.calculateHeaderHash(forged);
+        expect(blockchain.acceptBlock(forged)).toBe(false);
+
+        const mined = new Block(1, Date.now(), reward, latest.hash);
+        mined.mineBlock(2);
+        expect(blockchain.acceptBlock(mined)).toBe(false);
+        expect(blockchain.chain).toHaveLength(1);
+    });
+
+    test('should add a validator once a majority has voted', async () => {
+        blockchain.addTransaction(signVote(validatorA, 'add', candidate));
+        await sealNext();
+        expect(blockchain.consensus.getValidators()).toHaveLength(2);
+        expect(blockchain.consensus.getProposals()).toEqual([
+            { action: 'add', address: candidate.address, voters: [validatorA.address] }
+        ]);
+
+        blockchain.addTransaction(signVote(validatorB, 'add', candidate));
+        await sealNext();
+        expect(blockchain.consensus.getValidators().map(validator => validator.address)).toContain(candidate.address);
+        expect(blockchain.consensus.getProposals()).toEqual([]);
+
+        // The new validator now takes its turn
+        for (let i = 0; i < 3; i++) {
+            await sealNext();
+        }
+        const sealers = blockchain.chain.slice(3).map(block => blockchain.consensus.getSealer(block.index, blockchain.chain).address);
+        expect(sealers).toContain(candidate.address);
+
+        const restored = Blockchain.fromJSON(blockchain.exportChain(), { genesis });
+        expect(restored.getLatestBlock().hash).toBe(blockchain.getLatestBlock().hash);
+    });
+
+    test('should carry the validator set through snapshots and pruned blocks', async () => {
+        const snapshotGenesis = { ...genesis, snapshotInterval: 2 };
+        blockchain = new Blockchain({ genesis: snapshotGenesis, pruneRetention: 1 });
+
+        blockchain.addTransaction(signVote(validatorA, 'add', candidate));
+        await sealNext();
+        blockchain.addTransaction(signVote(validatorB, 'add', candidate));
+        await sealNext();
+        for (let i = 0; i < 3; i++) {
+            await sealNext();
+        }
+        expect(blockchain.chain[2].pruned).toBe(true);
+        expect(blockchain.isChainValid()).toBe(true);
+
+        const snapshot = JSON.parse(JSON.stringify(blockchain.getSnapshot()));
+        const node = new Blockchain({ genesis: snapshotGenesis, snapshot, trustedSnapshotHash: snapshot.stateHash });
+        expect(node.consensus.getValidators(node.chain).map(validator => validator.address)).toContain(candidate.address);
+
+        const restored = Blockchain.fromJSON(blockchain.exportChain(), { genesis: snapshotGenesis });
+        expect(restored.getLatestBlock().hash).toBe(blockchain.getLatestBlock().hash);
+    });
+
+    test('should remove a validator by majority vote', async () => {
+        blockchain.addTransaction(signVote(validatorA, 'remove', validatorB));
+        await sealNext();
+        blockchain.addTransaction(signVote(validatorB, 'remove', validatorB));
+        await sealNext();
+
+        expect(blockchain.consensus.getValidators().map(validator => validator.address)).toEqual([validatorA.address]);
+    });
+
+    test('should only accept votes from validators', () => {
+        expect(() => blockchain.addTransaction(signVote(outsider, 'add', outsider)))
+            .toThrow(`${outsider.address} is not a validator and cannot vote`);
+        expect(() => blockchain.addTransaction(signVote(validatorA, 'add', validatorB)))
+            .toThrow('is already a validator');
+    });
+
+    test('should reject votes under proof of work', () => {
+        const powChain = new Blockchain({ genesis: { ...genesis, consensus: { type: 'pow' } } });
+
+        expect(() => powChain.addTransaction(signVote(validatorA, 'add', candidate)))
+            .toThrow('Validator votes require proof-of-authority consensus');
+    });
+
+    test('should commit the validator set to the genesis hash', () => {
+        const other = new Blockchain({
+            genesis: { ...genesis, consensus: { type: 'poa', validators: [{ publicKey: outsider.publicKey }] } }
+        });
+
+        expect(other.genesisHash).not.toBe(blockchain.genesisHash);
+        expect(() => validateGenesisConfig({ ...genesis, consensus: { type: 'poa', validators: [] } }))
+            .toThrow('proof of authority needs at least one validator');
+    });
+});
@@ -0,0 +1,176 @@
+const Block = require('../../blockchain/Block');
+const Blockchain = require('../../blockchain/Blockchain');
+const { hashTransaction } = require('../../blockchain/utils/merkle');
+const { createWallet, signTransfer, signDataTransaction } = require('../helpers/wallet');
+
+describe('Medical record transactions', () => {
+    const patient = createWallet();
+    const doctor = createWallet();
+    const genesis = {
+        networkId: 'records-test',
+        timestamp: 1704067200000,
+        difficulty: 1,
+        allocations: [{ address: patient.address, amount: 100 }]
+    };
+    let blockchain;
+
+    const record = (wallet, nonce, data = {}) => signDataTransaction(wallet, 'medicalRecord', {
+        patient: patient.address,
+        category: 'consultation',
+        payload: 'Blood pressure 12/8',
+        ...data
+    }, { nonce });
+
+    const grant = (nonce, data = {}) => signDataTransaction(patient, 'accessGrant', {
+        grantee: doctor.address,
+        permissions: ['read', 'write'],
+        ...data
+    }, { nonce });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        blockchain = new Blockchain({ genesis });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should validate each type against its schema', () => {
+        expect(() => blockchain.addTransaction(record(patient, 0, { category: undefined })))
+            .toThrow('Medical record: data.category is required');
+        expect(() => blockchain.addTransaction(record(patient, 0, { payload: 42 })))
+            .toThrow('Medical record: data.payload must be of type string or object');
+        expect(() => blockchain.addTransaction(record(patient, 0, { notes: 'x' })))
+            .toThrow('Medical record: unknown field data.notes');
+        // Names inherited from Object.prototype are not schema fields either
+        for (const field of ['constructor', 'toString']) {
+            expect(() => blockchain.addTransaction(record(patient, 0, { [field]: 'x' })))
+                .toThrow(`Medical record: unknown field data.${field}`);
+        }
+        expect(() => blockchain.addTransaction(grant(0, { permissions: ['delete'] })))
+            .toThrow('Access grant: data.permissions must only contain read, write');
+        expect(() => blockchain.addTransaction(signDataTransaction(patient, 'medicalRecord', {}, { to: doctor.address, amount: 5 })))
+            .toThrow('Medical record cannot transfer funds');
+        expect(() => blockchain.addTransaction(signDataTransaction(patient, 'prescriptionRefill', {})))
+            .toThrow('Unknown transaction type: prescriptionRefill');
+    });
+
+    test('should only let the patient or a grantee write records', async () => {
+        expect(() => blockchain.addTransaction(record(doctor, 0)))
+            .toThrow(`${doctor.address} has no write access to the records of ${patient.address}`);
+
+        blockchain.addTransaction(grant(0));
+        await blockchain.minePendingTransactions('miner');
+
+        blockchain.addTransaction(record(doctor, 0));
+        blockchain.addTransaction(record(patient, 1, { category: 'lab' }));
+        await blockchain.minePendingTransactions('miner');
+
+        const records = blockchain.getRecordsOfPatient(patient.address);
+        expect(records.map(entry => entry.author)).toEqual([doctor.address, patient.address]);
+        expect(records[1]).toMatchObject({ category: 'lab', blockIndex: 2, amendments: [] });
+        expect(blockchain.getAccessGrants(patient.address)).toMatchObject([
+            { grantee: doctor.address, permissions: ['read', 'write'], recordHash: null, active: true }
+        ]);
+        expect(blockchain.isChainValid()).toBe(true);
+    });
+
+    test('should append amendments to a confirmed record', async () => {
+        const entry = record(patient, 0);
+        blockchain.addTransaction(entry);
+        await blockchain.minePendingTransactions('miner');
+        const recordHash = hashTransaction(entry);
+
+        const amendment = { recordHash, payload: 'Blood pressure 13/8', reason: 'Typo' };
+        expect(() => blockchain.addTransaction(signDataTransaction(doctor, 'recordAmendment', amendment)))
+            .toThrow(`may not amend record ${recordHash}`);
+        expect(() => blockchain.addTransaction(signDataTransaction(patient, 'recordAmendment', { ...amendment, recordHash: 'unknown' }, { nonce: 1 })))
+            .toThrow('Record unknown not found');
+
+        blockchain.addTransaction(signDataTransaction(patient, 'recordAmendment', amendment, { nonce: 1 }));
+        await blockchain.minePendingTransactions('miner');
+
+        const amended = blockchain.getRecord(recordHash);
+        expect(amended.payload).toBe('Blood pressure 12/8');
+        expect(amended.currentPayload).toBe('Blood pressure 13/8');
+        expect(amended.amendments).toMatchObject([{ author: patient.address, reason: 'Typo', blockIndex: 2 }]);
+        expect(blockchain.getRecord('unknown')).toBeNull();
+    });
+
+    test('should refuse typed entries disguised as system transactions', async () => {
+        const entry = record(patient, 0);
+        blockchain.addTransaction(entry);
+        await blockchain.minePendingTransactions('miner');
+        const recordHash = hashTransaction(entry);
+
+        const forgeries = [
+            { from: null, amount: 0, type: 'recordAmendment', data: { recordHash, payload: 'FORGED', reason: 'x' }, timestamp: Date.now() },
+            { from: null, to: 'miner', amount: 0, type: 'medicalRecord', data: { patient: patient.address, category: 'lab', payload: 'FORGED' }, timestamp: Date.now() }
+        ];
+        forgeries.forEach(forgery => {
+            const latest = blockchain.getLatestBlock();
+            const block = new Block(latest.index + 1, latest.timestamp + 1, [forgery], latest.hash);
+            block.mineBlock(blockchain.difficulty);
+
+            expect(blockchain.findInvalidTransaction(block)).toBe('system transaction 0 is neither a mining reward nor a snapshot commitment');
+            expect(blockchain.acceptBlock(block)).toBe(false);
+        });
+
+        // Even in a stored chain, the registry ignores them
+        blockchain.index.records.applyBlock({ index: 9, data: forgeries });
+        expect(blockchain.getRecord(recordHash).currentPayload).toBe('Blood pressure 12/8');
+        expect(blockchain.getRecordsOfPatient(patient.address)).toHaveLength(1);
+    });
+
+    test('should honour grant expiry and record scope', async () => {
+        expect(() => blockchain.addTransaction(grant(0, { expiresAt: Date.now() - 1000 })))
+            .toThrow('Access grant already expired');
+        expect(() => blockchain.addTransaction(grant(0, { recordHash: 'unknown' })))
+            .toThrow(`Record unknown not found for patient ${patient.address}`);
+
+        const entry = record(patient, 0);
+        blockchain.addTransaction(entry);
+        await blockchain.minePendingTransactions('miner');
+
+        // Write access limited to one record lets the doctor amend it but not add new records
+        const recordHash = hashTransaction(entry);
+        blockchain.addTransaction(grant(1, { permissions: ['write'], recordHash }));
+        await blockchain.minePendingTransactions('miner');
+
+        expect(() => blockchain.addTransaction(record(doctor, 0))).toThrow('has no write access');
+        blockchain.addTransaction(signDataTransaction(doctor, 'recordAmendment', { recordHash, payload: 'x', reason: 'Lab result' }));
+
+        const { records } = blockchain.index;
+        const expiresAt = Date.now() + 1000;
+        records.getGrants(patient.address)[0].expiresAt = expiresAt;
+        expect(records.hasAccess(patient.address, doctor.address, 'write', recordHash, expiresAt - 1)).toBe(true);
+        expect(records.hasAccess(patient.address, doctor.address, 'write', recordHash, expiresAt)).toBe(false);
+        expect(blockchain.getAccessGrants(patient.address, expiresAt)[0].active).toBe(false);
+    });
+
+    test('should page through the records of a patient', async () => {
+        for (let nonce = 0; nonce < 4; nonce++) {
+            blockchain.addTransaction(record(patient, nonce, { payload: `entry ${nonce}` }));
+        }
+        await blockchain.minePendingTransactions('miner');
+
+        expect(blockchain.countRecordsOfPatient(patient.address)).toBe(4);
+        expect(blockchain.getRecordsOfPatient(patient.address, { offset: 1, limit: 2 }).map(entry => entry.payload))
+            .toEqual(['entry 1', 'entry 2']);
+        expect(blockchain.getRecordsOfPatient(doctor.address)).toEqual([]);
+    });
+
+    test('should keep value transfers working alongside typed transactions', async () => {
+        blockchain.addTransaction(signTransfer(patient, doctor.address, 30, { fee: 1 }));
+        blockchain.addTransaction(record(patient, 1, { payload: { systolic: 12, diastolic: 8 } }));
+        blockchain.addTransaction(signTransfer(patient, doctor.address, 10, { nonce: 2, type: 'transfer' }));
+        await blockchain.minePendingTransactions('miner');
+
+        expect(blockchain.getBalanceOfAddress(doctor.address)).toBe(40);
+        expect(blockchain.getBalanceOfAddress(patient.address)).toBe(59);
+        expect(blockchain.countRecordsOfPatient(patient.address)).toBe(1);
+        expect(() => blockchain.addTransaction(signTransfer(patient, doctor.address, 5, { nonce: 3, data: { note: 'x' } })))
+            .toThrow('Transfers cannot carry data');
+    });
+});
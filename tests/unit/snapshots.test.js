@@ -0,0 +1,141 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Blockchain = require('../../blockchain/Blockchain');
+const Block = require('../../blockchain/Block');
+const ChainStorage = require('../../blockchain/ChainStorage');
+const { SNAPSHOT_TYPE } = require('../../blockchain/snapshots');
+const { createWallet, signTransfer } = require('../helpers/wallet');
+
+describe('State snapshots and pruning', () => {
+    const alice = createWallet();
+    const genesis = {
+        networkId: 'snapshot-test',
+        timestamp: 1704067200000,
+        difficulty: 1,
+        snapshotInterval: 2,
+        allocations: [{ address: alice.address, amount: 100 }]
+    };
+
+    // Mine `blocks` blocks, with a transfer from alice in each
+    async function mineBlocks(blockchain, blocks) {
+        for (let i = 0; i < blocks; i++) {
+            const nonce = blockchain.getNextNonce(alice.address);
+            blockchain.addTransaction(signTransfer(alice, 'bob', 5, { nonce, fee: 1 }));
+            await blockchain.minePendingTransactions('miner');
+        }
+    }
+
+    // Re-mine a block after changing its transactions
+    function remine(block, data) {
+        const altered = new Block(block.index, block.timestamp, data, block.previousHash);
+        altered.mineBlock(block.difficulty);
+        return altered;
+    }
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should commit the state hash of each snapshot height in the next block', async () => {
+        const blockchain = new Blockchain({ genesis });
+        await mineBlocks(blockchain, 5);
+
+        const commitments = blockchain.chain.map(block => block.getTransactions().find(transaction => transaction.type === SNAPSHOT_TYPE));
+        expect(commitments.map(Boolean)).toEqual([false, false, false, true, false, true]);
+        expect(commitments[5].data).toEqual({
+            height: 4,
+            blockHash: blockchain.chain[4].hash,
+            stateHash: blockchain.snapshot.stateHash
+        });
+
+        const account = blockchain.snapshot.state.accounts.find(({ address }) => address === alice.address);
+        expect(account).toEqual({ address: alice.address, balance: 76, nonce: 4 });
+        expect(blockchain.isChainValid()).toBe(true);
+    });
+
+    test('should reject a block with a missing or wrong commitment', async () => {
+        const blockchain = new Blockchain({ genesis });
+        await mineBlocks(blockchain, 3);
+
+        const block = blockchain.chain[3];
+        const withoutCommitment = block.data.filter(transaction => transaction.type !== SNAPSHOT_TYPE);
+        const wrongCommitment = block.data.map(transaction => (transaction.type === SNAPSHOT_TYPE
+            ? { ...transaction, data: { ...transaction.data, stateHash: '0'.repeat(64) } }
+            : transaction));
+
+        const chainInfos = blockchain.chain.map(chainBlock => chainBlock.getBlockInfo());
+        expect(() => new Blockchain({ genesis }).importChain({ chain: [...chainInfos.slice(0, 3), remine(block, withoutCommitment).getBlockInfo()] }))
+            .toThrow('missing snapshot commitment for height 2');
+        expect(() => new Blockchain({ genesis }).importChain({ chain: [...chainInfos.slice(0, 3), remine(block, wrongCommitment).getBlockInfo()] }))
+            .toThrow('snapshot commitment does not match the state at height 2');
+    });
+
+    test('should prune old bodies while keeping headers and balances', async () => {
+        const blockchain = new Blockchain({ genesis, pruneRetention: 1 });
+        await mineBlocks(blockchain, 5);
+
+        expect(blockchain.chain.map(block => Boolean(block.pruned))).toEqual([false, true, true, true, true, false]);
+        expect(blockchain.getHeaders({ from: 0, limit: 10 }).map(header => header.hash))
+            .toEqual(blockchain.chain.map(block => block.hash));
+        expect(blockchain.getBalanceOfAddress(alice.address)).toBe(70);
+        expect(blockchain.getBalanceOfAddress('bob')).toBe(25);
+        expect(blockchain.isChainValid()).toBe(true);
+
+        await mineBlocks(blockchain, 1);
+        expect(blockchain.getBalanceOfAddress('bob')).toBe(30);
+    });
+
+    test('should reload a pruned chain from storage', async () => {
+        const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+        try {
+            const blockchain = new Blockchain({ genesis, storage: new ChainStorage(dataDir), pruneRetention: 1 });
+            await mineBlocks(blockchain, 4);
+
+            const restored = new Blockchain({ genesis, storage: new ChainStorage(dataDir) });
+            expect(restored.chain.map(block => block.hash)).toEqual(blockchain.chain.map(block => block.hash));
+            expect(restored.chain[2].pruned).toBe(true);
+            expect(restored.getAccountState(alice.address)).toEqual(blockchain.getAccountState(alice.address));
+        } finally {
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    });
+
+    test('should start from a trusted snapshot and keep mining', async () => {
+        const source = new Blockchain({ genesis });
+        await mineBlocks(source, 5);
+        const snapshot = JSON.parse(JSON.stringify(source.getSnapshot()));
+
+        expect(() => new Blockchain({ genesis, snapshot, trustedSnapshotHash: 'f'.repeat(64) }))
+            .toThrow('does not match the trusted hash');
+        expect(() => new Blockchain({ genesis, snapshot }))
+            .toThrow('Starting from a snapshot requires its trusted state hash');
+
+        const node = new Blockchain({ genesis, snapshot, trustedSnapshotHash: snapshot.stateHash });
+        expect(node.chain).toHaveLength(5);
+        expect(node.getLatestBlock().hash).toBe(source.chain[4].hash);
+        expect(node.getAccountState(alice.address)).toEqual({ balance: 76, nonce: 4 });
+
+        // The next block commits the snapshot height again, from the loaded state
+        await mineBlocks(node, 1);
+        expect(node.getBalanceOfAddress(alice.address)).toBe(70);
+
+        // Blocks from the source node still extend it
+        node.importChain({ ...source.exportChain(), chain: [...node.exportChain().chain.slice(0, 5), source.chain[5].getBlockInfo()] });
+        expect(node.getLatestBlock().hash).toBe(source.getLatestBlock().hash);
+    });
+
+    test('should refuse a snapshot with tampered state', async () => {
+        const source = new Blockchain({ genesis });
+        await mineBlocks(source, 3);
+        const snapshot = JSON.parse(JSON.stringify(source.getSnapshot()));
+        snapshot.state.accounts[0].balance += 1000;
+
+        expect(() => new Blockchain({ genesis, snapshot, trustedSnapshotHash: snapshot.stateHash }))
+            .toThrow('state hash');
+    });
+});
@@ -0,0 +1,130 @@
+const Block = require('../../blockchain/Block');
+const Blockchain = require('../../blockchain/Blockchain');
+const { createWallet, signTransfer } = require('../helpers/wallet');
+
+describe('Time-locked transactions', () => {
+    const alice = createWallet();
+    const bob = createWallet();
+    const genesis = {
+        networkId: 'time-lock-test',
+        timestamp: 1704067200000,
+        difficulty: 1,
+        allocations: [
+            { address: alice.address, amount: 100 },
+            { address: bob.address, amount: 100 }
+        ]
+    };
+    let blockchain;
+
+    // Unsealed block on top of the chain: enough for the transaction checks
+    const nextBlock = (transactions, timestamp = Date.now()) => {
+        const latest = blockchain.getLatestBlock();
+        return new Block(latest.index + 1, Math.max(timestamp, latest.timestamp + 1), transactions, latest.hash);
+    };
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        blockchain = new Blockchain({ genesis });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should hold a height-locked transaction and its sender\'s later nonces until the height', async () => {
+        blockchain.addTransaction(signTransfer(alice, 'heir', 40, { validAfter: 2 }));
+        blockchain.addTransaction(signTransfer(alice, 'heir', 10, { nonce: 1 }));
+        blockchain.addTransaction(signTransfer(bob, 'carol', 5));
+
+        const first = await blockchain.minePendingTransactions('miner');
+        expect(first.data.filter(transaction => transaction.from).map(transaction => transaction.from)).toEqual([bob.address]);
+        expect(blockchain.pendingTransactions).toHaveLength(2);
+
+        const second = await blockchain.minePendingTransactions('miner');
+        expect(second.index).toBe(2);
+        expect(second.data.filter(transaction => transaction.from === alice.address).map(transaction => transaction.nonce)).toEqual([0, 1]);
+        expect(blockchain.getBalanceOfAddress('heir')).toBe(50);
+        expect(blockchain.isChainValid()).toBe(true);
+    });
+
+    test('should release a timestamp-locked transaction once its time has come', async () => {
+        const releaseAt = Date.now() + 60000;
+        blockchain.addTransaction(signTransfer(alice, 'heir', 40, { validAfter: releaseAt }));
+
+        await blockchain.minePendingTransactions('miner');
+        expect(blockchain.pendingTransactions).toHaveLength(1);
+
+        const now = Date.now;
+        jest.spyOn(Date, 'now').mockImplementation(() => now() + 120000);
+        const block = await blockchain.minePendingTransactions('miner');
+
+        expect(block.timestamp).toBeGreaterThanOrEqual(releaseAt);
+        expect(blockchain.getBalanceOfAddress('heir')).toBe(40);
+        expect(blockchain.pendingTransactions).toHaveLength(0);
+    });
+
+    test('should age a height-locked transaction from the block that releases it', async () => {
+        blockchain = new Blockchain({ genesis, mempool: { maxAge: 60000 } });
+        const now = Date.now;
+        let offset = 0;
+        jest.spyOn(Date, 'now').mockImplementation(() => now() + offset);
+        blockchain.addTransaction(signTransfer(alice, 'heir', 40, { validAfter: 3 }));
+
+        // Older than maxAge while locked, then released by block 2
+        offset = 120000;
+        await blockchain.minePendingTransactions('miner');
+        blockchain.pruneMempool();
+        await blockchain.minePendingTransactions('miner');
+        expect(blockchain.getHeightReachedAt(3)).toBe(blockchain.chain[2].timestamp);
+
+        offset = 150000;
+        blockchain.pruneMempool();
+        expect(blockchain.pendingTransactions).toHaveLength(1);
+
+        offset = 190000;
+        blockchain.pruneMempool();
+        expect(blockchain.pendingTransactions).toHaveLength(0);
+    });
+
+    test('should refuse and drop transactions past their validUntil', async () => {
+        expect(() => blockchain.addTransaction(signTransfer(alice, 'dave', 10, { validUntil: Date.now() - 1000 })))
+            .toThrow('Transaction expired: validUntil');
+        expect(() => blockchain.addTransaction(signTransfer(alice, 'dave', 10, { validAfter: 5, validUntil: 3 })))
+            .toThrow('validUntil is before its validAfter');
+        expect(() => blockchain.addTransaction(signTransfer(alice, 'dave', 10, { validAfter: -1 })))
+            .toThrow('validAfter must be a non-negative integer');
+
+        // Bob's second transfer must be mined in block 1 but waits behind his first one
+        blockchain.addTransaction(signTransfer(alice, 'dave', 10, { validUntil: 1 }));
+        blockchain.addTransaction(signTransfer(bob, 'dave', 10, { validAfter: 2 }));
+        blockchain.addTransaction(signTransfer(bob, 'erin', 10, { nonce: 1, validUntil: 1 }));
+        await blockchain.minePendingTransactions('miner');
+
+        expect(blockchain.getBalanceOfAddress('dave')).toBe(10);
+        expect(blockchain.pendingTransactions.map(transaction => transaction.to)).toEqual(['dave']);
+
+        await blockchain.minePendingTransactions('miner');
+        expect(blockchain.getBalanceOfAddress('dave')).toBe(20);
+        expect(blockchain.getBalanceOfAddress('erin')).toBe(0);
+        expect(blockchain.pendingTransactions).toHaveLength(0);
+    });
+
+    test('should reject blocks that include a transaction outside its time lock', () => {
+        const early = signTransfer(alice, 'heir', 40, { validAfter: 5 });
+        const late = signTransfer(alice, 'heir', 40, { validUntil: Date.now() - 1000 });
+        const released = signTransfer(alice, 'heir', 40, { validAfter: 1 });
+
+        expect(blockchain.findInvalidTransaction(nextBlock([early]))).toBe('transaction 0: time-locked until height 5');
+        expect(blockchain.findInvalidTransaction(nextBlock([late]))).toMatch(/^transaction 0: expired after \d{4}-/);
+        expect(blockchain.findInvalidTransaction(nextBlock([released]))).toBeNull();
+
+        // The lock is signed: lifting it invalidates the signature
+        const { validAfter, ...unlocked } = early;
+        expect(blockchain.findInvalidTransaction(nextBlock([unlocked]))).toBe('transaction 0: Invalid transaction signature');
+
+        const block = nextBlock([early]);
+        block.mineBlock(blockchain.difficulty);
+        expect(blockchain.isValidNewBlock(block)).toBe(false);
+    });
+});
@@ -0,0 +1,125 @@
+const Block = require('../../blockchain/Block');
+const Blockchain = require('../../blockchain/Blockchain');
+const { createWallet, signTransfer } = require('../helpers/wallet');
+
+describe('Signed transactions', () => {
+    const alice = createWallet();
+    const mallory = createWallet();
+    let blockchain;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        blockchain = new Blockchain({
+            genesis: {
+                networkId: 'transactions-test',
+                timestamp: 1704067200000,
+                difficulty: 1,
+                allocations: [{ address: alice.address, amount: 50 }]
+            }
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should accept a transfer signed by the sender', async () => {
+        blockchain.addTransaction(signTransfer(alice, 'bob', 20));
+        await blockchain.minePendingTransactions('miner');
+
+        expect(blockchain.getBalanceOfAddress(alice.address)).toBe(30);
+        expect(blockchain.isChainValid()).toBe(true);
+    });
+
+    test('should reject unsigned transfers', () => {
+        expect(() => blockchain.addTransaction({ from: alice.address, to: 'bob', amount: 1, nonce: 0, timestamp: Date.now() }))
+            .toThrow('Transaction must be signed');
+    });
+
+    test('should reject spending from someone else\'s address', () => {
+        const forged = { ...signTransfer(mallory, 'mallory', 20), from: alice.address };
+
+        expect(() => blockchain.addTransaction(forged)).toThrow('Public key does not match the sender address');
+    });
+
+    test('should reject a transfer altered after signing', () => {
+        const altered = { ...signTransfer(alice, 'bob', 1), amount: 40 };
+
+        expect(() => blockchain.addTransaction(altered)).toThrow('Invalid transaction signature');
+    });
+
+    test('should count pending spends against the balance', () => {
+        blockchain.addTransaction(signTransfer(alice, 'bob', 30));
+
+        expect(() => blockchain.addTransaction(signTransfer(alice, 'carol', 30, { nonce: 1 })))
+            .toThrow(`Insufficient balance: ${alice.address} has 20 available, needs 30`);
+    });
+});
+
+describe('Transaction nonces', () => {
+    const alice = createWallet();
+    let blockchain;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        blockchain = new Blockchain({
+            genesis: {
+                networkId: 'nonce-test',
+                timestamp: 1704067200000,
+                difficulty: 1,
+                allocations: [{ address: alice.address, amount: 50 }]
+            }
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should track the next nonce across pending and confirmed transactions', async () => {
+        expect(blockchain.getNextNonce(alice.address)).toBe(0);
+
+        blockchain.addTransaction(signTransfer(alice, 'bob', 1, { nonce: 0 }));
+        expect(blockchain.getNextNonce(alice.address)).toBe(1);
+
+        await blockchain.minePendingTransactions('miner');
+        expect(blockchain.getNonce(alice.address)).toBe(1);
+        expect(blockchain.getNextNonce(alice.address)).toBe(1);
+    });
+
+    test('should reject a replayed transaction', async () => {
+        const transfer = signTransfer(alice, 'bob', 1);
+        blockchain.addTransaction(transfer);
+
+        expect(() => blockchain.addTransaction(transfer)).toThrow('Duplicate nonce 0');
+
+        await blockchain.minePendingTransactions('miner');
+        expect(() => blockchain.addTransaction(transfer)).toThrow('Stale nonce 0');
+    });
+
+    test('should reject a nonce gap', () => {
+        expect(() => blockchain.addTransaction(signTransfer(alice, 'bob', 1, { nonce: 2 })))
+            .toThrow('Nonce gap for');
+    });
+
+    test('should reject a nonce changed after signing', () => {
+        const transfer = { ...signTransfer(alice, 'bob', 1), nonce: 1 };
+        blockchain.addTransaction(signTransfer(alice, 'bob', 1));
+
+        expect(() => blockchain.addTransaction(transfer)).toThrow('Invalid transaction signature');
+    });
+
+    test('should reject a block that replays a confirmed transaction', async () => {
+        const transfer = signTransfer(alice, 'bob', 1);
+        blockchain.addTransaction(transfer);
+        await blockchain.minePendingTransactions('miner');
+
+        // Bypass the mempool and mine the same transaction again
+        const latest = blockchain.getLatestBlock();
+        const replay = new Block(latest.index + 1, latest.timestamp + 1, [transfer], latest.hash);
+        replay.mineBlock(blockchain.difficulty);
+
+        expect(blockchain.acceptBlock(replay)).toBe(false);
+    });
+});